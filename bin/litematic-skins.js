@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+/**
+ * Command-line skin extractor
+ * Extracts player head skins from schematic and region files and prints
+ * them as JSON, CSV, NDJSON, Markdown or HTML, for use in scripts and CI pipelines
+ *
+ * Heads that only store a player name or UUID can have their textures looked up
+ * through the Mojang API or a proxy with --resolve-profiles
+ *
+ * Exit codes: 0 on success, 1 if --fail-on-missing-texture is set and a head
+ * has no texture, 2 on usage errors or files that could not be read
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'node:fs';
+import { basename, join, relative } from 'node:path';
+import { parseArgs } from 'node:util';
+import { parseLitematic, extractSkinsFromNBT, extractSkinsFromRegion } from '../src/nbt-reader.js';
+import { isRegionFile } from '../src/schematic-formats.js';
+import { groupSkinsByTexture } from '../src/skin-extractor.js';
+import { createSkinRecords, formatSkinRecords, REPORT_JSON, REPORT_FORMATS } from '../src/skin-report.js';
+import {
+  ProfileResolver, MemoryProfileCache, MOJANG_ENDPOINTS, getProxyEndpoints, applyResolvedProfile, LOOKUP_FOUND, LOOKUP_FAILED
+} from '../src/profile-resolver.js';
+
+const EXIT_MISSING_TEXTURE = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: litematic-skins [options] <file|glob>...
+
+Extract player head skins from .litematic, .schem, .schematic, structure .nbt
+and region .mca files. Quote globs to let the tool expand them, e.g. "schematics/**/*.litematic"
+
+Options:
+  -f, --format <format>        Output format: ${REPORT_FORMATS.join(', ')} (default: ${REPORT_JSON})
+  -o, --output <file>          Write to a file instead of stdout
+      --occurrences            Include every position each head was found at
+      --raw-variants           List each texture value separately instead of merging
+                               values that point at the same skin image
+      --fail-on-missing-texture
+                               Exit with code ${EXIT_MISSING_TEXTURE} if any head has no skin texture
+      --resolve-profiles       Look up the textures of heads that only store a player name or UUID
+      --profile-endpoint <url> Base URL of a proxy serving the Mojang API paths (default: Mojang)
+      --profile-cache <file>   Keep looked-up profiles in a JSON file between runs
+  -h, --help                   Show this help
+`;
+
+/**
+ * Run the command line tool
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: REPORT_JSON },
+        output: { type: 'string', short: 'o' },
+        occurrences: { type: 'boolean', default: false },
+        'raw-variants': { type: 'boolean', default: false },
+        'fail-on-missing-texture': { type: 'boolean', default: false },
+        'resolve-profiles': { type: 'boolean', default: false },
+        'profile-endpoint': { type: 'string' },
+        'profile-cache': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values, positionals } = options;
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  if (!REPORT_FORMATS.includes(values.format)) {
+    process.stderr.write(`Unknown format "${values.format}", expected one of: ${REPORT_FORMATS.join(', ')}\n`);
+    return EXIT_ERROR;
+  }
+
+  const files = positionals.flatMap(expandPattern);
+  if (files.length === 0) {
+    process.stderr.write(positionals.length === 0 ? USAGE : 'No files matched\n');
+    return EXIT_ERROR;
+  }
+
+  let resolver = null;
+  if (values['resolve-profiles']) {
+    try {
+      resolver = createResolver(values['profile-endpoint'], values['profile-cache']);
+    } catch (error) {
+      process.stderr.write(`${error.message}\n`);
+      return EXIT_ERROR;
+    }
+  }
+
+  const records = [];
+  let failed = false;
+
+  for (const file of files) {
+    try {
+      let skins = extractSkinsFromFile(file);
+      if (resolver) {
+        skins = await resolveProfiles(resolver, skins, file);
+      }
+      // Same grouping as the web page, after lookups so looked-up textures merge too
+      if (!values['raw-variants']) {
+        skins = groupSkinsByTexture(skins);
+      }
+      records.push(...createSkinRecords(skins, { file, occurrences: values.occurrences }));
+    } catch (error) {
+      process.stderr.write(`${file}: ${error.message}\n`);
+      failed = true;
+    }
+  }
+
+  if (resolver && values['profile-cache']) {
+    writeFileSync(values['profile-cache'], JSON.stringify(resolver.cache, null, 2) + '\n');
+  }
+
+  const report = formatSkinRecords(records, values.format);
+  if (values.output) {
+    writeFileSync(values.output, report);
+  } else {
+    process.stdout.write(report);
+  }
+
+  if (failed) {
+    return EXIT_ERROR;
+  }
+
+  const missing = records.filter(record => !record.textureUrl);
+  if (values['fail-on-missing-texture'] && missing.length > 0) {
+    for (const record of missing) {
+      process.stderr.write(`${record.file}: head "${record.name ?? record.uuid ?? 'unknown'}" has no texture\n`);
+    }
+    return EXIT_MISSING_TEXTURE;
+  }
+
+  return 0;
+}
+
+/**
+ * Create the profile resolver, loading its cache file if there is one
+ * @param {string} [endpoint] - Proxy base URL, Mojang when missing
+ * @param {string} [cacheFile] - Path of the cache file
+ * @returns {ProfileResolver} Resolver
+ */
+function createResolver(endpoint, cacheFile) {
+  let entries = {};
+  if (cacheFile && existsSync(cacheFile)) {
+    try {
+      entries = JSON.parse(readFileSync(cacheFile, 'utf-8'));
+    } catch (error) {
+      throw new Error(`${cacheFile}: not a profile cache (${error.message})`);
+    }
+  }
+
+  return new ProfileResolver({
+    endpoints: endpoint ? getProxyEndpoints(endpoint) : MOJANG_ENDPOINTS,
+    cache: new MemoryProfileCache(entries)
+  });
+}
+
+/**
+ * Fill in the textures of heads without one, warning about failed lookups
+ * @param {ProfileResolver} resolver - Resolver
+ * @param {Array} skins - Skin objects
+ * @param {string} file - File the skins came from, for warnings
+ * @returns {Promise<Array>} Skin objects
+ */
+async function resolveProfiles(resolver, skins, file) {
+  const results = await resolver.resolveSkins(skins);
+
+  return skins.map((skin, index) => {
+    const { status, profile, error } = results[index];
+    if (status === LOOKUP_FAILED) {
+      process.stderr.write(`${file}: could not look up "${skin.name ?? skin.uuid}": ${error.message}\n`);
+    }
+    return status === LOOKUP_FOUND ? applyResolvedProfile(skin, profile) : skin;
+  });
+}
+
+/**
+ * Read the skins from one file
+ * @param {string} file - Path to a schematic or region file
+ * @returns {Array} Skin objects
+ */
+function extractSkinsFromFile(file) {
+  const data = readFileSync(file);
+  const arrayBuffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+
+  if (isRegionFile(file)) {
+    return extractSkinsFromRegion(arrayBuffer, basename(file));
+  }
+  return extractSkinsFromNBT(parseLitematic(arrayBuffer));
+}
+
+/**
+ * Expand a glob pattern to the matching files, sorted
+ * Supports *, ?, ** and {a,b}. Patterns without wildcards are returned as-is
+ * so missing files are reported when they are read
+ * @param {string} pattern - File path or glob
+ * @returns {Array<string>} File paths
+ */
+function expandPattern(pattern) {
+  const normalized = pattern.replace(/\\/g, '/');
+  if (!/[*?{]/.test(normalized)) {
+    return [pattern];
+  }
+
+  // Walk from the deepest directory without wildcards
+  const segments = normalized.split('/');
+  const firstWildcard = segments.findIndex(segment => /[*?{]/.test(segment));
+  const base = segments.slice(0, firstWildcard).join('/') || (normalized.startsWith('/') ? '/' : '.');
+  const matcher = globToRegExp(segments.slice(firstWildcard).join('/'));
+
+  if (!existsSync(base)) {
+    return [];
+  }
+
+  const matches = [];
+  walkFiles(base, file => {
+    if (matcher.test(relative(base, file).replace(/\\/g, '/'))) {
+      matches.push(file);
+    }
+  });
+
+  return matches.sort();
+}
+
+/**
+ * Call a function for every file below a directory
+ * @param {string} directory - Directory to walk
+ * @param {Function} callback - Called with each file path
+ */
+function walkFiles(directory, callback) {
+  for (const entry of readdirSync(directory, { withFileTypes: true })) {
+    const path = join(directory, entry.name);
+    if (entry.isDirectory()) {
+      walkFiles(path, callback);
+    } else if (entry.isFile()) {
+      callback(path);
+    }
+  }
+}
+
+/**
+ * Convert a glob to a regular expression matching relative paths
+ * @param {string} glob - Glob using "/" as separator
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches any number of directories, a trailing "**" anything
+      if (glob[i + 2] === '/') {
+        source += '(?:[^/]+/)*';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const alternatives = glob.slice(i + 1, end).split(',');
+        source += `(?:${alternatives.map(escapeRegExp).join('|')})`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Escape regular expression special characters
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * NBT reader benchmark
+ * Builds a large synthetic litematic in memory and times reading it in full,
+ * with byte array views, and with only the paths head extraction needs, against
+ * the element-by-element reader the bulk array reads replaced
+ *
+ * Usage: node scripts/benchmark-nbt.js [regions] [runs]
+ */
+
+import { parseLitematic, serializeNBT, extractSkinsFromNBT, setTagType, TAG_TYPES } from '../src/nbt-reader.js';
+
+const REGION_SIZE = { x: 256, y: 64, z: 256 };
+const PALETTE_SIZE = 100;
+const HEADS_PER_REGION = 2000;
+const TICKS_PER_REGION = 5000;
+
+// What head extraction reads when block placement is not needed
+const HEAD_PATHS = ['Metadata', 'Regions/*/Position', 'Regions/*/Size', 'Regions/*/BlockEntities', 'Regions/*/Entities'];
+
+const regionCount = parseInt(process.argv[2] || '16', 10);
+const runs = parseInt(process.argv[3] || '3', 10);
+
+console.log(`Building a litematic with ${regionCount} regions of ${REGION_SIZE.x}x${REGION_SIZE.y}x${REGION_SIZE.z} blocks...`);
+const data = serializeNBT(createFixture(regionCount), { compression: 'none' });
+const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+console.log(`Uncompressed size: ${(buffer.byteLength / 1024 / 1024).toFixed(1)} MB\n`);
+
+const results = [
+  measure('Element by element (before)', () => parseElementByElement(buffer)),
+  measure('Full tree', () => parseLitematic(buffer)),
+  measure('Full tree, byte array views', () => parseLitematic(buffer, { views: true })),
+  measure('Head paths only', () => parseLitematic(buffer, { include: HEAD_PATHS }))
+];
+
+const baseline = results[0].time;
+for (const { label, time, heads } of results) {
+  const speedup = (baseline / time).toFixed(1);
+  console.log(`${label.padEnd(30)} ${time.toFixed(0).padStart(6)} ms  ${speedup.padStart(5)}x  ${heads} heads`);
+}
+
+/**
+ * Time a parse, keeping the fastest of several runs
+ * @param {string} label - Row label
+ * @param {Function} parse - Returns parsed NBT
+ * @returns {{label: string, time: number, heads: number}} Result row
+ */
+function measure(label, parse) {
+  let best = Infinity;
+  let heads = 0;
+
+  for (let run = 0; run < runs; run++) {
+    const start = performance.now();
+    const nbtData = parse();
+    best = Math.min(best, performance.now() - start);
+    heads = countHeads(nbtData);
+  }
+
+  return { label, time: best, heads };
+}
+
+/**
+ * Count head occurrences, checking every mode finds the same heads
+ * @param {Object} nbtData - Parsed litematic
+ * @returns {number} Number of heads
+ */
+function countHeads(nbtData) {
+  return extractSkinsFromNBT(nbtData).reduce((total, skin) => total + skin.locations.length, 0);
+}
+
+/**
+ * Parse the way the reader did before arrays were read in bulk: every array element
+ * is read on its own through the DataView, longs are built from two ints and long
+ * arrays are plain arrays of BigInts. Tag types are recorded the same way for a fair comparison
+ * @param {ArrayBuffer} buffer - Uncompressed NBT data
+ * @returns {Object} Parsed NBT data
+ */
+function parseElementByElement(buffer) {
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  const readByte = () => view.getInt8(offset++);
+  const readUByte = () => view.getUint8(offset++);
+  const readShort = () => {
+    const value = view.getInt16(offset, false);
+    offset += 2;
+    return value;
+  };
+  const readInt = () => {
+    const value = view.getInt32(offset, false);
+    offset += 4;
+    return value;
+  };
+  const readLong = () => {
+    const high = view.getInt32(offset, false);
+    const low = view.getUint32(offset + 4, false);
+    offset += 8;
+    return (BigInt(high) << 32n) | BigInt(low);
+  };
+  const readString = () => {
+    const length = readShort() & 0xffff;
+    const bytes = new Uint8Array(buffer, offset, length);
+    offset += length;
+    return new TextDecoder('utf-8').decode(bytes);
+  };
+
+  const readTag = (tagType) => {
+    switch (tagType) {
+      case TAG_TYPES.BYTE:
+        return readByte();
+      case TAG_TYPES.SHORT:
+        return readShort();
+      case TAG_TYPES.INT:
+        return readInt();
+      case TAG_TYPES.LONG:
+        return readLong();
+      case TAG_TYPES.FLOAT: {
+        const value = view.getFloat32(offset, false);
+        offset += 4;
+        return value;
+      }
+      case TAG_TYPES.DOUBLE: {
+        const value = view.getFloat64(offset, false);
+        offset += 8;
+        return value;
+      }
+      case TAG_TYPES.BYTE_ARRAY: {
+        const array = new Int8Array(readInt());
+        for (let i = 0; i < array.length; i++) {
+          array[i] = readByte();
+        }
+        return array;
+      }
+      case TAG_TYPES.STRING:
+        return readString();
+      case TAG_TYPES.LIST: {
+        const itemType = readUByte();
+        const length = readInt();
+        const list = [];
+        for (let i = 0; i < length; i++) {
+          list.push(readTag(itemType));
+        }
+        setTagType(list, itemType);
+        return list;
+      }
+      case TAG_TYPES.COMPOUND:
+        return readCompound();
+      case TAG_TYPES.INT_ARRAY: {
+        const array = new Int32Array(readInt());
+        for (let i = 0; i < array.length; i++) {
+          array[i] = readInt();
+        }
+        return array;
+      }
+      case TAG_TYPES.LONG_ARRAY: {
+        const length = readInt();
+        const array = [];
+        for (let i = 0; i < length; i++) {
+          array.push(readLong());
+        }
+        return array;
+      }
+      default:
+        throw new Error(`Unknown tag type: ${tagType}`);
+    }
+  };
+
+  const readCompound = () => {
+    const compound = {};
+    for (let tagType = readUByte(); tagType !== TAG_TYPES.END; tagType = readUByte()) {
+      const name = readString();
+      compound[name] = readTag(tagType);
+      setTagType(compound, name, tagType);
+    }
+    return compound;
+  };
+
+  readUByte();
+  const name = readString();
+  return { name, value: readCompound() };
+}
+
+/**
+ * Build a litematic with large BlockStates arrays, pending ticks and many heads
+ * @param {number} regions - Number of regions
+ * @returns {Object} NBT data ({ name, value })
+ */
+function createFixture(regions) {
+  const volume = REGION_SIZE.x * REGION_SIZE.y * REGION_SIZE.z;
+  const bits = Math.max(2, Math.ceil(Math.log2(PALETTE_SIZE)));
+  const longCount = Math.ceil(volume * bits / 64);
+  const value = {
+    MinecraftDataVersion: 3953,
+    Version: 6,
+    Metadata: { Name: 'Benchmark', Author: 'benchmark', RegionCount: regions },
+    Regions: {}
+  };
+
+  for (let r = 0; r < regions; r++) {
+    const blockStates = new BigInt64Array(longCount);
+    for (let i = 0; i < longCount; i++) {
+      blockStates[i] = BigInt.asIntN(64, BigInt(i) * 0x9e3779b97f4a7c15n);
+    }
+
+    value.Regions[`Region ${r + 1}`] = {
+      Position: { x: r * REGION_SIZE.x, y: 0, z: 0 },
+      Size: { ...REGION_SIZE },
+      BlockStatePalette: Array.from({ length: PALETTE_SIZE }, (_, i) => ({ Name: `minecraft:block_${i}` })),
+      BlockStates: blockStates,
+      BlockEntities: Array.from({ length: HEADS_PER_REGION }, (_, i) => createHead(r, i)),
+      Entities: [],
+      PendingBlockTicks: Array.from({ length: TICKS_PER_REGION }, (_, i) => ({
+        x: i % REGION_SIZE.x, y: 0, z: 0, Block: 'minecraft:water', Time: i, Priority: 0, SubTick: BigInt(i)
+      })),
+      PendingFluidTicks: []
+    };
+  }
+
+  return { name: '', value };
+}
+
+/**
+ * Create a player head block entity with its own texture
+ * @param {number} region - Region index
+ * @param {number} index - Head index in the region
+ * @returns {Object} Block entity
+ */
+function createHead(region, index) {
+  const url = `http://textures.minecraft.net/texture/${(region * HEADS_PER_REGION + index).toString(16).padStart(64, '0')}`;
+  return {
+    id: 'minecraft:skull',
+    x: index % REGION_SIZE.x,
+    y: 1,
+    z: Math.floor(index / REGION_SIZE.x),
+    profile: {
+      name: `Head${index}`,
+      properties: [{ name: 'textures', value: Buffer.from(JSON.stringify({ textures: { SKIN: { url } } })).toString('base64') }]
+    }
+  };
+}
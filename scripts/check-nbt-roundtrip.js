@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * NBT round-trip checks
+ * Builds a tree holding every tag type, writes it with serializeNBT using each
+ * compression and reads it back with parseLitematic, then does the same through
+ * stringifySNBT and parseSNBT and through a structured clone with its tag type table,
+ * and compares values and recorded tag types. Runs offline
+ *
+ * Usage: node scripts/check-nbt-roundtrip.js
+ */
+
+import {
+  parseLitematic, serializeNBT, stringifySNBT, parseSNBT, getTagType, setTagType,
+  getTagTypeTable, applyTagTypeTable, TAG_TYPES
+} from '../src/nbt-reader.js';
+
+const INT_MIN = -0x80000000;
+const INT_MAX = 0x7fffffff;
+const LONG_MIN = -(2n ** 63n);
+const LONG_MAX = 2n ** 63n - 1n;
+
+/**
+ * Build a compound with explicit tag types
+ * @param {Array<[string, *, number]>} entries - Name, value and tag type
+ * @returns {Object} Compound
+ */
+function compound(entries) {
+  const value = {};
+  for (const [name, entry, tagType] of entries) {
+    value[name] = entry;
+    setTagType(value, name, tagType);
+  }
+  return value;
+}
+
+/**
+ * Build a list with an explicit element type
+ * @param {Array} items - Elements
+ * @param {number} itemType - Element tag type
+ * @returns {Array} List
+ */
+function list(items, itemType) {
+  setTagType(items, itemType);
+  return items;
+}
+
+const root = compound([
+  ['byte', -128, TAG_TYPES.BYTE],
+  ['short', 32767, TAG_TYPES.SHORT],
+  ['int', INT_MIN, TAG_TYPES.INT],
+  ['longMin', LONG_MIN, TAG_TYPES.LONG],
+  ['longMax', LONG_MAX, TAG_TYPES.LONG],
+  ['float', Math.fround(3.14), TAG_TYPES.FLOAT],
+  ['double', -1e-7, TAG_TYPES.DOUBLE],
+  ['bigDouble', 1e300, TAG_TYPES.DOUBLE],
+  ['bytes', Int8Array.from([-128, -1, 0, 1, 127]), TAG_TYPES.BYTE_ARRAY],
+  ['ints', Int32Array.from([INT_MIN, -1, 0, 1, INT_MAX]), TAG_TYPES.INT_ARRAY],
+  ['longs', BigInt64Array.from([LONG_MIN, -1n, 0n, 1n, LONG_MAX]), TAG_TYPES.LONG_ARRAY],
+  ['emptyBytes', new Int8Array(0), TAG_TYPES.BYTE_ARRAY],
+  ['emptyInts', new Int32Array(0), TAG_TYPES.INT_ARRAY],
+  ['emptyLongs', new BigInt64Array(0), TAG_TYPES.LONG_ARRAY],
+  ['string', 'Grüße, 世界 🎉', TAG_TYPES.STRING],
+  ['quotes', 'He said "hi" and it\'s fine\\\n\tok', TAG_TYPES.STRING],
+  ['emptyString', '', TAG_TYPES.STRING],
+  ['key with spaces', 'Ünïcödé key test', TAG_TYPES.STRING],
+  ['emptyList', list([], TAG_TYPES.END), TAG_TYPES.LIST],
+  ['emptyStringList', list([], TAG_TYPES.STRING), TAG_TYPES.LIST],
+  ['shorts', list([-32768, 0, 32767], TAG_TYPES.SHORT), TAG_TYPES.LIST],
+  ['longList', list([LONG_MIN, 0n, LONG_MAX], TAG_TYPES.LONG), TAG_TYPES.LIST],
+  ['nested', list([list([1, 2], TAG_TYPES.INT), list([], TAG_TYPES.END)], TAG_TYPES.LIST), TAG_TYPES.LIST],
+  ['arrays', list([Int32Array.from([1, 2]), new Int32Array(0)], TAG_TYPES.INT_ARRAY), TAG_TYPES.LIST],
+  ['compounds', list([
+    compound([['id', 'minecraft:player_head', TAG_TYPES.STRING], ['Count', 1, TAG_TYPES.BYTE]]),
+    compound([])
+  ], TAG_TYPES.COMPOUND), TAG_TYPES.LIST],
+  ['emptyCompound', compound([]), TAG_TYPES.COMPOUND]
+]);
+
+/**
+ * Compare two values and their recorded tag types
+ * @param {*} expected - Written value
+ * @param {*} actual - Value read back
+ * @param {number} tagType - Tag type of the written value
+ * @param {string} path - Path for the error message
+ * @param {Object} options
+ * @param {boolean} options.emptyListTypes - Whether empty lists keep their element type
+ * @returns {string|null} The first difference, or null if they match
+ */
+function compare(expected, actual, tagType, path, { emptyListTypes }) {
+  if (ArrayBuffer.isView(expected)) {
+    if (actual?.constructor !== expected.constructor) {
+      return `${path}: expected ${expected.constructor.name}, got ${actual?.constructor?.name ?? typeof actual}`;
+    }
+    if (actual.length !== expected.length || expected.some((item, index) => item !== actual[index])) {
+      return `${path}: expected [${expected}], got [${actual}]`;
+    }
+    return null;
+  }
+
+  if (tagType === TAG_TYPES.LIST) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) {
+      return `${path}: expected a list of ${expected.length}`;
+    }
+    const itemType = getTagType(expected);
+    if ((expected.length > 0 || emptyListTypes) && getTagType(actual) !== itemType) {
+      return `${path}: expected element type ${itemType}, got ${getTagType(actual)}`;
+    }
+    for (let i = 0; i < expected.length; i++) {
+      const difference = compare(expected[i], actual[i], itemType, `${path}[${i}]`, { emptyListTypes });
+      if (difference) {
+        return difference;
+      }
+    }
+    return null;
+  }
+
+  if (tagType === TAG_TYPES.COMPOUND) {
+    const keys = Object.keys(expected);
+    if (typeof actual !== 'object' || actual === null || Object.keys(actual).join('\0') !== keys.join('\0')) {
+      return `${path}: expected keys ${keys.join(', ')}`;
+    }
+    for (const key of keys) {
+      const type = getTagType(expected, key);
+      if (getTagType(actual, key) !== type) {
+        return `${path}.${key}: expected tag type ${type}, got ${getTagType(actual, key)}`;
+      }
+      const difference = compare(expected[key], actual[key], type, `${path}.${key}`, { emptyListTypes });
+      if (difference) {
+        return difference;
+      }
+    }
+    return null;
+  }
+
+  return Object.is(expected, actual) ? null : `${path}: expected ${String(expected)}, got ${String(actual)}`;
+}
+
+let failures = 0;
+const check = (label, passed, detail = '') => {
+  failures += passed ? 0 : 1;
+  console.log(`${passed ? 'ok  ' : 'FAIL'} ${label}${passed || !detail ? '' : ` (${detail})`}`);
+};
+
+for (const compression of ['gzip', 'zlib', 'none']) {
+  const bytes = serializeNBT({ name: 'Round trip', value: root }, { compression });
+  const parsed = parseLitematic(bytes.buffer);
+  const difference = parsed.name === 'Round trip'
+    ? compare(root, parsed.value, TAG_TYPES.COMPOUND, 'root', { emptyListTypes: true })
+    : `root name ${parsed.name}`;
+  check(`Binary NBT, ${compression.padEnd(4)}`, !difference, difference);
+}
+
+// Views share the decompressed buffer instead of copying, the values must still match
+const viewed = parseLitematic(serializeNBT({ name: '', value: root }, { compression: 'none' }).buffer, { views: true });
+const viewDifference = compare(root, viewed.value, TAG_TYPES.COMPOUND, 'root', { emptyListTypes: true });
+check('Binary NBT, views', !viewDifference, viewDifference);
+
+// Workers post structured clones, which drop the tag types; the table puts them back
+const cloned = structuredClone(root);
+applyTagTypeTable(cloned, getTagTypeTable(root));
+const cloneDifference = compare(root, cloned, TAG_TYPES.COMPOUND, 'root', { emptyListTypes: true });
+check('Structured clone with tag type table', !cloneDifference, cloneDifference);
+
+// SNBT has no syntax for the element type of an empty list, those read back untyped
+const snbt = stringifySNBT(root, TAG_TYPES.COMPOUND);
+const snbtDifference = compare(root, parseSNBT(snbt), TAG_TYPES.COMPOUND, 'root', { emptyListTypes: false });
+check('SNBT', !snbtDifference, snbtDifference);
+check('SNBT written again is unchanged', stringifySNBT(parseSNBT(snbt), TAG_TYPES.COMPOUND) === snbt);
+
+const longArray = parseSNBT('[L;-9223372036854775808L,0L,9223372036854775807L]');
+check('SNBT long array', longArray instanceof BigInt64Array && longArray[0] === LONG_MIN && longArray[2] === LONG_MAX,
+  longArray?.constructor?.name);
+
+process.exitCode = failures > 0 ? 1 : 0;
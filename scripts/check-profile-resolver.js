@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Profile resolver checks
+ * Starts a mock of the Mojang profile API on localhost, with one flaky and one rate
+ * limited route, and checks ProfileResolver finds textures by UUID and by name, retries,
+ * reports unknown players and serves repeated lookups from its cache. Runs offline
+ *
+ * Usage: node scripts/check-profile-resolver.js
+ */
+
+import { createServer } from 'node:http';
+import {
+  ProfileResolver, MemoryProfileCache, getProxyEndpoints, applyResolvedProfile,
+  LOOKUP_FOUND, LOOKUP_NOT_FOUND, LOOKUP_FAILED, LOOKUP_SKIPPED
+} from '../src/profile-resolver.js';
+
+const PLAYERS = [
+  { id: '069a79f444e94726a5befca90e38aaf5', name: 'Notch' },
+  { id: '853c80ef3c3749fdaa49938b674adae6', name: 'jeb_' },
+  // Fails once with a server error, then answers
+  { id: '61699b2ed3274a019f1e0ea8c3f06bc6', name: 'Dinnerbone', failures: 1 },
+  // Rate limited once
+  { id: 'c06f89064c8a49119c29ea1dbd1aab82', name: 'MHF_Steve', rateLimits: 1 },
+  // A proxy answering with a name Minecraft would not allow
+  { id: '7125ba8b1c864508b92bb5c042ccfe2b', name: '<img src=x onerror=alert(1)>' }
+];
+
+const requests = [];
+
+const server = createServer((request, response) => {
+  const url = new URL(request.url, 'http://localhost');
+  requests.push(url.pathname);
+
+  const byName = url.pathname.match(/^\/users\/profiles\/minecraft\/([^/]+)$/);
+  const byUUID = url.pathname.match(/^\/session\/minecraft\/profile\/([0-9a-f]{32})$/);
+  const player = byName
+    ? PLAYERS.find(entry => entry.name.toLowerCase() === decodeURIComponent(byName[1]).toLowerCase())
+    : PLAYERS.find(entry => entry.id === byUUID?.[1]);
+
+  if (!player) {
+    response.writeHead(byName || byUUID ? 204 : 400).end();
+  } else if (byUUID && player.failures > 0) {
+    player.failures--;
+    response.writeHead(503).end();
+  } else if (byUUID && player.rateLimits > 0) {
+    player.rateLimits--;
+    response.writeHead(429, { 'Retry-After': '0.01' }).end();
+  } else if (byName) {
+    response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ id: player.id, name: player.name }));
+  } else {
+    const value = Buffer.from(JSON.stringify({
+      profileId: player.id,
+      profileName: player.name,
+      textures: { SKIN: { url: `http://textures.minecraft.net/texture/${player.id}${player.id}` } }
+    })).toString('base64');
+    response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+      id: player.id,
+      name: player.name,
+      properties: [{ name: 'textures', value, signature: 'c2lnbmF0dXJl' }]
+    }));
+  }
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+const cache = new MemoryProfileCache();
+const resolver = new ProfileResolver({
+  endpoints: getProxyEndpoints(`${baseUrl}/`),
+  cache,
+  minInterval: 5,
+  retryDelay: 5
+});
+
+const skins = [
+  { name: null, uuid: '069a79f4-44e9-4726-a5be-fca90e38aaf5', textureValue: null },
+  { name: 'JEB_', uuid: null, textureValue: null },
+  { name: 'Dinnerbone', uuid: '61699b2e-d327-4a01-9f1e-0ea8c3f06bc6', textureValue: null },
+  { name: 'MHF_Steve', uuid: null, textureValue: null },
+  // Offline-mode UUID with a known name
+  { name: 'Notch', uuid: 'b50ad385-829d-3141-a216-7e7d7539ba7f', textureValue: null },
+  { name: 'NobodyHere', uuid: null, textureValue: null },
+  { name: 'not a player name', uuid: null, textureValue: null },
+  { name: 'Notch', uuid: null, textureValue: 'ZXhpc3Rpbmc=' },
+  { name: null, uuid: '7125ba8b-1c86-4508-b92b-b5c042ccfe2b', textureValue: null }
+];
+
+const expected = [LOOKUP_FOUND, LOOKUP_FOUND, LOOKUP_FOUND, LOOKUP_FOUND, LOOKUP_FOUND, LOOKUP_NOT_FOUND, LOOKUP_NOT_FOUND, LOOKUP_SKIPPED, LOOKUP_FOUND];
+
+let failures = 0;
+const check = (label, passed, detail = '') => {
+  failures += passed ? 0 : 1;
+  console.log(`${passed ? 'ok  ' : 'FAIL'} ${label}${passed || !detail ? '' : ` (${detail})`}`);
+};
+
+try {
+  const progress = [];
+  const results = await resolver.resolveSkins(skins, { onProgress: (done, total) => progress.push(`${done}/${total}`) });
+
+  results.forEach((result, index) => {
+    const label = skins[index].name ?? skins[index].uuid;
+    check(`${label.padEnd(20)} ${result.status}`, result.status === expected[index], `expected ${expected[index]}`);
+  });
+  check('Progress reported per lookup', progress.join(' ') === '1/8 2/8 3/8 4/8 5/8 6/8 7/8 8/8', progress.join(' '));
+  check('Looked up by name keeps the name from the file', applyResolvedProfile(skins[1], results[1].profile).name === 'JEB_');
+  check('Dashed UUID filled in from the lookup', results[1].profile.uuid === '853c80ef-3c37-49fd-aa49-938b674adae6', results[1].profile.uuid);
+  check('Invalid looked-up name dropped', applyResolvedProfile(skins[8], results[8].profile).name === null, results[8].profile?.name);
+  check('Signature kept', results[0].profile.textureSignature === 'c2lnbmF0dXJl');
+
+  const requestCount = requests.length;
+  const again = await resolver.resolveSkins(skins);
+  check('Repeated lookups served from the cache', requests.length === requestCount, `${requests.length - requestCount} new requests`);
+  check('Cached results match', again.every((result, index) => result.status === results[index].status));
+
+  const offline = new ProfileResolver({
+    endpoints: getProxyEndpoints('http://127.0.0.1:9'),
+    minInterval: 0,
+    maxRetries: 1,
+    retryDelay: 1
+  });
+  const [unreachable] = await offline.resolveSkins([skins[0]]);
+  check('Unreachable endpoint reported as failed', unreachable.status === LOOKUP_FAILED, unreachable.status);
+} finally {
+  server.close();
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
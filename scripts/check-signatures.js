@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Texture signature test vectors
+ * Signs a texture payload with a throwaway RSA key and checks that
+ * verifyTextureSignature accepts it and rejects forged values and signatures,
+ * then checks the bundled Yggdrasil key rejects the same signature and accepts
+ * a texture value signed by Mojang. Runs offline
+ *
+ * Usage: node scripts/check-signatures.js
+ */
+
+import {
+  verifyTextureSignature, importPublicKey, SIGNATURE_VALID, SIGNATURE_INVALID, SIGNATURE_UNSIGNED
+} from '../src/signature-verifier.js';
+
+const SIGNATURE_ALGORITHM = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1' };
+
+const keyPair = await crypto.subtle.generateKey(
+  { ...SIGNATURE_ALGORITHM, modulusLength: 4096, publicExponent: new Uint8Array([1, 0, 1]) },
+  true,
+  ['sign', 'verify']
+);
+// Go through importPublicKey so the PEM path is covered too
+const spki = Buffer.from(await crypto.subtle.exportKey('spki', keyPair.publicKey)).toString('base64');
+const publicKey = await importPublicKey(`-----BEGIN PUBLIC KEY-----\n${spki.replace(/.{64}/g, '$&\n')}\n-----END PUBLIC KEY-----`);
+
+const value = toBase64(JSON.stringify({
+  timestamp: 1700000000000,
+  profileId: '069a79f444e94726a5befca90e38aaf5',
+  profileName: 'Notch',
+  signatureRequired: true,
+  textures: {
+    SKIN: { url: 'http://textures.minecraft.net/texture/292009a4925b58f02c77dadc3ecef07ea4c7472f64e0fdc32ce5522489362680' }
+  }
+}, null, 2));
+const signature = toBase64(await crypto.subtle.sign(SIGNATURE_ALGORITHM, keyPair.privateKey, new TextEncoder().encode(value)));
+
+// Swap the skin hash inside the payload, the way a forged head would
+const forgedValue = toBase64(Buffer.from(value, 'base64').toString('utf-8').replace('292009a4', '00000000'));
+const forgedSignature = signature.slice(0, 10) + (signature[10] === 'A' ? 'B' : 'A') + signature.slice(11);
+
+// A real texture property as served by the session server, captured from the Hypixel SkyBlock
+// item list in the skyhelper-networth package (Duck pet skin, profile _1ndra_)
+const MOJANG_VALUE =
+  'ewogICJ0aW1lc3RhbXAiIDogMTU5NzM3MTYyNDc5NSwKICAicHJvZmlsZUlkIiA6ICIwNmE4NjAyZDAwODk0YWQxOTcyMGQ3' +
+  'NGE1OGU1MDZjZiIsCiAgInByb2ZpbGVOYW1lIiA6ICJfMW5kcmFfIiwKICAic2lnbmF0dXJlUmVxdWlyZWQiIDogdHJ1ZSwK' +
+  'ICAidGV4dHVyZXMiIDogewogICAgIlNLSU4iIDogewogICAgICAidXJsIiA6ICJodHRwOi8vdGV4dHVyZXMubWluZWNyYWZ0' +
+  'Lm5ldC90ZXh0dXJlLzY1YTRlODFlZDlhMDI4NTZhODViN2RmNThkMjVlZjk2MjRiZGFiNGMwYzBhYjFkYTVkNGQ1NTQ3MDZm' +
+  'NTNmNzUiCiAgICB9CiAgfQp9';
+const MOJANG_SIGNATURE =
+  'aZ57hejQIQmNN7HLYGhngcIe06sZ3xOVePec1YDBlyfiOL/KkdejxPkp8HsfnMt13rV8erGIRj9dEYqofPmM++mJRZvzkWvU' +
+  'Ch2HoBbKd8wFe/Ta1y3yy5k14sT9dLGR3nZR4JnP6pexVRL97iXr7obt9dxHMvgEMgAxtK1ygNBFpJzq8cvDU7CzcGi7mr4B' +
+  '/Ul5+SqlAPv/ezQMG2rW7saAgpG53Kxe1c7e+4lStpT8Ar6Wl/pcU2tFayiX4scGiYI2XeZb3kTEdbR9a79r6lf8pVcCohza' +
+  'yqyL8SvGDSrt3pIQ6EQRZTY/BFTfKoN9NzffipE+s4MIKC6Y8aj7ZfzGqrSJ2AE3dPYwxvYibq8RB5sPgcPkiUmlLr3Lbg1Q' +
+  '9FsK1C6iYlVJiihHVRS/jzSh11WyLGQJwf8dq0uW0X+1eD51znuZ04gDApnJ3SkOJ4IWm2wBZL7IML2oZJMg+2L5V3GV3196' +
+  'I9vDT0We59v2QMqIZVsIjeEQVvkKjnrZdrzDUu6VSIFiVBKQHcHzlShKL/pQm1U1o5c63ZvrCtHZTmNN4omT9VfXZKOXFAhU' +
+  'WcZVaCtfJFPAPOrsGm7R41gCtIH0Qq4Cy39xKBIulj9ACiojRW9SyM/m1qrbBzfGEtUI+KzULGvVoY97kHnWh5NNi+TgF165' +
+  'I6J9OAbk61o=';
+
+const vectors = [
+  ['Signed value', value, signature, { publicKey }, SIGNATURE_VALID],
+  ['Forged value', forgedValue, signature, { publicKey }, SIGNATURE_INVALID],
+  ['Forged signature', value, forgedSignature, { publicKey }, SIGNATURE_INVALID],
+  ['Truncated signature', value, signature.slice(0, 100), { publicKey }, SIGNATURE_INVALID],
+  ['Malformed signature', value, 'not base64!', { publicKey }, SIGNATURE_INVALID],
+  ['Signature without value', null, signature, { publicKey }, SIGNATURE_INVALID],
+  ['Unsigned value', value, null, { publicKey }, SIGNATURE_UNSIGNED],
+  ['Signed by another key', value, signature, {}, SIGNATURE_INVALID],
+  ['Signed by Mojang', MOJANG_VALUE, MOJANG_SIGNATURE, {}, SIGNATURE_VALID],
+  ['Mojang signature reused', value, MOJANG_SIGNATURE, {}, SIGNATURE_INVALID]
+];
+
+let failures = 0;
+for (const [label, textureValue, textureSignature, options, expected] of vectors) {
+  const status = await verifyTextureSignature(textureValue, textureSignature, options);
+  const passed = status === expected;
+  failures += passed ? 0 : 1;
+  console.log(`${passed ? 'ok  ' : 'FAIL'} ${label.padEnd(26)} ${status}${passed ? '' : ` (expected ${expected})`}`);
+}
+
+process.exitCode = failures > 0 ? 1 : 0;
+
+/**
+ * Encode text or bytes as base64
+ * @param {string|ArrayBuffer} data - Data to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(data) {
+  return Buffer.from(typeof data === 'string' ? data : new Uint8Array(data)).toString('base64');
+}
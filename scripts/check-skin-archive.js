@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Skin archive checks
+ * Builds a ZIP with createSkinArchive and a stub fetchTexture, reads it back and checks
+ * file names for colliding and unsafe names, manifest errors for failed fetches and
+ * missing textures, and that textures off textures.minecraft.net are never requested. Runs offline
+ *
+ * Usage: node scripts/check-skin-archive.js
+ */
+
+import pako from 'pako';
+import { createSkinArchive } from '../src/skin-archive.js';
+
+const TEXTURE_BASE = 'http://textures.minecraft.net/texture/';
+const PNG = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3, 4]);
+
+/**
+ * Create a skin whose texture value points at a URL
+ * @param {Object} fields - Skin fields (name, customName, ...)
+ * @param {string|null} url - Skin texture URL, or null for a skin without a texture value
+ * @returns {Object} Skin object
+ */
+function skin(fields, url) {
+  const textureValue = url ? Buffer.from(JSON.stringify({ textures: { SKIN: { url } } })).toString('base64') : null;
+  return { name: null, customName: null, uuid: null, textureSignature: null, ...fields, textureValue };
+}
+
+const skins = [
+  skin({ name: 'Steve' }, `${TEXTURE_BASE}aaaa`),
+  skin({ name: 'Steve' }, `${TEXTURE_BASE}bbbb`),
+  // Collides with the two above on case-insensitive file systems
+  skin({ name: 'STEVE' }, `${TEXTURE_BASE}cccc`),
+  skin({ customName: 'a/b:c*?' }, `${TEXTURE_BASE}dddd`),
+  // The stub fails this one
+  skin({ name: 'Broken' }, `${TEXTURE_BASE}ffff`),
+  skin({ name: 'Elsewhere' }, 'https://127.0.0.1:8080/texture/eeee'),
+  skin({ name: 'Script' }, 'javascript:alert(1)'),
+  skin({ name: 'Blank' }, null)
+];
+
+const requested = [];
+const fetchTexture = async (url) => {
+  requested.push(url);
+  if (url.endsWith('ffff')) {
+    throw new Error('HTTP 404 Not Found');
+  }
+  return PNG;
+};
+
+/**
+ * Read the files of a ZIP built by ZipWriter
+ * @param {Uint8Array} zip - ZIP file contents
+ * @returns {Map<string, Uint8Array>} File contents by name
+ */
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const files = new Map();
+  let offset = 0;
+
+  // Local file headers come first, the central directory starts with another signature
+  while (view.getUint32(offset, true) === 0x04034b50) {
+    const method = view.getUint16(offset + 8, true);
+    const compressedSize = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const extraLength = view.getUint16(offset + 28, true);
+    const name = new TextDecoder().decode(zip.subarray(offset + 30, offset + 30 + nameLength));
+    const start = offset + 30 + nameLength + extraLength;
+    const data = zip.subarray(start, start + compressedSize);
+    files.set(name, method === 8 ? pako.inflateRaw(data) : data);
+    offset = start + compressedSize;
+  }
+
+  return files;
+}
+
+let failures = 0;
+const check = (label, passed, detail = '') => {
+  failures += passed ? 0 : 1;
+  console.log(`${passed ? 'ok  ' : 'FAIL'} ${label}${passed || !detail ? '' : ` (${detail})`}`);
+};
+
+// Failed fetches are logged as warnings, keep the output to the checks
+console.warn = () => {};
+
+const progress = [];
+const files = readZip(await createSkinArchive(skins, { fetchTexture, onProgress: (done, total) => progress.push(`${done}/${total}`) }));
+const manifest = JSON.parse(new TextDecoder().decode(files.get('manifest.json')));
+
+const expectedFiles = ['Steve.png', 'Steve (2).png', 'STEVE (3).png', 'a_b_c__.png', 'manifest.json'];
+check('Files in the archive', [...files.keys()].join('|') === expectedFiles.join('|'), [...files.keys()].join(', '));
+check('Texture bytes stored unchanged', Buffer.from(files.get('Steve.png')).equals(Buffer.from(PNG)));
+check('One manifest entry per skin', manifest.length === skins.length, manifest.length);
+check('Manifest points at the files', manifest.slice(0, 4).every((entry, index) => entry.file === expectedFiles[index]));
+check('Textures fetched over https', requested.every(url => url.startsWith('https://textures.minecraft.net/')), requested.join(', '));
+check('Failed fetch listed with its error', manifest[4].file === null && manifest[4].error === 'HTTP 404 Not Found', manifest[4].error);
+check('Other hosts never requested', !requested.some(url => url.includes('127.0.0.1')));
+check('Other hosts listed as not fetched', manifest[5].file === null && /127\.0\.0\.1/.test(manifest[5].error ?? ''), manifest[5].error);
+check('Non-http URLs listed without a texture', manifest[6].textureUrl === null && manifest[6].error === 'No texture', manifest[6].error);
+check('Skins without a texture value listed', manifest[7].error === 'No texture', manifest[7].error);
+check('Progress reported per skin', progress.join(' ') === '1/8 2/8 3/8 4/8 5/8 6/8 7/8 8/8', progress.join(' '));
+
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,97 @@
+/**
+ * Background Extractor Module
+ * Runs skin extraction and the inspector's NBT parse in a Web Worker, with progress reporting and cancellation
+ */
+
+import { applyTagTypeTable } from './nbt-reader.js';
+
+// What the worker is asked to read
+export const KIND_SCHEMATIC = 'schematic';
+export const KIND_REGION = 'region';
+// The whole NBT tree of one schematic, for the inspector
+export const KIND_NBT = 'nbt';
+
+// Messages posted back by the worker
+export const MESSAGE_PROGRESS = 'progress';
+export const MESSAGE_RESULT = 'result';
+export const MESSAGE_ERROR = 'error';
+
+/**
+ * Extract skins from files in a worker
+ * Aborting the signal terminates the worker immediately, even mid-parse
+ * @param {Array<File>} files - One schematic file, or any number of region files
+ * @param {string} kind - KIND_SCHEMATIC or KIND_REGION
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the progress objects from skin-extractor
+ * @param {AbortSignal} [options.signal] - Cancels the extraction
+ * @returns {Promise<{skins: Array, regions: Array, format: string|null}>} Extraction results;
+ *   rejects with an AbortError when cancelled
+ */
+export function extractSkinsInBackground(files, kind, options = {}) {
+  return runWorker(files, kind, options);
+}
+
+/**
+ * Parse a schematic file into its NBT tree in a worker
+ * The tree comes back as a structured clone, its tag types as a table next to it
+ * @param {File} file - Schematic file
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with the inflating and parsing progress objects
+ * @param {AbortSignal} [options.signal] - Cancels the parse
+ * @returns {Promise<Object>} The parsed NBT data ({ name, value }); rejects with an AbortError when cancelled
+ */
+export async function parseNBTInBackground(file, options = {}) {
+  const { name, value, tagTypes } = await runWorker([file], KIND_NBT, options);
+  applyTagTypeTable(value, tagTypes);
+  return { name, value };
+}
+
+/**
+ * Post one job to a new extraction worker and wait for its result
+ * @param {Array<File>} files - Files to read
+ * @param {string} kind - One of the KIND_* constants
+ * @param {Object} options - onProgress and signal, see extractSkinsInBackground
+ * @returns {Promise<*>} The worker's result
+ */
+function runWorker(files, kind, { onProgress = () => {}, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const worker = new Worker(new URL('./extraction-worker.js', import.meta.url), { type: 'module' });
+
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    const onAbort = () => {
+      finish();
+      reject(signal.reason);
+    };
+
+    worker.addEventListener('message', (e) => {
+      const { type } = e.data;
+
+      if (type === MESSAGE_PROGRESS) {
+        onProgress(e.data.progress);
+      } else if (type === MESSAGE_RESULT) {
+        finish();
+        resolve(e.data.result);
+      } else if (type === MESSAGE_ERROR) {
+        finish();
+        reject(new Error(e.data.message));
+      }
+    });
+
+    worker.addEventListener('error', (e) => {
+      finish();
+      reject(new Error(e.message || 'Extraction worker failed to start'));
+    });
+
+    signal?.addEventListener('abort', onAbort);
+    worker.postMessage({ files, kind });
+  });
+}
@@ -0,0 +1,198 @@
+/**
+ * Command Generator Module
+ * Builds /give and /setblock commands that recreate a player head in-game
+ */
+
+import { uuidToIntArray } from './nbt-reader.js';
+
+// Command syntaxes, one per range of Minecraft versions
+export const VERSION_LEGACY = 'legacy';
+export const VERSION_COMPONENTS = 'components';
+export const VERSION_SNBT_TEXT = 'snbt-text';
+
+/**
+ * Selectable target versions
+ * - legacy: item NBT with SkullOwner, UUIDs as int arrays (1.16 - 1.20.4)
+ * - components: item components, text components as JSON strings (1.20.5 - 1.21.4)
+ * - snbt-text: item components, text components as SNBT (1.21.5+)
+ * There are two profile syntaxes: components and snbt-text write the same minecraft:profile
+ * compound and only encode the custom name differently
+ */
+export const COMMAND_VERSIONS = [
+  { id: VERSION_SNBT_TEXT, label: '1.21.5+ (profile component, SNBT text names)' },
+  { id: VERSION_COMPONENTS, label: '1.20.5 – 1.21.4 (profile component, JSON text names)' },
+  { id: VERSION_LEGACY, label: '1.16 – 1.20.4 (SkullOwner NBT)' }
+];
+
+/**
+ * Generate a /give command for a head with this skin
+ * @param {Object} skin - Skin data object
+ * @param {string} version - One of the VERSION_* constants
+ * @param {Object} [options]
+ * @param {string} [options.target] - Target selector
+ * @param {number} [options.count] - Number of heads
+ * @returns {string} The command
+ */
+export function generateGiveCommand(skin, version, { target = '@p', count = 1 } = {}) {
+  const customName = getCustomNameText(skin);
+
+  if (version === VERSION_LEGACY) {
+    const tag = [`SkullOwner:${formatLegacyProfile(skin)}`];
+    if (customName) {
+      tag.push(`display:{Name:${quoteSingle(JSON.stringify({ text: customName, italic: false }))}}`);
+    }
+    return `/give ${target} minecraft:player_head{${tag.join(',')}} ${count}`;
+  }
+
+  const components = [`minecraft:profile=${formatProfile(skin)}`];
+  if (customName) {
+    components.push(`minecraft:custom_name=${formatTextComponent(customName, version)}`);
+  }
+  return `/give ${target} minecraft:player_head[${components.join(',')}] ${count}`;
+}
+
+/**
+ * Generate a /setblock command that places a head with this skin
+ * @param {Object} skin - Skin data object
+ * @param {string} version - One of the VERSION_* constants
+ * @param {Object} [options]
+ * @param {string} [options.position] - Block position
+ * @returns {string} The command
+ */
+export function generateSetblockCommand(skin, version, { position = '~ ~ ~' } = {}) {
+  if (version === VERSION_LEGACY) {
+    return `/setblock ${position} minecraft:player_head{SkullOwner:${formatLegacyProfile(skin)}}`;
+  }
+
+  const data = [`profile:${formatProfile(skin)}`];
+  const customName = getCustomNameText(skin);
+  if (customName) {
+    data.push(`custom_name:${formatTextComponent(customName, version)}`);
+  }
+  return `/setblock ${position} minecraft:player_head{${data.join(',')}}`;
+}
+
+/**
+ * Format a profile in the pre-1.20.5 SkullOwner shape
+ * @param {Object} skin - Skin data object
+ * @returns {string} SNBT compound
+ */
+export function formatLegacyProfile(skin) {
+  const fields = [];
+  const uuid = formatUUID(skin.uuid);
+
+  if (uuid) {
+    fields.push(`Id:${uuid}`);
+  }
+  if (skin.name) {
+    fields.push(`Name:${quote(skin.name)}`);
+  }
+  if (skin.textureValue) {
+    const texture = [`Value:${quote(skin.textureValue)}`];
+    if (skin.textureSignature) {
+      texture.push(`Signature:${quote(skin.textureSignature)}`);
+    }
+    fields.push(`Properties:{textures:[{${texture.join(',')}}]}`);
+  }
+
+  return `{${fields.join(',')}}`;
+}
+
+/**
+ * Format a profile in the 1.20.5+ minecraft:profile shape, used by both component syntaxes
+ * @param {Object} skin - Skin data object
+ * @returns {string} SNBT compound
+ */
+function formatProfile(skin) {
+  const fields = [];
+  const uuid = formatUUID(skin.uuid);
+
+  if (skin.name) {
+    fields.push(`name:${quote(skin.name)}`);
+  }
+  if (uuid) {
+    fields.push(`id:${uuid}`);
+  }
+  if (skin.textureValue) {
+    const property = ['name:"textures"', `value:${quote(skin.textureValue)}`];
+    if (skin.textureSignature) {
+      property.push(`signature:${quote(skin.textureSignature)}`);
+    }
+    fields.push(`properties:[{${property.join(',')}}]`);
+  }
+
+  return `{${fields.join(',')}}`;
+}
+
+/**
+ * Format a non-italic text component for the target version
+ * 1.21.5 switched text components in NBT from JSON strings to SNBT
+ * @param {string} text - Plain text
+ * @param {string} version - One of the VERSION_* constants
+ * @returns {string} SNBT value
+ */
+function formatTextComponent(text, version) {
+  if (version === VERSION_SNBT_TEXT) {
+    return `{text:${quote(text)},italic:false}`;
+  }
+  return quoteSingle(JSON.stringify({ text, italic: false }));
+}
+
+/**
+ * Get the plain text of a skin's custom name
+ * Custom names may be a text component object, a JSON string or plain text
+ * @param {Object} skin - Skin data object
+ * @returns {string|null} Plain text, or null without a custom name
+ */
+export function getCustomNameText(skin) {
+  const { customName } = skin;
+
+  if (customName && typeof customName === 'object' && typeof customName.text === 'string') {
+    return customName.text || null;
+  }
+
+  if (typeof customName !== 'string' || customName.trim() === '') {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(customName);
+    if (typeof parsed === 'string') {
+      return parsed;
+    }
+    if (parsed && typeof parsed.text === 'string') {
+      return parsed.text;
+    }
+  } catch (e) {
+    // Not JSON, use the plain string
+  }
+  return customName;
+}
+
+/**
+ * Convert a UUID string to the SNBT int array form
+ * @param {string|null} uuid - UUID with or without dashes
+ * @returns {string|null} e.g. "[I;1,2,3,4]", or null for missing/invalid UUIDs
+ */
+function formatUUID(uuid) {
+  const ints = uuidToIntArray(uuid);
+  return ints ? `[I;${ints.join(',')}]` : null;
+}
+
+/**
+ * Quote a string for SNBT with double quotes
+ * @param {string} value - String value
+ * @returns {string} Quoted string
+ */
+function quote(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Quote a string for SNBT with single quotes (used for embedded JSON)
+ * @param {string} value - String value
+ * @returns {string} Quoted string
+ */
+function quoteSingle(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
@@ -0,0 +1,120 @@
+/**
+ * Compare Panel Module
+ * Renders the head changes between two schematic versions
+ */
+
+import { formatOccurrence } from './skin-diff.js';
+
+/**
+ * Fill the compare panel with a diff report
+ * @param {HTMLElement} container - Panel element
+ * @param {Object} report - Report from createDiffReport
+ */
+export function renderComparePanel(container, report) {
+  container.innerHTML = '';
+
+  const { summary } = report;
+  const counts = document.createElement('dl');
+  counts.className = 'compare-summary';
+  for (const [label, value, kind] of [
+    ['Added', summary.added, 'added'],
+    ['Removed', summary.removed, 'removed'],
+    ['Moved', summary.moved, 'moved'],
+    ['Re-skinned', summary.reskinned, 'reskinned'],
+    ['Unchanged', summary.unchanged, 'unchanged']
+  ]) {
+    const item = document.createElement('div');
+    item.className = `compare-count compare-${kind}`;
+    const term = document.createElement('dt');
+    const detail = document.createElement('dd');
+    term.textContent = label;
+    detail.textContent = value;
+    item.append(term, detail);
+    counts.appendChild(item);
+  }
+  container.appendChild(counts);
+
+  addSection(container, 'Added', 'added', ['Skin', 'Location'], report.added.map(({ skin, location }) =>
+    [skin, formatOccurrence(location)]));
+  addSection(container, 'Removed', 'removed', ['Skin', 'Location'], report.removed.map(({ skin, location }) =>
+    [skin, formatOccurrence(location)]));
+  addSection(container, 'Moved', 'moved', ['Skin', 'From', 'To'], report.moved.map(({ skin, from, to }) =>
+    [skin, formatOccurrence(from), formatOccurrence(to)]));
+  addSection(container, 'Re-skinned', 'reskinned', ['Location', 'Before', 'After'], report.reskinned.map(({ location, before, after }) =>
+    [formatOccurrence(location), before, after]));
+
+  if (summary.added + summary.removed + summary.moved + summary.reskinned === 0) {
+    const message = document.createElement('p');
+    message.className = 'compare-empty';
+    message.textContent = 'No heads changed between the two files.';
+    container.appendChild(message);
+  }
+
+  container.hidden = false;
+}
+
+/**
+ * Append a titled table of changes, skipped when there are none
+ * @param {HTMLElement} container - Panel element
+ * @param {string} title - Section title
+ * @param {string} kind - Change kind, used as a class name
+ * @param {Array<string>} columns - Column headings
+ * @param {Array<Array<string|Object>>} rows - Cells: text, or skin records shown by name with a texture link
+ */
+function addSection(container, title, kind, columns, rows) {
+  if (rows.length === 0) {
+    return;
+  }
+
+  const section = document.createElement('section');
+  section.className = `compare-changes compare-${kind}`;
+
+  const heading = document.createElement('h3');
+  heading.textContent = `${title} (${rows.length})`;
+
+  const table = document.createElement('table');
+  const headRow = table.createTHead().insertRow();
+  for (const column of columns) {
+    const cell = document.createElement('th');
+    cell.textContent = column;
+    headRow.appendChild(cell);
+  }
+
+  const body = table.createTBody();
+  for (const row of rows) {
+    const tableRow = body.insertRow();
+    for (const value of row) {
+      const cell = tableRow.insertCell();
+      if (typeof value === 'string') {
+        cell.textContent = value;
+      } else {
+        cell.appendChild(createSkinLabel(value));
+      }
+    }
+  }
+
+  section.append(heading, table);
+  container.appendChild(section);
+}
+
+/**
+ * Show a skin record as its name, linked to its texture when it has one
+ * @param {Object} skin - Skin record from createDiffReport
+ * @returns {HTMLElement} Label element
+ */
+function createSkinLabel(skin) {
+  // Texture URLs come from the file, only link web addresses
+  if (!/^https?:\/\//.test(skin.textureUrl || '')) {
+    const label = document.createElement('span');
+    label.textContent = skin.displayName;
+    return label;
+  }
+
+  const link = document.createElement('a');
+  link.href = skin.textureUrl;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = skin.displayName;
+  link.title = skin.textureHash || skin.textureUrl;
+  return link;
+}
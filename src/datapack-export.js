@@ -0,0 +1,234 @@
+/**
+ * Datapack Export Module
+ * Builds a datapack ZIP that hands out every head: one function per head, a function
+ * giving them all, loot tables and a function that fills chests with them
+ */
+
+import { ZipWriter } from './zip-writer.js';
+import { uuidToIntArray } from './nbt-reader.js';
+import { getDisplayName } from './skin-extractor.js';
+import {
+  generateGiveCommand,
+  formatLegacyProfile,
+  getCustomNameText,
+  VERSION_LEGACY,
+  VERSION_COMPONENTS,
+  VERSION_SNBT_TEXT
+} from './command-generator.js';
+
+// Slots in a single chest
+const CHEST_SIZE = 27;
+const MAX_FUNCTION_NAME_LENGTH = 48;
+export const DEFAULT_NAMESPACE = 'heads';
+
+/**
+ * Selectable target versions, newest first
+ * - packFormat: data pack format written to pack.mcmeta
+ * - commands: command syntax, one of the VERSION_* constants of the command generator
+ * - singularFolders: 1.21 renamed "functions" and "loot_tables" to "function" and "loot_table"
+ * - formatRange: 1.21.9 replaced pack_format with min_format and max_format
+ */
+export const DATAPACK_VERSIONS = [
+  { id: '1.21.9', label: '1.21.9 – 1.21.10', packFormat: 88, commands: VERSION_SNBT_TEXT, singularFolders: true, formatRange: true },
+  { id: '1.21.7', label: '1.21.7 – 1.21.8', packFormat: 81, commands: VERSION_SNBT_TEXT, singularFolders: true },
+  { id: '1.21.6', label: '1.21.6', packFormat: 80, commands: VERSION_SNBT_TEXT, singularFolders: true },
+  { id: '1.21.5', label: '1.21.5', packFormat: 71, commands: VERSION_SNBT_TEXT, singularFolders: true },
+  { id: '1.21.4', label: '1.21.4', packFormat: 61, commands: VERSION_COMPONENTS, singularFolders: true },
+  { id: '1.21.2', label: '1.21.2 – 1.21.3', packFormat: 57, commands: VERSION_COMPONENTS, singularFolders: true },
+  { id: '1.21', label: '1.21 – 1.21.1', packFormat: 48, commands: VERSION_COMPONENTS, singularFolders: true },
+  { id: '1.20.5', label: '1.20.5 – 1.20.6', packFormat: 41, commands: VERSION_COMPONENTS, singularFolders: false },
+  { id: '1.20.3', label: '1.20.3 – 1.20.4', packFormat: 26, commands: VERSION_LEGACY, singularFolders: false },
+  { id: '1.20.2', label: '1.20.2', packFormat: 18, commands: VERSION_LEGACY, singularFolders: false },
+  { id: '1.20', label: '1.20 – 1.20.1', packFormat: 15, commands: VERSION_LEGACY, singularFolders: false },
+  { id: '1.19.4', label: '1.19.4', packFormat: 12, commands: VERSION_LEGACY, singularFolders: false },
+  { id: '1.19', label: '1.19 – 1.19.3', packFormat: 10, commands: VERSION_LEGACY, singularFolders: false },
+  { id: '1.18.2', label: '1.18.2', packFormat: 9, commands: VERSION_LEGACY, singularFolders: false },
+  { id: '1.18', label: '1.18 – 1.18.1', packFormat: 8, commands: VERSION_LEGACY, singularFolders: false },
+  { id: '1.17', label: '1.17 – 1.17.1', packFormat: 7, commands: VERSION_LEGACY, singularFolders: false },
+  { id: '1.16.2', label: '1.16.2 – 1.16.5', packFormat: 6, commands: VERSION_LEGACY, singularFolders: false },
+  { id: '1.16', label: '1.16 – 1.16.1', packFormat: 5, commands: VERSION_LEGACY, singularFolders: false }
+];
+
+/**
+ * Find the datapack version that uses a command syntax, for preselecting a target
+ * @param {string} commands - One of the VERSION_* constants of the command generator
+ * @returns {Object} Newest matching entry of DATAPACK_VERSIONS
+ */
+export function getDatapackVersionForCommands(commands) {
+  return DATAPACK_VERSIONS.find(version => version.commands === commands) || DATAPACK_VERSIONS[0];
+}
+
+/**
+ * Turn text into a valid namespace: lowercase letters, digits, "_", "-" and "."
+ * @param {string} text - File name or user input
+ * @returns {string} Namespace, DEFAULT_NAMESPACE when nothing usable is left
+ */
+export function toNamespace(text) {
+  const namespace = String(text ?? '')
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, '')
+    .replace(/[^a-z0-9_.-]+/g, '_')
+    .replace(/^[_.-]+|[_.-]+$/g, '')
+    .slice(0, MAX_FUNCTION_NAME_LENGTH);
+  return namespace || DEFAULT_NAMESPACE;
+}
+
+/**
+ * Build a datapack for the skins
+ * Contents, with "function" and "loot_table" spelled in the plural before 1.21:
+ * - data/<namespace>/function/give_all.mcfunction: runs every head function
+ * - data/<namespace>/function/heads/<name>.mcfunction: gives the running player one head
+ * - data/<namespace>/function/fill_chest.mcfunction: places chests in a row east of the
+ *   running position and fills them with every head
+ * - data/<namespace>/loot_table/all_heads.json: one of every head, for /loot
+ * - data/<namespace>/loot_table/chest_<n>.json: the heads of the n-th chest
+ * Skins without a texture value still get a head by name and UUID
+ * @param {Array} skins - Skin objects
+ * @param {Object} options
+ * @param {string} options.version - Id of an entry of DATAPACK_VERSIONS
+ * @param {string} [options.namespace] - Datapack namespace, cleaned with toNamespace
+ * @param {string} [options.description] - Text shown in the datapack list
+ * @returns {{data: Uint8Array, namespace: string, functionNames: Array<string>}} ZIP data, the
+ *   namespace used and the head function of each skin
+ */
+export function createDatapack(skins, { version, namespace = DEFAULT_NAMESPACE, description = 'Player heads' }) {
+  const target = DATAPACK_VERSIONS.find(entry => entry.id === version);
+  if (!target) {
+    throw new Error(`Unknown datapack version "${version}"`);
+  }
+
+  const safeNamespace = toNamespace(namespace);
+  const functionDir = `data/${safeNamespace}/${target.singularFolders ? 'function' : 'functions'}`;
+  const lootTableDir = `data/${safeNamespace}/${target.singularFolders ? 'loot_table' : 'loot_tables'}`;
+  const functionNames = getHeadFunctionNames(skins);
+  const zip = new ZipWriter();
+
+  zip.addFile('pack.mcmeta', JSON.stringify({ pack: createPackInfo(target, description) }, null, 2) + '\n');
+
+  skins.forEach((skin, index) => {
+    // Function files hold commands without the leading slash
+    const command = generateGiveCommand(skin, target.commands, { target: '@s' }).slice(1);
+    zip.addFile(`${functionDir}/heads/${functionNames[index]}.mcfunction`, `${command}\n`);
+  });
+
+  const giveAll = functionNames.map(name => `function ${safeNamespace}:heads/${name}`);
+  zip.addFile(`${functionDir}/give_all.mcfunction`, giveAll.join('\n') + '\n');
+
+  const entries = skins.map(skin => createLootEntry(skin, target.commands));
+  zip.addFile(`${lootTableDir}/all_heads.json`, formatLootTable(entries));
+
+  const fillChest = [];
+  for (let start = 0, chest = 1; start < entries.length; start += CHEST_SIZE, chest++) {
+    // Every other block, so neighbouring chests do not join into double chests
+    const x = chest === 1 ? '~' : `~${(chest - 1) * 2}`;
+    zip.addFile(`${lootTableDir}/chest_${chest}.json`, formatLootTable(entries.slice(start, start + CHEST_SIZE)));
+    fillChest.push(
+      `setblock ${x} ~ ~ minecraft:chest replace`,
+      `loot insert ${x} ~ ~ loot ${safeNamespace}:chest_${chest}`
+    );
+  }
+  zip.addFile(`${functionDir}/fill_chest.mcfunction`, fillChest.join('\n') + '\n');
+
+  return { data: zip.generate(), namespace: safeNamespace, functionNames };
+}
+
+/**
+ * Build the "pack" object of pack.mcmeta
+ * @param {Object} target - Entry of DATAPACK_VERSIONS
+ * @param {string} description - Pack description
+ * @returns {Object} Pack info
+ */
+function createPackInfo(target, description) {
+  if (target.formatRange) {
+    return { description, min_format: target.packFormat, max_format: target.packFormat };
+  }
+  return { pack_format: target.packFormat, description };
+}
+
+/**
+ * Name each skin's head function after its display name
+ * Function names may only hold lowercase letters, digits, "_", "-" and "."
+ * @param {Array} skins - Skin objects
+ * @returns {Array<string>} Unique function names, in skin order
+ */
+function getHeadFunctionNames(skins) {
+  const used = new Set();
+
+  return skins.map((skin, index) => {
+    const base = getDisplayName(skin, index)
+      .toLowerCase()
+      .replace(/[^a-z0-9_.-]+/g, '_')
+      .replace(/^[_.-]+|[_.-]+$/g, '')
+      .slice(0, MAX_FUNCTION_NAME_LENGTH) || `skin_${index + 1}`;
+    let name = base;
+
+    for (let n = 2; used.has(name); n++) {
+      name = `${base}_${n}`;
+    }
+
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * Build the loot table entry dropping one head with this skin
+ * @param {Object} skin - Skin object
+ * @param {string} commands - One of the VERSION_* constants of the command generator
+ * @returns {Object} Loot table entry
+ */
+function createLootEntry(skin, commands) {
+  const functions = [];
+
+  if (commands === VERSION_LEGACY) {
+    functions.push({ function: 'minecraft:set_nbt', tag: `{SkullOwner:${formatLegacyProfile(skin)}}` });
+  } else {
+    functions.push({ function: 'minecraft:set_components', components: { 'minecraft:profile': createProfileComponent(skin) } });
+  }
+
+  const customName = getCustomNameText(skin);
+  if (customName) {
+    functions.push({ function: 'minecraft:set_name', name: { text: customName, italic: false } });
+  }
+
+  return { type: 'minecraft:item', name: 'minecraft:player_head', functions };
+}
+
+/**
+ * Build the 1.20.5+ minecraft:profile component as JSON
+ * @param {Object} skin - Skin object
+ * @returns {Object} Profile component
+ */
+function createProfileComponent(skin) {
+  const profile = {};
+  const id = uuidToIntArray(skin.uuid);
+
+  if (skin.name) {
+    profile.name = skin.name;
+  }
+  if (id) {
+    profile.id = Array.from(id);
+  }
+  if (skin.textureValue) {
+    const property = { name: 'textures', value: skin.textureValue };
+    if (skin.textureSignature) {
+      property.signature = skin.textureSignature;
+    }
+    profile.properties = [property];
+  }
+
+  return profile;
+}
+
+/**
+ * Serialize a loot table with one single-roll pool per entry, so every head drops once
+ * @param {Array<Object>} entries - Loot table entries
+ * @returns {string} JSON text
+ */
+function formatLootTable(entries) {
+  const lootTable = {
+    type: 'minecraft:chest',
+    pools: entries.map(entry => ({ rolls: 1, entries: [entry] }))
+  };
+  return JSON.stringify(lootTable, null, 2) + '\n';
+}
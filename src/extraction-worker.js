@@ -0,0 +1,31 @@
+/**
+ * Extraction Worker
+ * Runs skin extraction, and the inspector's NBT parse, off the main thread so large files
+ * do not freeze the page. Receives { files, kind } and posts progress, result or error messages back
+ */
+
+import { extractSkinsFromLitematic, extractSkinsFromRegionFiles, parseSchematicFile } from './skin-extractor.js';
+import { getTagTypeTable } from './nbt-reader.js';
+import { KIND_REGION, KIND_NBT, MESSAGE_PROGRESS, MESSAGE_RESULT, MESSAGE_ERROR } from './background-extractor.js';
+
+self.addEventListener('message', async (e) => {
+  const { files, kind } = e.data;
+  const onProgress = (progress) => self.postMessage({ type: MESSAGE_PROGRESS, progress });
+
+  try {
+    if (kind === KIND_NBT) {
+      const { name, value } = parseSchematicFile(await files[0].arrayBuffer(), { onProgress });
+      const tagTypes = getTagTypeTable(value);
+      self.postMessage({ type: MESSAGE_RESULT, result: { name, value, tagTypes } }, [tagTypes.buffer]);
+      return;
+    }
+
+    const result = kind === KIND_REGION
+      ? await extractSkinsFromRegionFiles(files, { onProgress })
+      : await extractSkinsFromLitematic(await files[0].arrayBuffer(), { onProgress });
+
+    self.postMessage({ type: MESSAGE_RESULT, result });
+  } catch (error) {
+    self.postMessage({ type: MESSAGE_ERROR, message: error.message });
+  }
+});
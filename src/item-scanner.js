@@ -0,0 +1,205 @@
+/**
+ * Item Scanner Module
+ * Finds player head items stored in block entity inventories and on entities
+ * Understands both the pre-1.20.5 item format (tag.SkullOwner) and the
+ * 1.20.5+ data component format (components["minecraft:profile"])
+ */
+
+// Entity equipment lists, indexed by slot
+const ARMOR_SLOTS = ['feet', 'legs', 'chest', 'head'];
+const HAND_SLOTS = ['mainhand', 'offhand'];
+
+/**
+ * Find head items inside a block entity (chests, shulker boxes, barrels, decorated pots, ...)
+ * The block entity's own profile (a placed head) is not included
+ * @param {Object} blockEntity - Block entity compound tag
+ * @returns {Array<{profile: Object|string, customName: *, location: Object}>} Head items found
+ */
+export function findHeadsInBlockEntity(blockEntity) {
+  const results = [];
+  const holder = getId(blockEntity) || 'block entity';
+
+  scanItemList(blockEntity.Items, [], holder, results);
+
+  // Decorated pots hold a single item, jukeboxes a record, lecterns a book
+  for (const key of ['item', 'RecordItem', 'Book']) {
+    if (isItem(blockEntity[key])) {
+      scanItem(blockEntity[key], [{ holder, slot: null }], results);
+    }
+  }
+
+  return results.map(result => ({ ...result, location: { holderType: 'block', item: true, ...result.location } }));
+}
+
+/**
+ * Find head items carried by an entity (item frames, armor stands, mob equipment, minecarts, ...)
+ * Passengers are scanned as well
+ * @param {Object} entity - Entity compound tag
+ * @returns {Array<{profile: Object|string, customName: *, location: Object}>} Head items found
+ */
+export function findHeadsInEntity(entity) {
+  const results = [];
+  scanEntity(entity, [], results);
+  return results.map(result => ({ ...result, location: { holderType: 'entity', item: true, ...result.location } }));
+}
+
+/**
+ * Describe where a head was found, e.g. "Chest slot 3 › Shulker Box slot 5"
+ * @param {Object} location - Location object from the scanner
+ * @returns {string} Human-readable location
+ */
+export function describeLocation(location) {
+  return location.path.map(step => {
+    const name = formatId(step.holder);
+    if (step.slot === null || step.slot === undefined) {
+      return name;
+    }
+    return typeof step.slot === 'number' ? `${name} slot ${step.slot}` : `${name} (${step.slot})`;
+  }).join(' › ');
+}
+
+/**
+ * Scan an entity's inventories and equipment
+ * @param {Object} entity - Entity compound tag
+ * @param {Array} parentPath - Path to the entity (for passengers)
+ * @param {Array} results - Accumulator
+ */
+function scanEntity(entity, parentPath, results) {
+  const holder = getId(entity) || 'entity';
+  const path = [...parentPath];
+
+  // Item frames and dropped items
+  if (isItem(entity.Item)) {
+    scanItem(entity.Item, [...path, { holder, slot: null }], results);
+  }
+
+  // Pre-1.21.5 equipment lists
+  scanEquipmentList(entity.ArmorItems, ARMOR_SLOTS, path, holder, results);
+  scanEquipmentList(entity.HandItems, HAND_SLOTS, path, holder, results);
+
+  // 1.21.5+ equipment compound keyed by slot name
+  if (entity.equipment && typeof entity.equipment === 'object') {
+    for (const slot of Object.keys(entity.equipment)) {
+      if (isItem(entity.equipment[slot])) {
+        scanItem(entity.equipment[slot], [...path, { holder, slot }], results);
+      }
+    }
+  }
+
+  // Chest minecarts, chest boats, donkeys, villagers, allays
+  scanItemList(entity.Items, path, holder, results);
+  scanItemList(entity.Inventory, path, holder, results);
+
+  for (const passenger of entity.Passengers || []) {
+    scanEntity(passenger, [...path, { holder, slot: 'passenger' }], results);
+  }
+}
+
+/**
+ * Scan an equipment list where the index determines the slot
+ * @param {Array|undefined} items - ArmorItems or HandItems
+ * @param {Array<string>} slotNames - Slot name for each index
+ * @param {Array} path - Path to the holder
+ * @param {string} holder - Holder id
+ * @param {Array} results - Accumulator
+ */
+function scanEquipmentList(items, slotNames, path, holder, results) {
+  if (!Array.isArray(items)) {
+    return;
+  }
+
+  items.forEach((item, index) => {
+    if (isItem(item)) {
+      scanItem(item, [...path, { holder, slot: slotNames[index] ?? index }], results);
+    }
+  });
+}
+
+/**
+ * Scan a list of slotted items
+ * @param {Array|undefined} items - Item list (Slot/slot fields are optional)
+ * @param {Array} path - Path to the holder
+ * @param {string} holder - Holder id
+ * @param {Array} results - Accumulator
+ */
+function scanItemList(items, path, holder, results) {
+  if (!Array.isArray(items)) {
+    return;
+  }
+
+  items.forEach((item, index) => {
+    if (isItem(item)) {
+      const slot = item.Slot ?? item.slot ?? index;
+      scanItem(item, [...path, { holder, slot }], results);
+    }
+  });
+}
+
+/**
+ * Check a single item for a head profile and recurse into its contents
+ * @param {Object} item - Item compound tag
+ * @param {Array} path - Path to the item
+ * @param {Array} results - Accumulator
+ */
+function scanItem(item, path, results) {
+  const tag = item.tag || {};
+  const components = item.components || {};
+
+  // Pre-1.20.5: tag.SkullOwner, 1.20.5+: components["minecraft:profile"]
+  const profile = components['minecraft:profile'] || tag.SkullOwner;
+  if (profile) {
+    const customName = components['minecraft:custom_name'] || tag.display?.Name || null;
+    results.push({ profile, customName, location: { path } });
+  }
+
+  const itemId = getId(item) || 'item';
+
+  // Shulker boxes and other container items (pre-1.20.5)
+  scanItemList(tag.BlockEntityTag?.Items, path, itemId, results);
+  // Bundles (pre-1.20.5)
+  scanItemList(tag.Items, path, itemId, results);
+
+  // 1.20.5+: container contents are wrapped as { slot, item }
+  const container = components['minecraft:container'];
+  if (Array.isArray(container)) {
+    for (const entry of container) {
+      if (isItem(entry.item)) {
+        scanItem(entry.item, [...path, { holder: itemId, slot: entry.slot ?? null }], results);
+      }
+    }
+  }
+
+  // 1.20.5+ bundles
+  scanItemList(components['minecraft:bundle_contents'], path, itemId, results);
+}
+
+/**
+ * Check whether a value looks like an item compound
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value has an item id
+ */
+function isItem(value) {
+  return typeof value === 'object' && value !== null && typeof getId(value) === 'string';
+}
+
+/**
+ * Read the id of an item, block entity or entity
+ * @param {Object} compound - Compound tag
+ * @returns {string|undefined} The id
+ */
+function getId(compound) {
+  return compound.id || compound.Id;
+}
+
+/**
+ * Turn "minecraft:shulker_box" into "Shulker Box"
+ * @param {string} id - Namespaced id
+ * @returns {string} Readable name
+ */
+function formatId(id) {
+  return id
+    .replace(/^minecraft:/, '')
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
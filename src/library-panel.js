@@ -0,0 +1,142 @@
+/**
+ * Library Panel Module
+ * Renders saved skins with their tags, notes and favorite flag, and the history of processed files
+ */
+
+import { getSkinTexture, getDisplayName, PLACEHOLDER_IMAGE } from './skin-extractor.js';
+import { renderSkinPreview, PREVIEW_FACE } from './skin-renderer.js';
+import { FORMAT_LABELS } from './schematic-formats.js';
+
+/**
+ * Fill the library grid with saved skins
+ * @param {HTMLElement} grid - Grid element
+ * @param {Array<Object>} entries - Library entries to show
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onUpdate - Called with (key, { tags, notes, favorite }) when an entry is edited
+ * @param {Function} callbacks.onDelete - Called with the key of an entry to remove
+ */
+export function renderLibraryGrid(grid, entries, { onUpdate, onDelete }) {
+  grid.innerHTML = '';
+
+  entries.forEach((entry, index) => {
+    const card = document.createElement('div');
+    card.className = 'skin-card library-card';
+    card.innerHTML = `
+      <button class="favorite-btn" type="button" aria-pressed="${entry.favorite}"></button>
+      <img class="skin-preview" src="${PLACEHOLDER_IMAGE}" alt="">
+      <div class="skin-info">
+        <div class="skin-name"></div>
+        <div class="skin-aliases"></div>
+        <div class="skin-sources"></div>
+      </div>
+      <label class="library-field">
+        Tags
+        <input type="text" class="library-tags" placeholder="builder, statue">
+      </label>
+      <label class="library-field">
+        Notes
+        <textarea class="library-notes" rows="2"></textarea>
+      </label>
+      <div class="skin-actions">
+        <button class="btn btn-secondary btn-small library-delete-btn" type="button">Remove</button>
+      </div>
+    `;
+
+    const displayName = getDisplayName(entry, index);
+    card.querySelector('.skin-name').textContent = displayName;
+    card.querySelector('.skin-preview').alt = displayName;
+    card.querySelector('.skin-aliases').textContent = entry.names.length > 1 ? `Also seen as ${entry.names.filter(name => name !== entry.name).join(', ')}` : '';
+    card.querySelector('.skin-sources').textContent = entry.sources.join(', ');
+    card.querySelector('.skin-sources').title = entry.sources.join('\n');
+
+    const favoriteBtn = card.querySelector('.favorite-btn');
+    favoriteBtn.textContent = entry.favorite ? '★' : '☆';
+    favoriteBtn.title = entry.favorite ? 'Remove from favorites' : 'Add to favorites';
+    favoriteBtn.addEventListener('click', () => onUpdate(entry.key, { favorite: !entry.favorite }));
+
+    const tagsInput = card.querySelector('.library-tags');
+    tagsInput.value = entry.tags.join(', ');
+    tagsInput.addEventListener('change', () => onUpdate(entry.key, { tags: tagsInput.value.split(',') }));
+
+    const notesInput = card.querySelector('.library-notes');
+    notesInput.value = entry.notes;
+    notesInput.addEventListener('change', () => onUpdate(entry.key, { notes: notesInput.value }));
+
+    card.querySelector('.library-delete-btn').addEventListener('click', () => onDelete(entry.key));
+
+    renderFacePreview(card.querySelector('.skin-preview'), entry);
+    grid.appendChild(card);
+  });
+}
+
+/**
+ * Fill the history list with processed files
+ * @param {HTMLElement} list - List element
+ * @param {Array<Object>} entries - History entries from getHistory
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onOpen - Called with the id of an entry to reopen
+ * @param {Function} callbacks.onDelete - Called with the id of an entry to remove
+ */
+export function renderHistoryList(list, entries, { onOpen, onDelete }) {
+  list.innerHTML = '';
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    item.innerHTML = `
+      <div class="history-info">
+        <div class="history-name"></div>
+        <div class="history-details"></div>
+      </div>
+      <button class="btn btn-secondary btn-small history-open-btn" type="button">Open</button>
+      <button class="btn btn-secondary btn-small history-delete-btn" type="button" aria-label="Remove from history">✕</button>
+    `;
+
+    item.querySelector('.history-name').textContent = entry.fileName;
+    item.querySelector('.history-details').textContent = describeHistoryEntry(entry);
+    item.querySelector('.history-open-btn').addEventListener('click', () => onOpen(entry.id));
+    item.querySelector('.history-delete-btn').addEventListener('click', () => onDelete(entry.id));
+
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Summarize a history entry: date, counts, format and schematic name
+ * @param {Object} entry - History entry
+ * @returns {string} Summary
+ */
+function describeHistoryEntry(entry) {
+  const parts = [
+    new Date(entry.processedAt).toLocaleString(),
+    `${entry.skinCount} skin${entry.skinCount !== 1 ? 's' : ''}`,
+    `${entry.headCount} head${entry.headCount !== 1 ? 's' : ''}`
+  ];
+
+  if (entry.format) {
+    parts.push(FORMAT_LABELS[entry.format] || entry.format);
+  }
+  if (entry.metadata?.name) {
+    parts.push(entry.metadata.author ? `${entry.metadata.name} by ${entry.metadata.author}` : entry.metadata.name);
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * Render a saved skin's face, keeping the placeholder on failure
+ * @param {HTMLImageElement} img - Preview image
+ * @param {Object} entry - Library entry
+ */
+async function renderFacePreview(img, entry) {
+  const texture = getSkinTexture(entry);
+  if (!texture) {
+    return;
+  }
+
+  try {
+    img.src = await renderSkinPreview(texture.url, { mode: PREVIEW_FACE });
+  } catch (error) {
+    console.warn('Failed to render skin preview:', error);
+  }
+}
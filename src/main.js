@@ -1,25 +1,202 @@
-import { extractSkinsFromLitematic, getSkinImageUrl, getSkinDownloadUrl } from './skin-extractor.js';
+import { getSkinTexture, getSkinDownloadUrl, getDisplayName, getTexturePayload, groupSkinsByTexture, mergeSkinResults, PLACEHOLDER_IMAGE, STAGE_INFLATING, STAGE_PARSING } from './skin-extractor.js';
+import { extractSkinsInBackground, parseNBTInBackground, KIND_SCHEMATIC, KIND_REGION } from './background-extractor.js';
+import { hasSupportedExtension, isRegionFile, describeHeadPlacement, detectFormat, getEntityListPaths, FORMAT_LITEMATIC } from './schematic-formats.js';
+import { describeLocation } from './item-scanner.js';
+import { PlacementMap } from './placement-map.js';
+import { renderMetadataPanel, getMetadataFacts } from './metadata-panel.js';
+import { createSkinRecords, formatSkinRecords, REPORT_CSV, REPORT_JSON, REPORT_MARKDOWN, REPORT_HTML } from './skin-report.js';
+import { applySkinView, getSkinRegions, readViewFromQuery, writeViewToQuery } from './skin-filter.js';
+import { diffSkins, createDiffReport, formatDiffReport, DIFF_JSON, DIFF_MARKDOWN } from './skin-diff.js';
+import { renderComparePanel } from './compare-panel.js';
+import {
+  saveSkinsToLibrary, getLibrarySkins, updateLibrarySkin, deleteLibrarySkin, searchLibrary, formatLibraryExport,
+  addHistoryEntry, getHistory, getHistoryResults, deleteHistoryEntry, HISTORY_SCHEMATIC, HISTORY_REGION, HISTORY_BATCH
+} from './skin-library.js';
+import { renderLibraryGrid, renderHistoryList } from './library-panel.js';
+import { verifyTextureSignature, SIGNATURE_VALID, SIGNATURE_INVALID, SIGNATURE_UNSIGNED } from './signature-verifier.js';
+import { createSkinArchive } from './skin-archive.js';
+import { renderSkinPreview, PREVIEW_HEAD, PREVIEW_BODY } from './skin-renderer.js';
+import { generateGiveCommand, generateSetblockCommand, COMMAND_VERSIONS } from './command-generator.js';
+import { createDatapack, getDatapackVersionForCommands, toNamespace, DATAPACK_VERSIONS } from './datapack-export.js';
+import {
+  ProfileResolver,
+  StorageProfileCache,
+  MOJANG_ENDPOINTS,
+  getProxyEndpoints,
+  needsProfileLookup,
+  applyResolvedProfile,
+  LOOKUP_FOUND,
+  LOOKUP_FAILED
+} from './profile-resolver.js';
+import { replaceSkinInLitematic, exportLitematic, createTextureValue } from './skin-replacer.js';
+import { parseLitematic, decodeTextureValue } from './nbt-reader.js';
+import { searchNBT, formatNBTPath } from './nbt-inspector.js';
+import { renderNBTTree, revealNBTPath } from './nbt-inspector-panel.js';
 
 // DOM Elements
 const dropZone = document.getElementById('dropZone');
 const fileInput = document.getElementById('fileInput');
+const folderInput = document.getElementById('folderInput');
 const loadingSection = document.getElementById('loadingSection');
+const loadingStatus = document.getElementById('loadingStatus');
+const loadingProgress = document.getElementById('loadingProgress');
+const loadingDetails = document.getElementById('loadingDetails');
+const cancelBtn = document.getElementById('cancelBtn');
+const loadingBatchStatus = document.getElementById('loadingBatchStatus');
+const batchFiles = document.getElementById('batchFiles');
+const batchSummary = document.getElementById('batchSummary');
+const batchStatus = document.getElementById('batchStatus');
+const fileFilterSelect = document.getElementById('fileFilterSelect');
 const resultsSection = document.getElementById('resultsSection');
 const errorSection = document.getElementById('errorSection');
+const compareForm = document.getElementById('compareForm');
+const compareBeforeInput = document.getElementById('compareBeforeInput');
+const compareAfterInput = document.getElementById('compareAfterInput');
+const compareSection = document.getElementById('compareSection');
+const compareFiles = document.getElementById('compareFiles');
+const compareResults = document.getElementById('compareResults');
+const compareJsonBtn = document.getElementById('compareJsonBtn');
+const compareMarkdownBtn = document.getElementById('compareMarkdownBtn');
+const compareDoneBtn = document.getElementById('compareDoneBtn');
+const libraryBtn = document.getElementById('libraryBtn');
+const librarySection = document.getElementById('librarySection');
+const libraryCount = document.getElementById('libraryCount');
+const librarySearchInput = document.getElementById('librarySearchInput');
+const libraryFavoritesToggle = document.getElementById('libraryFavoritesToggle');
+const libraryExportBtn = document.getElementById('libraryExportBtn');
+const libraryZipBtn = document.getElementById('libraryZipBtn');
+const libraryCloseBtn = document.getElementById('libraryCloseBtn');
+const libraryStatus = document.getElementById('libraryStatus');
+const libraryGrid = document.getElementById('libraryGrid');
+const historyEmpty = document.getElementById('historyEmpty');
+const historyList = document.getElementById('historyList');
+const saveAllBtn = document.getElementById('saveAllBtn');
+const lookupBtn = document.getElementById('lookupBtn');
+const lookupDialog = document.getElementById('lookupDialog');
+const lookupForm = document.getElementById('lookupForm');
+const lookupProxyInput = document.getElementById('lookupProxyInput');
+const lookupStatus = document.getElementById('lookupStatus');
+const lookupCancelBtn = document.getElementById('lookupCancelBtn');
+const lookupSubmitBtn = document.getElementById('lookupSubmitBtn');
+const exportBtn = document.getElementById('exportBtn');
+const exportMenu = document.getElementById('exportMenu');
+const datapackBtn = document.getElementById('datapackBtn');
+const datapackDialog = document.getElementById('datapackDialog');
+const datapackForm = document.getElementById('datapackForm');
+const datapackVersionSelect = document.getElementById('datapackVersionSelect');
+const datapackNamespaceInput = document.getElementById('datapackNamespaceInput');
+const datapackStatus = document.getElementById('datapackStatus');
+const datapackCancelBtn = document.getElementById('datapackCancelBtn');
+const datapackSubmitBtn = document.getElementById('datapackSubmitBtn');
 const skinsGrid = document.getElementById('skinsGrid');
 const skinCount = document.getElementById('skinCount');
 const noSkins = document.getElementById('noSkins');
+const inspectBtn = document.getElementById('inspectBtn');
+const noSkinsInspectBtn = document.getElementById('noSkinsInspectBtn');
+const inspectorSection = document.getElementById('inspectorSection');
+const inspectorCloseBtn = document.getElementById('inspectorCloseBtn');
+const inspectorSearchForm = document.getElementById('inspectorSearchForm');
+const inspectorSearchInput = document.getElementById('inspectorSearchInput');
+const inspectorJumps = document.getElementById('inspectorJumps');
+const inspectorStatus = document.getElementById('inspectorStatus');
+const inspectorCancelBtn = document.getElementById('inspectorCancelBtn');
+const inspectorResults = document.getElementById('inspectorResults');
+const nbtTree = document.getElementById('nbtTree');
 const errorMessage = document.getElementById('errorMessage');
 const retryBtn = document.getElementById('retryBtn');
+const downloadAllBtn = document.getElementById('downloadAllBtn');
+const previewModeSelect = document.getElementById('previewModeSelect');
+const variantsToggle = document.getElementById('variantsToggle');
+const skinsToolbar = document.getElementById('skinsToolbar');
+const skinSearchInput = document.getElementById('skinSearchInput');
+const regionFilterSelect = document.getElementById('regionFilterSelect');
+const textureFilterSelect = document.getElementById('textureFilterSelect');
+const customNamedToggle = document.getElementById('customNamedToggle');
+const sortSelect = document.getElementById('sortSelect');
+const groupByRegionToggle = document.getElementById('groupByRegionToggle');
+const noMatches = document.getElementById('noMatches');
+const commandVersionSelect = document.getElementById('commandVersionSelect');
+const schematicInfo = document.getElementById('schematicInfo');
+const placementMapSection = document.getElementById('placementMap');
+const mapRegionSelect = document.getElementById('mapRegionSelect');
+const mapLayerSlider = document.getElementById('mapLayerSlider');
+const mapLayerValue = document.getElementById('mapLayerValue');
+const mapCanvas = document.getElementById('mapCanvas');
+const replaceDialog = document.getElementById('replaceDialog');
+const replaceForm = document.getElementById('replaceForm');
+const replaceTargetName = document.getElementById('replaceTargetName');
+const replaceValueInput = document.getElementById('replaceValueInput');
+const replaceUrlInput = document.getElementById('replaceUrlInput');
+const replaceSkinSelect = document.getElementById('replaceSkinSelect');
+const replaceStatus = document.getElementById('replaceStatus');
+const replaceCancelBtn = document.getElementById('replaceCancelBtn');
+const replaceSubmitBtn = document.getElementById('replaceSubmitBtn');
 
 // State
 let currentFile = null;
+let currentSkins = [];
+let currentFormat = null;
+let currentMetadata = null;
+let replaceTarget = null;
+let extractionController = null;
+let lookupController = null;
+// Parsed NBT of the current file, kept while the inspector has it open
+let inspectedData = null;
+let inspectorController = null;
+let batchItems = null;
+let compareReport = null;
+// Name of the file (or files) the current results came from, used for the library and history
+let currentSourceName = null;
+let librarySkins = [];
+let historyEntries = [];
+// Sections to show again when the library is closed
+let sectionsBeforeLibrary = [];
+// Search, filters, sort and grouping of the skins grid, kept in the URL
+let skinView = readViewFromQuery(location.search);
+
+// Where the profile lookup endpoint choice is remembered
+const LOOKUP_SETTINGS_KEY = 'profile-lookup-settings';
+
+// Batch file states
+const BATCH_QUEUED = 'queued';
+const BATCH_PARSING = 'parsing';
+const BATCH_DONE = 'done';
+const BATCH_FAILED = 'failed';
+
+// Signature badge text and tooltips
+const SIGNATURE_LABELS = {
+  [SIGNATURE_VALID]: 'Signed',
+  [SIGNATURE_INVALID]: 'Invalid signature',
+  [SIGNATURE_UNSIGNED]: 'Unsigned'
+};
+const SIGNATURE_DESCRIPTIONS = {
+  [SIGNATURE_VALID]: 'The texture payload is signed by Mojang and has not been modified',
+  [SIGNATURE_INVALID]: 'The texture payload does not match its signature, it was edited or forged',
+  [SIGNATURE_UNSIGNED]: 'The texture payload has no signature, it may have been written by hand or by a tool'
+};
+
+const placementMap = new PlacementMap(mapCanvas, { onHoverSkin: highlightCard });
 
 // Initialize
 function init() {
   setupDragAndDrop();
   setupFileInput();
   setupRetryButton();
+  setupCancelButton();
+  setupPlacementMap();
+  setupDownloadAllButton();
+  setupPreviewModeSelect();
+  setupVariantsToggle();
+  setupCopyMenus();
+  setupReplaceDialog();
+  setupFileFilter();
+  setupSkinToolbar();
+  setupCompare();
+  setupLibrary();
+  setupExportMenu();
+  setupDatapackDialog();
+  setupLookupDialog();
+  setupInspector();
 }
 
 // Setup drag and drop
@@ -33,13 +210,13 @@ function setupDragAndDrop() {
     dropZone.classList.remove('drag-over');
   });
 
-  dropZone.addEventListener('drop', (e) => {
+  dropZone.addEventListener('drop', async (e) => {
     e.preventDefault();
     dropZone.classList.remove('drag-over');
     
-    const files = e.dataTransfer.files;
+    const files = await getDroppedFiles(e.dataTransfer);
     if (files.length > 0) {
-      handleFile(files[0]);
+      handleFiles(files);
     }
   });
 
@@ -52,11 +229,53 @@ function setupDragAndDrop() {
   });
 }
 
+// Collect dropped files, descending into dropped folders (e.g. a world's region/ folder)
+async function getDroppedFiles(dataTransfer) {
+  // Entries must be grabbed synchronously, before the drop event finishes
+  const entries = [...dataTransfer.items]
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (!entries.some(entry => entry.isDirectory)) {
+    return [...dataTransfer.files];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    await collectEntryFiles(entry, files);
+  }
+  return files;
+}
+
+// Recursively read files from a dropped file system entry
+async function collectEntryFiles(entry, files) {
+  if (entry.isFile) {
+    files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+    return;
+  }
+
+  const reader = entry.createReader();
+  let batch;
+  // readEntries returns directory contents in batches until it returns an empty one
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    for (const child of batch) {
+      await collectEntryFiles(child, files);
+    }
+  } while (batch.length > 0);
+}
+
 // Setup file input
 function setupFileInput() {
   fileInput.addEventListener('change', (e) => {
     if (e.target.files.length > 0) {
-      handleFile(e.target.files[0]);
+      handleFiles([...e.target.files]);
+    }
+  });
+
+  folderInput.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      handleFiles([...e.target.files]);
     }
   });
 }
@@ -68,71 +287,1357 @@ function setupRetryButton() {
   });
 }
 
+// Setup cancel button, stopping the running extraction
+function setupCancelButton() {
+  cancelBtn.addEventListener('click', () => {
+    extractionController?.abort();
+    resetUI();
+  });
+}
+
+// Setup placement map controls
+function setupPlacementMap() {
+  mapRegionSelect.addEventListener('change', () => {
+    placementMap.setRegion(mapRegionSelect.value);
+    updateLayerSlider();
+  });
+
+  mapLayerSlider.addEventListener('input', () => {
+    // The leftmost slider position means "all layers"
+    const value = parseInt(mapLayerSlider.value, 10);
+    const layer = value < parseInt(mapLayerSlider.dataset.minLayer, 10) ? null : value;
+    mapLayerValue.textContent = layer === null ? 'All' : `Y = ${layer}`;
+    placementMap.setLayer(layer);
+  });
+}
+
+// Fit the layer slider to the current map region
+function updateLayerSlider() {
+  const range = placementMap.getLayerRange();
+  if (!range) {
+    return;
+  }
+
+  mapLayerSlider.dataset.minLayer = range.min;
+  mapLayerSlider.min = range.min - 1;
+  mapLayerSlider.max = range.max;
+  mapLayerSlider.value = range.min - 1;
+  mapLayerSlider.disabled = range.min === range.max;
+  mapLayerValue.textContent = 'All';
+}
+
+// Show the placement map for the heads that have positions
+function renderPlacementMap(skins, regions) {
+  placementMap.setData(skins, regions);
+  const regionNames = placementMap.getRegionNames();
+
+  placementMapSection.hidden = regionNames.length === 0;
+  mapRegionSelect.innerHTML = '';
+  for (const name of regionNames) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    mapRegionSelect.appendChild(option);
+  }
+  mapRegionSelect.disabled = regionNames.length < 2;
+  updateLayerSlider();
+}
+
+// Highlight the card of a skin hovered on the map
+function highlightCard(skinIndex) {
+  for (const card of skinsGrid.querySelectorAll('.skin-card.highlighted')) {
+    card.classList.remove('highlighted');
+  }
+
+  if (skinIndex === null) {
+    return;
+  }
+
+  const card = skinsGrid.querySelector(`.skin-card[data-index="${skinIndex}"]`);
+  if (card) {
+    card.classList.add('highlighted');
+    card.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+}
+
+// Setup "Download all" button
+function setupDownloadAllButton() {
+  downloadAllBtn.addEventListener('click', () => {
+    downloadAllSkins();
+  });
+}
+
+// Fetch every skin texture and download them as one ZIP
+async function downloadAllSkins() {
+  const originalText = downloadAllBtn.textContent;
+  downloadAllBtn.disabled = true;
+
+  try {
+    const zip = await createSkinArchive(currentSkins, {
+      onProgress: (done, total) => {
+        downloadAllBtn.textContent = `Downloading ${done}/${total}...`;
+      }
+    });
+
+    const baseName = currentFile ? currentFile.name.replace(/\.[^.]+$/, '') : 'skins';
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), `${baseName}-skins.zip`);
+  } catch (error) {
+    console.error('Failed to create skin archive:', error);
+    showError(`Failed to create ZIP: ${error.message}`);
+  } finally {
+    downloadAllBtn.textContent = originalText;
+    downloadAllBtn.disabled = false;
+  }
+}
+
+// Setup the two-file compare form and its report exports
+function setupCompare() {
+  compareForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleCompare(compareBeforeInput.files[0], compareAfterInput.files[0]);
+  });
+
+  compareJsonBtn.addEventListener('click', () => {
+    downloadCompareReport(DIFF_JSON, 'application/json', 'json');
+  });
+
+  compareMarkdownBtn.addEventListener('click', () => {
+    downloadCompareReport(DIFF_MARKDOWN, 'text/markdown', 'md');
+  });
+
+  compareDoneBtn.addEventListener('click', () => {
+    resetUI();
+  });
+}
+
+// File extension and type of each export format
+const EXPORT_FILES = {
+  [REPORT_CSV]: { extension: 'csv', type: 'text/csv' },
+  [REPORT_JSON]: { extension: 'json', type: 'application/json' },
+  [REPORT_MARKDOWN]: { extension: 'md', type: 'text/markdown' },
+  [REPORT_HTML]: { extension: 'html', type: 'text/html' }
+};
+
+// Setup the export menu in the results header
+function setupExportMenu() {
+  exportBtn.addEventListener('click', () => {
+    exportMenu.hidden = !exportMenu.hidden;
+  });
+
+  for (const item of exportMenu.querySelectorAll('[data-export]')) {
+    item.addEventListener('click', () => {
+      exportMenu.hidden = true;
+      exportResults(item.dataset.export);
+    });
+  }
+}
+
+// Setup the dialog that looks up the textures of heads storing only a name or UUID
+function setupLookupDialog() {
+  const settings = readLookupSettings();
+  lookupForm.elements.lookupEndpoint.value = settings.endpoint;
+  lookupProxyInput.value = settings.proxyUrl;
+
+  lookupProxyInput.addEventListener('focus', () => {
+    lookupForm.elements.lookupEndpoint.value = 'proxy';
+  });
+
+  lookupBtn.addEventListener('click', () => {
+    lookupStatus.textContent = '';
+    lookupDialog.showModal();
+  });
+
+  // Closing the dialog stops a running lookup
+  lookupCancelBtn.addEventListener('click', () => {
+    lookupController?.abort();
+    lookupDialog.close();
+  });
+  lookupDialog.addEventListener('close', () => {
+    lookupController?.abort();
+  });
+
+  lookupForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    lookupMissingSkins();
+  });
+}
+
+// Read the remembered endpoint choice
+function readLookupSettings() {
+  try {
+    return { endpoint: 'mojang', proxyUrl: '', ...JSON.parse(localStorage.getItem(LOOKUP_SETTINGS_KEY)) };
+  } catch {
+    return { endpoint: 'mojang', proxyUrl: '' };
+  }
+}
+
+// Look up the missing textures and show the updated cards
+async function lookupMissingSkins() {
+  lookupSubmitBtn.disabled = true;
+  lookupStatus.textContent = '';
+  lookupController = new AbortController();
+  const { signal } = lookupController;
+
+  try {
+    const settings = {
+      endpoint: lookupForm.elements.lookupEndpoint.value,
+      proxyUrl: lookupProxyInput.value.trim()
+    };
+    const resolver = new ProfileResolver({
+      endpoints: settings.endpoint === 'proxy' ? getProxyEndpoints(settings.proxyUrl) : MOJANG_ENDPOINTS,
+      cache: new StorageProfileCache(localStorage)
+    });
+    localStorage.setItem(LOOKUP_SETTINGS_KEY, JSON.stringify(settings));
+
+    const skins = currentSkins;
+    const results = await resolver.resolveSkins(skins, {
+      signal,
+      onProgress: (done, total) => {
+        lookupStatus.textContent = `Looked up ${done}/${total}...`;
+      }
+    });
+
+    // Results may have been closed or replaced while waiting
+    if (skins !== currentSkins) {
+      return;
+    }
+
+    const found = results.filter(result => result.status === LOOKUP_FOUND).length;
+    const failed = results.filter(result => result.status === LOOKUP_FAILED);
+    currentSkins = skins.map((skin, index) =>
+      results[index].status === LOOKUP_FOUND ? applyResolvedProfile(skin, results[index].profile) : skin);
+    renderSkins(currentSkins);
+    if (batchItems) {
+      applyFileFilter();
+    } else {
+      renderSkinView();
+    }
+    lookupBtn.hidden = !currentSkins.some(needsProfileLookup);
+
+    if (failed.length > 0) {
+      console.warn('Profile lookups failed:', failed.map(result => result.error));
+      lookupStatus.textContent = `Found ${found}, ${failed.length} lookup${failed.length !== 1 ? 's' : ''} failed: ${failed[0].error.message}`;
+    } else {
+      lookupDialog.close();
+    }
+  } catch (error) {
+    if (!signal.aborted) {
+      console.error('Failed to look up skins:', error);
+      lookupStatus.textContent = error.message;
+    }
+  } finally {
+    lookupController = null;
+    lookupSubmitBtn.disabled = false;
+  }
+}
+
+// Setup the NBT inspector, for finding out why a file yields no skins
+function setupInspector() {
+  inspectBtn.addEventListener('click', openInspector);
+  noSkinsInspectBtn.addEventListener('click', openInspector);
+
+  inspectorCloseBtn.addEventListener('click', () => {
+    inspectorController?.abort();
+    inspectorSection.hidden = true;
+  });
+
+  inspectorCancelBtn.addEventListener('click', () => {
+    inspectorController?.abort();
+    inspectorStatus.textContent = '';
+    inspectorSection.hidden = true;
+  });
+
+  inspectorSearchForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    searchInspector();
+  });
+}
+
+// Parse the current file again in the worker and show its tree
+async function openInspector() {
+  inspectorSection.hidden = false;
+  if (inspectedData) {
+    inspectorSection.scrollIntoView({ behavior: 'smooth' });
+    return;
+  }
+
+  const file = currentFile;
+  const controller = new AbortController();
+  inspectorController = controller;
+  inspectBtn.disabled = true;
+  noSkinsInspectBtn.disabled = true;
+  inspectorCancelBtn.hidden = false;
+  inspectorStatus.textContent = 'Reading file...';
+
+  try {
+    const nbtData = await parseNBTInBackground(file, {
+      onProgress: showInspectorProgress,
+      signal: controller.signal
+    });
+    if (file !== currentFile) {
+      return;
+    }
+
+    inspectedData = nbtData;
+    renderNBTTree(nbtTree, nbtData, { onCopy: copyToClipboard });
+    renderInspectorJumps(nbtData);
+    inspectorStatus.textContent = '';
+    inspectorSection.scrollIntoView({ behavior: 'smooth' });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+    console.error('Failed to inspect file:', error);
+    inspectorStatus.textContent = `Failed to read the file: ${error.message}`;
+  } finally {
+    // A cancelled parse may finish after a new one has started
+    if (inspectorController === controller) {
+      inspectorController = null;
+      inspectBtn.disabled = false;
+      noSkinsInspectBtn.disabled = false;
+      inspectorCancelBtn.hidden = true;
+    }
+  }
+}
+
+// Show the worker's progress while the inspector reads a file
+function showInspectorProgress(progress) {
+  inspectorStatus.textContent = progress.stage === STAGE_INFLATING
+    ? `Decompressing... ${formatBytes(progress.bytesRead)} of ${formatBytes(progress.totalBytes)} read`
+    : `Reading NBT data... ${formatBytes(progress.bytesInflated)} inflated`;
+}
+
+// Add a button per block entity and entity list, jumping to it in the tree
+function renderInspectorJumps(nbtData) {
+  const format = detectFormat(nbtData);
+  const lists = getEntityListPaths(nbtData, format);
+  inspectorJumps.innerHTML = '';
+
+  if (lists.length === 0) {
+    inspectorJumps.textContent = format
+      ? 'This file has no block entity or entity lists.'
+      : 'Not a known schematic layout.';
+    return;
+  }
+
+  for (const list of lists) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary btn-small';
+    button.textContent = `${list.region ? `${list.region} · ` : ''}${list.key} (${list.length})`;
+    button.title = formatNBTPath(list.path);
+    button.addEventListener('click', () => revealNBTPath(nbtTree, list.path));
+    inspectorJumps.appendChild(button);
+  }
+}
+
+// List the nodes matching the search, each revealing its node when clicked
+function searchInspector() {
+  const query = inspectorSearchInput.value;
+  inspectorResults.innerHTML = '';
+
+  if (!inspectedData || !query.trim()) {
+    inspectorResults.hidden = true;
+    inspectorStatus.textContent = '';
+    return;
+  }
+
+  const { matches, truncated } = searchNBT(inspectedData.value, query);
+  inspectorStatus.textContent = matches.length === 0
+    ? 'No keys or values match.'
+    : `${truncated ? 'First ' : ''}${matches.length} match${matches.length !== 1 ? 'es' : ''}`;
+
+  for (const match of matches) {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = formatNBTPath(match.path);
+    const summary = document.createElement('span');
+    summary.className = 'nbt-summary';
+    summary.textContent = match.summary;
+    button.addEventListener('click', () => revealNBTPath(nbtTree, match.path));
+    item.append(button, summary);
+    inspectorResults.appendChild(item);
+  }
+  inspectorResults.hidden = matches.length === 0;
+}
+
+// Drop the inspected tree, e.g. when other results are shown
+function resetInspector() {
+  inspectorController?.abort();
+  inspectedData = null;
+  inspectorSection.hidden = true;
+  nbtTree.innerHTML = '';
+  inspectorJumps.innerHTML = '';
+  inspectorResults.innerHTML = '';
+  inspectorResults.hidden = true;
+  inspectorStatus.textContent = '';
+  inspectorSearchInput.value = '';
+}
+
+// Setup the datapack export dialog
+function setupDatapackDialog() {
+  for (const version of DATAPACK_VERSIONS) {
+    const option = document.createElement('option');
+    option.value = version.id;
+    option.textContent = version.label;
+    datapackVersionSelect.appendChild(option);
+  }
+
+  datapackBtn.addEventListener('click', () => {
+    exportMenu.hidden = true;
+    // Start from the version picked for the copied commands
+    datapackVersionSelect.value = getDatapackVersionForCommands(commandVersionSelect.value).id;
+    datapackNamespaceInput.value = toNamespace(currentMetadata?.name || currentSourceName);
+    datapackStatus.textContent = '';
+    datapackDialog.showModal();
+  });
+
+  datapackCancelBtn.addEventListener('click', () => {
+    datapackDialog.close();
+  });
+
+  datapackForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    exportDatapack();
+  });
+}
+
+// Download a datapack that gives the current skins as heads
+function exportDatapack() {
+  datapackSubmitBtn.disabled = true;
+  datapackStatus.textContent = '';
+
+  try {
+    const { data, namespace } = createDatapack(currentSkins, {
+      version: datapackVersionSelect.value,
+      namespace: datapackNamespaceInput.value,
+      description: `Player heads from ${currentMetadata?.name || currentSourceName || 'a schematic'}`
+    });
+    downloadBlob(new Blob([data], { type: 'application/zip' }), `${namespace}-datapack.zip`);
+    datapackDialog.close();
+  } catch (error) {
+    console.error('Failed to export datapack:', error);
+    datapackStatus.textContent = error.message;
+  } finally {
+    datapackSubmitBtn.disabled = false;
+  }
+}
+
+// Download the current skins, with every position, in one of the report formats
+async function exportResults(format) {
+  const originalText = exportBtn.textContent;
+  exportBtn.disabled = true;
+
+  try {
+    const records = createSkinRecords(currentSkins, { file: currentSourceName, occurrences: true });
+    const options = {
+      title: currentMetadata?.name || currentSourceName || 'Player head skins',
+      facts: getReportFacts()
+    };
+
+    // The HTML report embeds head renders so it works offline
+    if (format === REPORT_HTML) {
+      options.images = [];
+      for (const [index, skin] of currentSkins.entries()) {
+        exportBtn.textContent = `Rendering ${index + 1}/${currentSkins.length}...`;
+        options.images.push(await renderReportImage(skin));
+      }
+    }
+
+    const { extension, type } = EXPORT_FILES[format];
+    const baseName = currentSourceName ? currentSourceName.replace(/\.[^.]+$/, '') : 'skins';
+    downloadBlob(new Blob([formatSkinRecords(records, format, options)], { type }), `${baseName}-skins.${extension}`);
+  } catch (error) {
+    console.error('Failed to export skins:', error);
+    showError(`Failed to export: ${error.message}`);
+  } finally {
+    exportBtn.textContent = originalText;
+    exportBtn.disabled = false;
+  }
+}
+
+// Label and value pairs describing the current file, shown at the top of reports
+function getReportFacts() {
+  const facts = [];
+  if (currentSourceName) {
+    facts.push(['File', currentSourceName]);
+  }
+  if (currentMetadata) {
+    if (currentMetadata.author) {
+      facts.push(['Author', currentMetadata.author]);
+    }
+    if (currentMetadata.description) {
+      facts.push(['Description', currentMetadata.description]);
+    }
+    facts.push(...getMetadataFacts(currentMetadata, currentFormat));
+  }
+  return facts;
+}
+
+// Render a skin's 3D head for a report, or null if it has no texture or fails to load
+async function renderReportImage(skin) {
+  const texture = getSkinTexture(skin);
+  if (!texture) {
+    return null;
+  }
+
+  try {
+    return await renderSkinPreview(texture.url, { mode: PREVIEW_HEAD, slim: texture.slim });
+  } catch (error) {
+    console.warn('Failed to render skin for the report:', error);
+    return null;
+  }
+}
+
+// Setup the library view and the buttons that save skins to it
+function setupLibrary() {
+  libraryBtn.addEventListener('click', () => {
+    openLibrary();
+  });
+
+  libraryCloseBtn.addEventListener('click', () => {
+    closeLibrary();
+  });
+
+  librarySearchInput.addEventListener('input', renderLibrary);
+  libraryFavoritesToggle.addEventListener('change', renderLibrary);
+
+  libraryExportBtn.addEventListener('click', () => {
+    const entries = getVisibleLibrarySkins();
+    downloadBlob(new Blob([formatLibraryExport(entries)], { type: 'application/json' }), 'skin-library.json');
+  });
+
+  libraryZipBtn.addEventListener('click', () => {
+    downloadLibraryArchive();
+  });
+
+  saveAllBtn.addEventListener('click', () => {
+    saveToLibrary(currentSkins, saveAllBtn);
+  });
+}
+
+// Show the library in place of the current view
+async function openLibrary() {
+  if (librarySection.hidden) {
+    const sections = [dropZone.parentElement, loadingSection, resultsSection, compareSection, errorSection];
+    sectionsBeforeLibrary = sections.filter(section => !section.hidden);
+    for (const section of sections) {
+      section.hidden = true;
+    }
+    librarySection.hidden = false;
+  }
+
+  libraryStatus.hidden = true;
+  try {
+    [librarySkins, historyEntries] = await Promise.all([getLibrarySkins(), getHistory()]);
+  } catch (error) {
+    console.error('Failed to open the library:', error);
+    showLibraryStatus(`The library is not available: ${error.message || 'storage is blocked'}`);
+    librarySkins = [];
+    historyEntries = [];
+  }
+
+  renderLibrary();
+  renderHistory();
+}
+
+// Go back to the view that was open before the library
+function closeLibrary() {
+  librarySection.hidden = true;
+  for (const section of sectionsBeforeLibrary) {
+    section.hidden = false;
+  }
+  if (sectionsBeforeLibrary.length === 0) {
+    resetUI();
+  }
+  sectionsBeforeLibrary = [];
+}
+
+// Show the saved skins matching the library search
+function renderLibrary() {
+  const entries = getVisibleLibrarySkins();
+
+  libraryCount.textContent = entries.length === librarySkins.length
+    ? `${librarySkins.length} saved skin${librarySkins.length !== 1 ? 's' : ''}`
+    : `${entries.length} of ${librarySkins.length} saved skins`;
+  libraryExportBtn.disabled = entries.length === 0;
+  libraryZipBtn.disabled = entries.length === 0;
+
+  renderLibraryGrid(libraryGrid, entries, {
+    onUpdate: updateLibraryEntry,
+    onDelete: async (key) => {
+      try {
+        await deleteLibrarySkin(key);
+        librarySkins = librarySkins.filter(entry => entry.key !== key);
+        renderLibrary();
+      } catch (error) {
+        showLibraryStatus(`Failed to remove the skin: ${error.message}`);
+      }
+    }
+  });
+}
+
+// Show the processed files that can be reopened
+function renderHistory() {
+  historyEmpty.hidden = historyEntries.length > 0;
+
+  renderHistoryList(historyList, historyEntries, {
+    onOpen: openHistoryEntry,
+    onDelete: async (id) => {
+      try {
+        await deleteHistoryEntry(id);
+        historyEntries = historyEntries.filter(entry => entry.id !== id);
+        renderHistory();
+      } catch (error) {
+        showLibraryStatus(`Failed to remove the file from the history: ${error.message}`);
+      }
+    }
+  });
+}
+
+// Saved skins matching the search box and favorites toggle
+function getVisibleLibrarySkins() {
+  return searchLibrary(librarySkins, {
+    query: librarySearchInput.value,
+    favoritesOnly: libraryFavoritesToggle.checked
+  });
+}
+
+// Store edited tags, notes or favorite flag
+async function updateLibraryEntry(key, changes) {
+  try {
+    const updated = await updateLibrarySkin(key, changes);
+    librarySkins = librarySkins.map(entry => entry.key === key ? updated : entry);
+    // Tags and notes are already shown as typed, re-rendering would drop the focus
+    if (changes.favorite !== undefined) {
+      renderLibrary();
+    }
+  } catch (error) {
+    showLibraryStatus(`Failed to save the change: ${error.message}`);
+  }
+}
+
+// Show a message above the library grid
+function showLibraryStatus(message) {
+  libraryStatus.textContent = message;
+  libraryStatus.hidden = false;
+}
+
+// Download the textures of the visible library skins as a ZIP
+async function downloadLibraryArchive() {
+  const originalText = libraryZipBtn.textContent;
+  libraryZipBtn.disabled = true;
+
+  try {
+    const zip = await createSkinArchive(getVisibleLibrarySkins(), {
+      onProgress: (done, total) => {
+        libraryZipBtn.textContent = `Downloading ${done}/${total}...`;
+      }
+    });
+    downloadBlob(new Blob([zip], { type: 'application/zip' }), 'skin-library.zip');
+  } catch (error) {
+    console.error('Failed to create skin archive:', error);
+    showLibraryStatus(`Failed to create ZIP: ${error.message}`);
+  } finally {
+    libraryZipBtn.textContent = originalText;
+    libraryZipBtn.disabled = false;
+  }
+}
+
+// Save skins from the current results to the library
+async function saveToLibrary(skins, button) {
+  const originalText = button.textContent;
+  button.disabled = true;
+
+  try {
+    const saved = await saveSkinsToLibrary(skins, { source: currentSourceName });
+    button.textContent = skins.length === 1 ? 'Saved' : `Saved ${saved}`;
+  } catch (error) {
+    console.error('Failed to save to the library:', error);
+    button.textContent = 'Failed';
+  } finally {
+    setTimeout(() => {
+      button.textContent = originalText;
+      button.disabled = false;
+    }, 1500);
+  }
+}
+
+// Remember processed results so they can be reopened from the library
+function recordHistory(kind, results) {
+  addHistoryEntry({ fileName: currentSourceName, kind, results }).catch(error => {
+    console.warn('Failed to add the file to the history:', error);
+  });
+}
+
+// Show the stored results of a processed file
+async function openHistoryEntry(id) {
+  const entry = historyEntries.find(historyEntry => historyEntry.id === id);
+
+  try {
+    const results = await getHistoryResults(id);
+    currentFile = null;
+    batchItems = null;
+    currentSourceName = entry.fileName;
+    showResults(results);
+  } catch (error) {
+    showLibraryStatus(`Failed to open ${entry.fileName}: ${error.message}`);
+  }
+}
+
+// Download the current comparison in one of the diff formats
+function downloadCompareReport(format, type, extension) {
+  const baseName = compareReport.after.replace(/\.[^.]+$/, '');
+  downloadBlob(new Blob([formatDiffReport(compareReport, format)], { type }), `${baseName}-head-changes.${extension}`);
+}
+
+// Save a blob through a temporary download link
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Setup preview mode select (face, 3D head, body)
+function setupPreviewModeSelect() {
+  previewModeSelect.addEventListener('change', () => {
+    for (const card of skinsGrid.querySelectorAll('.skin-card')) {
+      renderCardPreview(card.querySelector('.skin-preview'), currentSkins[card.dataset.index]);
+    }
+  });
+}
+
+// Setup the toggle that lists the captures merged into each card
+function setupVariantsToggle() {
+  variantsToggle.addEventListener('change', () => {
+    skinsGrid.classList.toggle('show-variants', variantsToggle.checked);
+  });
+}
+
+// Setup command version select and closing of open copy menus
+function setupCopyMenus() {
+  for (const version of COMMAND_VERSIONS) {
+    const option = document.createElement('option');
+    option.value = version.id;
+    option.textContent = version.label;
+    commandVersionSelect.appendChild(option);
+  }
+
+  document.addEventListener('click', (e) => {
+    for (const menu of document.querySelectorAll('.copy-menu-items:not([hidden])')) {
+      if (!menu.parentElement.contains(e.target)) {
+        menu.hidden = true;
+      }
+    }
+  });
+}
+
+// Setup the replace skin dialog
+function setupReplaceDialog() {
+  // Typing into a source's field selects that source
+  const sourceFields = { value: replaceValueInput, url: replaceUrlInput, skin: replaceSkinSelect };
+  for (const [source, field] of Object.entries(sourceFields)) {
+    field.addEventListener('focus', () => {
+      replaceForm.elements.replaceSource.value = source;
+    });
+  }
+
+  replaceCancelBtn.addEventListener('click', () => {
+    replaceDialog.close();
+  });
+
+  replaceForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    replaceSkin();
+  });
+}
+
+// Open the replace dialog for a skin
+function openReplaceDialog(skinIndex) {
+  replaceTarget = currentSkins[skinIndex];
+  replaceTargetName.textContent = getDisplayName(replaceTarget, skinIndex);
+  replaceValueInput.value = '';
+  replaceUrlInput.value = '';
+  replaceStatus.textContent = '';
+  replaceForm.elements.replaceSource.value = 'value';
+
+  replaceSkinSelect.innerHTML = '';
+  currentSkins.forEach((skin, index) => {
+    if (index === skinIndex || !skin.textureValue) {
+      return;
+    }
+    const option = document.createElement('option');
+    option.value = index;
+    option.textContent = getDisplayName(skin, index);
+    replaceSkinSelect.appendChild(option);
+  });
+  replaceSkinSelect.disabled = replaceSkinSelect.options.length === 0;
+
+  replaceDialog.showModal();
+}
+
+// Build the new profile data from the dialog inputs
+function getReplacement() {
+  switch (replaceForm.elements.replaceSource.value) {
+    case 'url':
+      return { textureValue: createTextureValue(replaceUrlInput.value) };
+    case 'skin': {
+      const skin = currentSkins[replaceSkinSelect.value];
+      if (!skin) {
+        throw new Error('Choose a skin to copy');
+      }
+      return {
+        name: skin.name,
+        uuid: skin.uuid,
+        textureValue: skin.textureValue,
+        textureSignature: skin.textureSignature
+      };
+    }
+    default: {
+      const textureValue = replaceValueInput.value.replace(/\s+/g, '');
+      if (!decodeTextureValue(textureValue)?.textures?.SKIN?.url) {
+        throw new Error('Not a valid texture value');
+      }
+      return { textureValue };
+    }
+  }
+}
+
+// Apply the replacement to a fresh copy of the file and download it
+async function replaceSkin() {
+  replaceSubmitBtn.disabled = true;
+  replaceStatus.textContent = '';
+
+  try {
+    const replacement = getReplacement();
+    // Re-parse so repeated replacements always start from the original file
+    const nbtData = parseLitematic(await currentFile.arrayBuffer());
+    const replaced = replaceSkinInLitematic(nbtData, replaceTarget, replacement);
+
+    if (replaced === 0) {
+      throw new Error('No placed heads with this skin were found');
+    }
+
+    const baseName = currentFile.name.replace(/\.[^.]+$/, '');
+    downloadBlob(new Blob([exportLitematic(nbtData)], { type: 'application/octet-stream' }), `${baseName}-reskinned.litematic`);
+    replaceDialog.close();
+  } catch (error) {
+    console.error('Failed to replace skin:', error);
+    replaceStatus.textContent = error.message;
+  } finally {
+    replaceSubmitBtn.disabled = false;
+  }
+}
+
+// Setup the file filter shown for batch results
+function setupFileFilter() {
+  fileFilterSelect.addEventListener('change', () => {
+    applyFileFilter();
+  });
+}
+
+// Show only the skins found in the selected file, with that file's details and map
+function applyFileFilter() {
+  const fileName = fileFilterSelect.value;
+  renderSkinView();
+
+  // Region names and metadata belong to a single file, so only show them when one is selected
+  const item = batchItems.find(batchItem => batchItem.name === fileName);
+  if (item?.results.metadata) {
+    const { metadata, format, regions, skins } = item.results;
+    renderMetadataPanel(schematicInfo, { metadata, format, regions, skins, fileName });
+  } else {
+    schematicInfo.hidden = true;
+  }
+
+  if (item) {
+    // Keep the merged skin indices so hovering still links map dots and cards
+    const fileSkins = currentSkins.map(skin => ({
+      ...skin,
+      locations: skin.locations.filter(location => location.file === fileName)
+    }));
+    renderPlacementMap(fileSkins, item.results.regions);
+  } else {
+    placementMapSection.hidden = true;
+  }
+}
+
+// Setup the search, filter, sort and group controls above the skins grid
+function setupSkinToolbar() {
+  skinSearchInput.value = skinView.query;
+  textureFilterSelect.value = skinView.texture;
+  customNamedToggle.checked = skinView.customNamed;
+  sortSelect.value = skinView.sort;
+  groupByRegionToggle.checked = skinView.groupByRegion;
+
+  skinSearchInput.addEventListener('input', updateSkinView);
+  for (const control of [regionFilterSelect, textureFilterSelect, customNamedToggle, sortSelect, groupByRegionToggle]) {
+    control.addEventListener('change', updateSkinView);
+  }
+}
+
+// Read the toolbar into the view, store it in the URL and re-render the grid
+function updateSkinView() {
+  skinView = {
+    query: skinSearchInput.value,
+    region: regionFilterSelect.value,
+    texture: textureFilterSelect.value,
+    customNamed: customNamedToggle.checked,
+    sort: sortSelect.value,
+    groupByRegion: groupByRegionToggle.checked
+  };
+
+  const query = writeViewToQuery(skinView, location.search);
+  history.replaceState(null, '', `${location.pathname}${query}${location.hash}`);
+
+  renderSkinView();
+}
+
+// Fill the region filter with the regions of the current skins
+function updateRegionFilter() {
+  const regions = getSkinRegions(currentSkins);
+
+  regionFilterSelect.innerHTML = '<option value="">All regions</option>';
+  for (const region of regions) {
+    const option = document.createElement('option');
+    option.value = region;
+    option.textContent = region;
+    regionFilterSelect.appendChild(option);
+  }
+
+  // A region from the URL that this file doesn't have would hide every skin
+  regionFilterSelect.value = regions.includes(skinView.region) ? skinView.region : '';
+  if (regionFilterSelect.value !== skinView.region) {
+    updateSkinView();
+  }
+}
+
+// Show, order and group the skin cards according to the view and the batch file filter
+function renderSkinView() {
+  const groups = applySkinView(currentSkins, skinView, { file: batchItems ? fileFilterSelect.value : '' });
+  const cards = new Map([...skinsGrid.querySelectorAll('.skin-card')].map(card => [Number(card.dataset.index), card]));
+
+  for (const header of skinsGrid.querySelectorAll('.skin-group-header')) {
+    header.remove();
+  }
+  for (const card of cards.values()) {
+    card.hidden = true;
+  }
+
+  let visibleCount = 0;
+  for (const { region, indices } of groups) {
+    if (skinView.groupByRegion) {
+      const header = document.createElement('h3');
+      header.className = 'skin-group-header';
+      header.textContent = `${region ?? 'No position'} (${indices.length})`;
+      skinsGrid.appendChild(header);
+    }
+
+    for (const index of indices) {
+      const card = cards.get(index);
+      card.hidden = false;
+      skinsGrid.appendChild(card);
+      visibleCount++;
+    }
+  }
+
+  skinCount.textContent = visibleCount === currentSkins.length
+    ? formatSkinCount(currentSkins)
+    : `${visibleCount} of ${currentSkins.length} skins`;
+  noMatches.hidden = visibleCount > 0;
+}
+
+// Show the batch file list and fill the file filter
+function renderBatchResults() {
+  const doneItems = batchItems.filter(item => item.status === BATCH_DONE);
+  const failedCount = batchItems.length - doneItems.length;
+
+  batchFiles.hidden = false;
+  batchSummary.textContent = `${batchItems.length} files processed`
+    + (failedCount > 0 ? `, ${failedCount} failed` : '');
+  renderBatchStatus(batchStatus);
+
+  fileFilterSelect.hidden = false;
+  fileFilterSelect.innerHTML = '<option value="">All files</option>';
+  for (const item of doneItems) {
+    const option = document.createElement('option');
+    option.value = item.name;
+    option.textContent = item.name;
+    fileFilterSelect.appendChild(option);
+  }
+}
+
+// Fill a list with the state of every batch file
+function renderBatchStatus(list) {
+  list.innerHTML = '';
+
+  for (const item of batchItems) {
+    const entry = document.createElement('li');
+    entry.className = `batch-item batch-${item.status}`;
+
+    const name = document.createElement('span');
+    name.className = 'batch-name';
+    name.textContent = item.name;
+
+    const status = document.createElement('span');
+    status.className = 'batch-state';
+    status.textContent = getBatchStatusText(item);
+
+    entry.append(name, status);
+    list.appendChild(entry);
+  }
+}
+
+// Describe the state of a batch file
+function getBatchStatusText(item) {
+  switch (item.status) {
+    case BATCH_PARSING:
+      return 'Parsing...';
+    case BATCH_DONE: {
+      const count = item.results.skins.length;
+      return `Done, ${count} skin${count !== 1 ? 's' : ''}`;
+    }
+    case BATCH_FAILED:
+      return `Failed: ${item.error}`;
+    default:
+      return 'Queued';
+  }
+}
+
 // Reset UI to initial state
 function resetUI() {
   loadingSection.hidden = true;
   resultsSection.hidden = true;
   errorSection.hidden = true;
+  compareSection.hidden = true;
+  librarySection.hidden = true;
   dropZone.parentElement.hidden = false;
   fileInput.value = '';
+  folderInput.value = '';
+  compareForm.reset();
   currentFile = null;
+  currentSkins = [];
+  currentFormat = null;
+  currentMetadata = null;
+  batchItems = null;
+  compareReport = null;
+  currentSourceName = null;
+  lookupController?.abort();
+  resetInspector();
 }
 
 // Show error
 function showError(message) {
   loadingSection.hidden = true;
   resultsSection.hidden = true;
+  compareSection.hidden = true;
+  librarySection.hidden = true;
   errorSection.hidden = false;
   dropZone.parentElement.hidden = true;
   errorMessage.textContent = message;
 }
 
 // Show loading
-function showLoading() {
+function showLoading(statusText) {
   dropZone.parentElement.hidden = true;
   loadingSection.hidden = false;
   resultsSection.hidden = true;
   errorSection.hidden = true;
+  compareSection.hidden = true;
+  librarySection.hidden = true;
+  loadingStatus.textContent = statusText;
+  loadingProgress.hidden = true;
+  loadingDetails.textContent = '';
+  loadingBatchStatus.hidden = true;
+}
+
+// Show extraction progress in the loading section
+function showProgress(progress) {
+  if (progress.stage === STAGE_INFLATING) {
+    loadingStatus.textContent = 'Decompressing...';
+    loadingProgress.hidden = false;
+    loadingProgress.max = progress.totalBytes;
+    loadingProgress.value = progress.bytesRead;
+    loadingDetails.textContent = `${formatBytes(progress.bytesRead)} of ${formatBytes(progress.totalBytes)} read, `
+      + `${formatBytes(progress.bytesInflated)} inflated`;
+  } else if (progress.stage === STAGE_PARSING) {
+    loadingStatus.textContent = 'Reading NBT data...';
+    // Parsing reports no progress of its own, show an indeterminate bar
+    loadingProgress.hidden = false;
+    loadingProgress.removeAttribute('value');
+    loadingDetails.textContent = `${formatBytes(progress.bytesInflated)} inflated`;
+  } else {
+    loadingStatus.textContent = 'Scanning for player heads...';
+    loadingProgress.hidden = false;
+    loadingProgress.max = progress.regionsTotal;
+    loadingProgress.value = progress.regionsScanned;
+    loadingDetails.textContent = `${progress.regionsScanned} of ${progress.regionsTotal} regions scanned, `
+      + `${progress.headsFound} head${progress.headsFound !== 1 ? 's' : ''} found`;
+  }
+}
+
+// Format a byte count, e.g. "12.3 MB"
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// Run an extraction in the background worker, returning null if it was cancelled
+async function runExtraction(files, kind) {
+  extractionController?.abort();
+  const controller = new AbortController();
+  extractionController = controller;
+
+  try {
+    return await extractSkinsInBackground(files, kind, {
+      onProgress: showProgress,
+      signal: controller.signal
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return null;
+    }
+    throw error;
+  } finally {
+    if (extractionController === controller) {
+      extractionController = null;
+    }
+  }
 }
 
 // Show results
-function showResults(skins) {
+function showResults({ skins, regions, format, metadata }) {
   loadingSection.hidden = true;
   errorSection.hidden = true;
+  compareSection.hidden = true;
+  librarySection.hidden = true;
   resultsSection.hidden = false;
   dropZone.parentElement.hidden = true;
+  // The same skin captured at different times is shown as one card with its variants
+  currentSkins = groupSkinsByTexture(skins);
+  currentFormat = format;
+  currentMetadata = metadata;
+  downloadAllBtn.hidden = skins.length === 0;
+  saveAllBtn.hidden = skins.length === 0;
+  lookupBtn.hidden = !currentSkins.some(needsProfileLookup);
+  // Only a single schematic file can be parsed again for the inspector
+  resetInspector();
+  inspectBtn.hidden = !currentFile || isRegionFile(currentFile.name);
+  noSkinsInspectBtn.hidden = inspectBtn.hidden;
+  exportBtn.parentElement.hidden = skins.length === 0;
+
+  // Region file results have no schematic metadata
+  if (metadata) {
+    renderMetadataPanel(schematicInfo, { metadata, format, regions, skins, fileName: currentSourceName });
+  } else {
+    schematicInfo.hidden = true;
+  }
+
+  batchFiles.hidden = !batchItems;
+  fileFilterSelect.hidden = !batchItems;
+  if (batchItems) {
+    renderBatchResults();
+  }
+
+  skinCount.textContent = formatSkinCount(currentSkins);
 
-  if (skins.length === 0) {
+  if (currentSkins.length === 0) {
     skinsGrid.hidden = true;
+    skinsToolbar.hidden = true;
+    noMatches.hidden = true;
+    placementMapSection.hidden = true;
     noSkins.hidden = false;
-    skinCount.textContent = '0 skins found';
   } else {
     skinsGrid.hidden = false;
+    skinsToolbar.hidden = false;
     noSkins.hidden = true;
-    skinCount.textContent = `${skins.length} skin${skins.length !== 1 ? 's' : ''} found`;
-    renderSkins(skins);
+    renderSkins(currentSkins);
+    renderPlacementMap(currentSkins, regions);
+    updateRegionFilter();
+
+    if (batchItems) {
+      applyFileFilter();
+    } else {
+      renderSkinView();
+    }
+  }
+}
+
+// Describe the number of skins and heads, e.g. "3 skins found (5 heads)"
+function formatSkinCount(skins) {
+  const headCount = skins.reduce((total, skin) => total + (skin.locations?.length || 0), 0);
+  return `${skins.length} skin${skins.length !== 1 ? 's' : ''} found`
+    + (headCount > skins.length ? ` (${headCount} heads)` : '');
+}
+
+// Handle one or more selected files
+function handleFiles(files) {
+  const regionFiles = files.filter(file => isRegionFile(file.name));
+  const schematicFiles = files.filter(file => hasSupportedExtension(file.name));
+  // All region files are scanned together as one world
+  const itemCount = schematicFiles.length + (regionFiles.length > 0 ? 1 : 0);
+
+  if (itemCount > 1) {
+    handleBatch(schematicFiles, regionFiles);
+  } else if (regionFiles.length > 0) {
+    handleRegionFiles(regionFiles);
+  } else {
+    // A single schematic, or an unsupported file for handleFile to report
+    handleFile(schematicFiles[0] || files[0]);
+  }
+}
+
+// Handle several schematics (and optionally a world's region files) one after another
+async function handleBatch(schematicFiles, regionFiles) {
+  const items = schematicFiles.map(file => ({ name: file.name, files: [file], kind: KIND_SCHEMATIC }));
+  if (regionFiles.length > 0) {
+    const name = `${regionFiles.length} region file${regionFiles.length !== 1 ? 's' : ''}`;
+    items.push({ name, files: regionFiles, kind: KIND_REGION });
+  }
+  for (const item of items) {
+    item.status = BATCH_QUEUED;
+  }
+
+  currentFile = null;
+  batchItems = items;
+  currentSourceName = `${items.length} files`;
+  showLoading(`Processing ${items.length} files...`);
+  loadingBatchStatus.hidden = false;
+
+  for (const item of items) {
+    item.status = BATCH_PARSING;
+    renderBatchStatus(loadingBatchStatus);
+
+    try {
+      const results = await runExtraction(item.files, item.kind);
+      if (!results) {
+        return; // Cancelled
+      }
+      item.status = BATCH_DONE;
+      item.results = results;
+    } catch (error) {
+      console.error(`Error processing ${item.name}:`, error);
+      item.status = BATCH_FAILED;
+      item.error = error.message;
+    }
+  }
+
+  const skins = mergeSkinResults(items
+    .filter(item => item.status === BATCH_DONE)
+    .map(item => ({ source: item.name, skins: item.results.skins })));
+
+  const results = { skins, regions: [], format: null, metadata: null };
+  recordHistory(HISTORY_BATCH, results);
+  showResults(results);
+}
+
+// Handle Anvil region files from a world save
+async function handleRegionFiles(files) {
+  currentFile = files[0];
+  batchItems = null;
+  currentSourceName = files.length === 1 ? files[0].name : `${files.length} region files`;
+  showLoading(`Processing ${files.length} region file${files.length !== 1 ? 's' : ''}...`);
+
+  try {
+    const results = await runExtraction(files, KIND_REGION);
+
+    if (results) {
+      recordHistory(HISTORY_REGION, results);
+      showResults(results);
+    }
+  } catch (error) {
+    console.error('Error processing region files:', error);
+    showError(`Failed to process region files: ${error.message}`);
+  }
+}
+
+// Extract the heads of two versions of a schematic and show what changed
+async function handleCompare(beforeFile, afterFile) {
+  for (const file of [beforeFile, afterFile]) {
+    if (!hasSupportedExtension(file.name) || isRegionFile(file.name)) {
+      showError(`Cannot compare ${file.name}: please select .litematic, .schem, .schematic or .nbt files`);
+      return;
+    }
   }
+
+  currentFile = null;
+  batchItems = null;
+
+  try {
+    showLoading(`Processing ${beforeFile.name}...`);
+    const before = await runExtraction([beforeFile], KIND_SCHEMATIC);
+    if (!before) {
+      return; // Cancelled
+    }
+
+    showLoading(`Processing ${afterFile.name}...`);
+    const after = await runExtraction([afterFile], KIND_SCHEMATIC);
+    if (!after) {
+      return;
+    }
+
+    compareReport = createDiffReport(diffSkins(before.skins, after.skins), {
+      before: beforeFile.name,
+      after: afterFile.name
+    });
+    showComparison();
+  } catch (error) {
+    console.error('Error comparing files:', error);
+    showError(`Failed to compare files: ${error.message}`);
+  }
+}
+
+// Show the current comparison
+function showComparison() {
+  loadingSection.hidden = true;
+  errorSection.hidden = true;
+  resultsSection.hidden = true;
+  compareSection.hidden = false;
+  librarySection.hidden = true;
+  dropZone.parentElement.hidden = true;
+
+  compareFiles.textContent = `${compareReport.before} → ${compareReport.after}`;
+  renderComparePanel(compareResults, compareReport);
 }
 
 // Handle file
 async function handleFile(file) {
-  if (!file.name.endsWith('.litematic')) {
-    showError('Please select a valid .litematic file');
+  if (!hasSupportedExtension(file.name)) {
+    showError('Please select a .litematic, .schem, .schematic, .nbt or .mca file');
     return;
   }
 
   currentFile = file;
-  showLoading();
+  batchItems = null;
+  currentSourceName = file.name;
+  showLoading('Processing schematic file...');
 
   try {
-    const arrayBuffer = await file.arrayBuffer();
-    
-    // Extract skins from the litematic file using our custom NBT parser
-    const skins = await extractSkinsFromLitematic(arrayBuffer);
+    // Extract skins from the schematic file using our custom NBT parser, off the main thread
+    const results = await runExtraction([file], KIND_SCHEMATIC);
     
-    showResults(skins);
+    if (results) {
+      recordHistory(HISTORY_SCHEMATIC, results);
+      showResults(results);
+    }
   } catch (error) {
-    console.error('Error processing litematic file:', error);
+    console.error('Error processing schematic file:', error);
     showError(`Failed to process file: ${error.message}`);
   }
 }
@@ -144,71 +1649,292 @@ function renderSkins(skins) {
   skins.forEach((skin, index) => {
     const card = document.createElement('div');
     card.className = 'skin-card';
+    card.dataset.index = index;
     
-    const imageUrl = getSkinImageUrl(skin);
     const downloadUrl = getSkinDownloadUrl(skin);
     
     // Use customName if available (string or object), otherwise fall back to player name
     const displayName = getDisplayName(skin, index);
+    const chunkInfo = getChunkInfo(skin);
+    const locations = skin.locations || [];
+    const payload = getTexturePayload(skin);
+    // Only placed heads in a litematic can be rewritten
+    // Results reopened from the history have no file to rewrite
+    const canReplace = currentFile && currentFormat === FORMAT_LITEMATIC
+      && locations.some(location => location.holderType === 'block' && !location.item);
     
     card.innerHTML = `
       <img 
         class="skin-preview" 
-        src="${imageUrl}" 
-        alt="${displayName}"
-        onerror="this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 64 64%22><rect fill=%22%231a1a2e%22 width=%2264%22 height=%2264%22/><text x=%2232%22 y=%2236%22 text-anchor=%22middle%22 fill=%22%2394a3b8%22 font-size=%2216%22>?</text></svg>'"
+        src="${PLACEHOLDER_IMAGE}" 
+        alt=""
       >
       <div class="skin-info">
-        <div class="skin-name">${displayName}</div>
+        <div class="skin-name"></div>
+        <span class="signature-badge" hidden></span>
+        ${skin.profileLookup ? '<span class="lookup-badge" title="Not stored in the file, this is the player\'s current skin">Looked up</span>' : ''}
+        ${chunkInfo ? `<div class="skin-chunks" title="${chunkInfo.title}">${chunkInfo.label}</div>` : ''}
+        ${skin.files ? '<div class="skin-sources"></div>' : ''}
+        ${skin.names?.length > 1 ? '<div class="skin-aliases"></div>' : ''}
       </div>
+      ${payload?.warnings.length > 0 ? '<ul class="skin-warnings"></ul>' : ''}
+      ${payload ? `
+        <details class="skin-payload">
+          <summary>Texture details</summary>
+          <dl class="skin-payload-list"></dl>
+        </details>
+      ` : ''}
+      ${skin.variants?.length > 1 ? `
+        <div class="skin-variants">
+          <div class="skin-variants-title">${skin.variants.length} variants</div>
+          <ul class="skin-variant-list"></ul>
+        </div>
+      ` : ''}
+      ${locations.length > 0 ? `
+        <details class="skin-locations">
+          <summary>${locations.length} occurrence${locations.length !== 1 ? 's' : ''}</summary>
+          <ul class="skin-location-list"></ul>
+        </details>
+      ` : ''}
       <div class="skin-actions">
-        <a href="${downloadUrl}" target="_blank" class="btn btn-primary btn-small" download>
+        <a target="_blank" class="btn btn-primary btn-small download-link" download>
           Download
         </a>
-        <button class="btn btn-secondary btn-small copy-btn" data-texture="${skin.textureValue || ''}">
-          Copy
-        </button>
+        <div class="copy-menu">
+          <button class="btn btn-secondary btn-small copy-btn" aria-haspopup="true">
+            Copy ▾
+          </button>
+          <div class="copy-menu-items" hidden>
+            <button data-copy="url" ${downloadUrl === '#' ? 'disabled' : ''}>Texture URL</button>
+            <button data-copy="give">/give command</button>
+            <button data-copy="setblock">/setblock command</button>
+          </div>
+        </div>
+        <button class="btn btn-secondary btn-small save-btn" title="Save to library">Save</button>
+        ${canReplace ? '<button class="btn btn-secondary btn-small replace-btn">Replace</button>' : ''}
       </div>
     `;
 
+    // Names come from the file or a profile lookup
+    card.querySelector('.skin-preview').alt = displayName;
+    card.querySelector('.skin-name').textContent = displayName;
+    card.querySelector('.download-link').href = downloadUrl;
+
+    // List the files a merged skin was found in
+    const sources = card.querySelector('.skin-sources');
+    if (sources) {
+      sources.textContent = skin.files.length === 1 ? skin.files[0] : `${skin.files.length} files`;
+      sources.title = skin.files.join('\n');
+    }
+
+    if (payload) {
+      renderTexturePayload(card, payload);
+    }
+
+    // Names of every variant merged into this card
+    const aliases = card.querySelector('.skin-aliases');
+    if (aliases) {
+      aliases.textContent = `Also seen as ${skin.names.filter(name => name !== skin.name).join(', ')}`;
+    }
+
+    const variantList = card.querySelector('.skin-variant-list');
+    if (variantList) {
+      renderVariants(variantList, skin.variants);
+    }
+
+    // Fill the location list with text nodes, region names come from the file
+    const locationList = card.querySelector('.skin-location-list');
+    if (locationList) {
+      for (const location of locations) {
+        const item = document.createElement('li');
+        item.textContent = formatLocation(location);
+        locationList.appendChild(item);
+      }
+    }
+
+    renderCardPreview(card.querySelector('.skin-preview'), skin);
+    renderSignatureBadge(card.querySelector('.signature-badge'), skin);
+
+    // Ring this skin's heads on the placement map
+    card.addEventListener('mouseenter', () => placementMap.highlightSkin(index));
+    card.addEventListener('mouseleave', () => placementMap.highlightSkin(null));
+
     // Setup copy button
     const copyBtn = card.querySelector('.copy-btn');
-    copyBtn.addEventListener('click', () => copyToClipboard(skin, copyBtn));
+    const copyMenu = card.querySelector('.copy-menu-items');
+    copyBtn.addEventListener('click', () => {
+      copyMenu.hidden = !copyMenu.hidden;
+    });
+    for (const item of copyMenu.querySelectorAll('[data-copy]')) {
+      item.addEventListener('click', () => {
+        copyMenu.hidden = true;
+        copyToClipboard(getCopyText(skin, item.dataset.copy), copyBtn);
+      });
+    }
+
+    const saveBtn = card.querySelector('.save-btn');
+    saveBtn.addEventListener('click', () => saveToLibrary([skin], saveBtn));
+
+    card.querySelector('.replace-btn')?.addEventListener('click', () => openReplaceDialog(index));
 
     skinsGrid.appendChild(card);
   });
 }
 
-// Get a human-readable display name from a skin object
-function getDisplayName(skin, index) {
-  const { customName, name } = skin;
+// List the raw texture values merged into a card, each with its own signature check
+function renderVariants(list, variants) {
+  for (const variant of variants) {
+    const item = document.createElement('li');
+    const timestamp = getTexturePayload(variant)?.timestamp ?? null;
+    const count = variant.locations?.length || 0;
 
-  if (customName) {
-    // If CustomName is a text component object, use its "text" field
-    if (typeof customName === 'object' && customName !== null) {
-      if (typeof customName.text === 'string' && customName.text.trim() !== '') {
-        return customName.text;
-      }
-    }
+    const label = document.createElement('span');
+    label.className = 'skin-variant-label';
+    label.textContent = [
+      variant.name || variant.uuid || 'Unnamed',
+      timestamp !== null ? new Date(timestamp).toLocaleDateString() : null,
+      `${count} head${count !== 1 ? 's' : ''}`
+    ].filter(Boolean).join(' · ');
+    label.title = variant.uuid || '';
+
+    const badge = document.createElement('span');
+    badge.className = 'signature-badge';
+    badge.hidden = true;
+
+    item.append(label, badge);
+    list.appendChild(item);
+    renderSignatureBadge(badge, variant);
+  }
+}
+
+// Fill a card's texture details and warnings, payload fields are inserted as text only
+function renderTexturePayload(card, payload) {
+  const warningList = card.querySelector('.skin-warnings');
+  for (const warning of payload.warnings) {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    warningList.appendChild(item);
+  }
+
+  const fields = [
+    ['Profile name', payload.profileName],
+    ['Profile ID', payload.profileId],
+    ['Captured', payload.timestamp !== null ? new Date(payload.timestamp).toLocaleString() : null],
+    ['Model', payload.model && (payload.model === 'slim' ? 'Slim (Alex)' : 'Classic (Steve)')]
+  ];
 
-    // If CustomName is a simple string, use it directly
-    if (typeof customName === 'string' && customName.trim() !== '') {
-      return customName;
+  const list = card.querySelector('.skin-payload-list');
+  for (const [label, value] of fields) {
+    const term = document.createElement('dt');
+    const detail = document.createElement('dd');
+    term.textContent = label;
+    detail.textContent = value ?? '—';
+    list.append(term, detail);
+  }
+
+  if (payload.capeUrl) {
+    const term = document.createElement('dt');
+    const detail = document.createElement('dd');
+    const link = document.createElement('a');
+    term.textContent = 'Cape';
+    link.href = payload.capeUrl;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.download = '';
+    link.textContent = 'Download cape';
+    detail.appendChild(link);
+    list.append(term, detail);
+  }
+}
+
+// Mark whether a skin's texture payload carries a valid Mojang signature
+async function renderSignatureBadge(badge, skin) {
+  let status;
+  try {
+    status = await verifyTextureSignature(skin.textureValue, skin.textureSignature);
+  } catch (error) {
+    // WebCrypto is only available in secure contexts, leave the badge hidden elsewhere
+    console.warn('Could not verify texture signature:', error);
+    return;
+  }
+
+  badge.className = `signature-badge signature-${status}`;
+  badge.textContent = SIGNATURE_LABELS[status];
+  badge.title = SIGNATURE_DESCRIPTIONS[status];
+  badge.hidden = false;
+}
+
+// Render a skin preview locally from its texture, keeping the placeholder on failure
+async function renderCardPreview(img, skin) {
+  const mode = previewModeSelect.value;
+  const texture = getSkinTexture(skin);
+
+  img.classList.toggle('skin-preview-body', mode === PREVIEW_BODY);
+  img.src = PLACEHOLDER_IMAGE;
+
+  if (!texture) {
+    return;
+  }
+
+  try {
+    const dataUrl = await renderSkinPreview(texture.url, { mode, slim: texture.slim });
+    // The mode may have changed while the texture was loading
+    if (previewModeSelect.value === mode) {
+      img.src = dataUrl;
     }
+  } catch (error) {
+    console.warn('Failed to render skin preview:', error);
   }
+}
 
-  if (typeof name === 'string' && name.trim() !== '') {
-    return name;
+// Describe the chunks a head was found in (region file results only)
+function getChunkInfo(skin) {
+  if (!skin.chunks || skin.chunks.length === 0) {
+    return null;
   }
 
-  return `Skin ${index + 1}`;
+  const [first, ...rest] = skin.chunks;
+  const label = `Chunk ${first.x}, ${first.z}${rest.length > 0 ? ` (+${rest.length} more)` : ''}`;
+  const title = skin.chunks.map(chunk => `Chunk ${chunk.x}, ${chunk.z} in ${chunk.region}`).join('\n');
+
+  return { label, title };
+}
+
+// Describe a single head occurrence: region, coordinates and placement or holder
+function formatLocation(location) {
+  // Merged batch results keep the file each head came from
+  const parts = location.file ? [location.file, location.region] : [location.region];
+
+  if (location.position) {
+    const { x, y, z } = location.position;
+    parts.push(`${x}, ${y}, ${z}`);
+  }
+
+  // Placed heads show floor/wall and rotation, items show their container or entity
+  const detail = location.item
+    ? describeLocation(location)
+    : describeHeadPlacement(location.blockState) || describeLocation(location);
+  parts.push(detail);
+
+  return parts.join(' · ');
+}
+
+// Get the text for a copy menu entry
+function getCopyText(skin, kind) {
+  const version = commandVersionSelect.value;
+
+  switch (kind) {
+    case 'give':
+      return generateGiveCommand(skin, version);
+    case 'setblock':
+      return generateSetblockCommand(skin, version);
+    default:
+      return getSkinDownloadUrl(skin);
+  }
 }
 
-// Copy skin info to clipboard
-async function copyToClipboard(skin, button) {
-  // Always copy the direct skin URL
-  const textToCopy = getSkinDownloadUrl(skin);
-  
+// Copy text to clipboard and flash the button
+async function copyToClipboard(textToCopy, button) {
   try {
     await navigator.clipboard.writeText(textToCopy);
     const originalText = button.textContent;
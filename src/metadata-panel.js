@@ -0,0 +1,162 @@
+/**
+ * Metadata Panel Module
+ * Renders the schematic's metadata, preview image and region list above the skins grid
+ */
+
+import { FORMAT_LABELS, getMinecraftVersion } from './schematic-formats.js';
+
+/**
+ * Fill the metadata panel for a loaded schematic
+ * @param {HTMLElement} container - Panel element
+ * @param {Object} data
+ * @param {Object} data.metadata - Metadata from getSchematicMetadata
+ * @param {string} data.format - One of the FORMAT_* constants
+ * @param {Array} data.regions - Region bounds ({ name, origin, size })
+ * @param {Array} data.skins - Skin objects with locations
+ * @param {string} data.fileName - Name of the loaded file, used when the schematic has no name
+ */
+export function renderMetadataPanel(container, { metadata, format, regions, skins, fileName }) {
+  container.innerHTML = `
+    <div class="schematic-header">
+      <div class="schematic-title">
+        <h3 class="schematic-name"></h3>
+        <p class="schematic-author"></p>
+        <p class="schematic-description"></p>
+      </div>
+    </div>
+    <dl class="schematic-facts"></dl>
+    <table class="schematic-regions">
+      <thead>
+        <tr><th>Region</th><th>Size</th><th>Heads</th></tr>
+      </thead>
+      <tbody></tbody>
+    </table>
+  `;
+
+  // Text from the file is inserted as text nodes only
+  container.querySelector('.schematic-name').textContent = metadata.name || fileName;
+  container.querySelector('.schematic-author').textContent = metadata.author ? `by ${metadata.author}` : '';
+  container.querySelector('.schematic-description').textContent = metadata.description || '';
+
+  if (metadata.previewImage) {
+    const thumbnail = createPreviewCanvas(metadata.previewImage);
+    thumbnail.className = 'schematic-preview';
+    container.querySelector('.schematic-header').prepend(thumbnail);
+  }
+
+  const facts = container.querySelector('.schematic-facts');
+  for (const [label, value] of getMetadataFacts(metadata, format)) {
+    const term = document.createElement('dt');
+    const detail = document.createElement('dd');
+    term.textContent = label;
+    detail.textContent = value;
+    facts.append(term, detail);
+  }
+
+  const regionTable = container.querySelector('.schematic-regions');
+  const headCounts = countHeadsByRegion(skins);
+  regionTable.hidden = regions.length === 0;
+  for (const region of regions) {
+    const row = document.createElement('tr');
+    for (const text of [region.name, formatSize(region.size), headCounts.get(region.name) || 0]) {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    regionTable.tBodies[0].appendChild(row);
+  }
+
+  container.hidden = false;
+}
+
+/**
+ * Draw a litematic preview image
+ * @param {{width: number, height: number, pixels: Int32Array}} image - ARGB pixels, row by row
+ * @returns {HTMLCanvasElement} Canvas with the image
+ */
+export function createPreviewCanvas({ width, height, pixels }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d');
+  const imageData = context.createImageData(width, height);
+  const { data } = imageData;
+  // Some tools write the image without an alpha channel, treat those as opaque
+  const hasAlpha = pixels.some(pixel => (pixel >>> 24) !== 0);
+
+  for (let i = 0; i < pixels.length; i++) {
+    const pixel = pixels[i];
+    data[i * 4] = (pixel >> 16) & 0xff;
+    data[i * 4 + 1] = (pixel >> 8) & 0xff;
+    data[i * 4 + 2] = pixel & 0xff;
+    data[i * 4 + 3] = hasAlpha ? pixel >>> 24 : 0xff;
+  }
+
+  context.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+/**
+ * List the metadata fields worth showing, skipping ones the file doesn't have
+ * Name, author and description are left out, the panel shows them as its title
+ * @param {Object} metadata - Metadata from getSchematicMetadata
+ * @param {string} format - One of the FORMAT_* constants
+ * @returns {Array<[string, string]>} Label and value pairs
+ */
+export function getMetadataFacts(metadata, format) {
+  const facts = [['Format', FORMAT_LABELS[format] || format]];
+
+  if (metadata.dataVersion !== null) {
+    const version = getMinecraftVersion(metadata.dataVersion);
+    facts.push(['Minecraft', `${version || 'Unknown'} (data version ${metadata.dataVersion})`]);
+  }
+  if (metadata.formatVersion !== null) {
+    const subVersion = metadata.subVersion !== null ? `.${metadata.subVersion}` : '';
+    facts.push(['Format version', `${metadata.formatVersion}${subVersion}`]);
+  }
+
+  facts.push(['Regions', String(metadata.regionCount)]);
+
+  if (metadata.enclosingSize) {
+    facts.push(['Enclosing size', formatSize(metadata.enclosingSize)]);
+  }
+  if (metadata.totalBlocks !== null) {
+    facts.push(['Total blocks', metadata.totalBlocks.toLocaleString()]);
+  }
+  if (metadata.totalVolume !== null) {
+    facts.push(['Total volume', metadata.totalVolume.toLocaleString()]);
+  }
+  if (metadata.timeCreated !== null) {
+    facts.push(['Created', new Date(metadata.timeCreated).toLocaleString()]);
+  }
+  if (metadata.timeModified !== null) {
+    facts.push(['Modified', new Date(metadata.timeModified).toLocaleString()]);
+  }
+
+  return facts;
+}
+
+/**
+ * Count head occurrences per region name
+ * @param {Array} skins - Skin objects with locations
+ * @returns {Map<string, number>} Heads per region
+ */
+function countHeadsByRegion(skins) {
+  const counts = new Map();
+  for (const skin of skins) {
+    for (const location of skin.locations || []) {
+      counts.set(location.region, (counts.get(location.region) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Format a size as "x × y × z"
+ * @param {{x: number, y: number, z: number}|null} size - Size in blocks
+ * @returns {string} Formatted size
+ */
+function formatSize(size) {
+  return size ? `${Math.abs(size.x)} × ${Math.abs(size.y)} × ${Math.abs(size.z)}` : '—';
+}
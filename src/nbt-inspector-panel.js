@@ -0,0 +1,158 @@
+/**
+ * NBT Inspector Panel Module
+ * Renders a parsed NBT tree as expandable rows with tag types, summaries and paths
+ * Children are only built when a node is opened, a page at a time, so large files stay responsive
+ */
+
+import { TAG_TYPES, stringifySNBT } from './nbt-reader.js';
+import { TAG_NAMES, hasChildren, getChildren, describeNode, formatNBTPath } from './nbt-inspector.js';
+
+// Children rendered per "Show more" click
+const PAGE_SIZE = 100;
+
+// Node state by element: value, tag type, path, children and how many are rendered
+const nodes = new WeakMap();
+
+/**
+ * Fill the tree element with the root of a parsed file, opened one level
+ * @param {HTMLElement} tree - Tree element
+ * @param {Object} nbtData - Parsed NBT data ({ name, value })
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onCopy - Called with (snbt, button) when a node's SNBT is copied
+ */
+export function renderNBTTree(tree, nbtData, { onCopy }) {
+  tree.innerHTML = '';
+  const root = createNode(nbtData.name || 'root', nbtData.value, TAG_TYPES.COMPOUND, [], onCopy);
+  root.open = true;
+  tree.appendChild(root);
+}
+
+/**
+ * Open every node along a path, then scroll to and highlight its last node
+ * @param {HTMLElement} tree - Tree element filled by renderNBTTree
+ * @param {Array<string|number>} path - Keys from the root
+ * @returns {boolean} True if the node was found
+ */
+export function revealNBTPath(tree, path) {
+  let element = tree.firstElementChild;
+
+  for (const key of path) {
+    const state = nodes.get(element);
+    if (!state) {
+      return false;
+    }
+
+    const index = getNodeChildren(state).findIndex(child => child.key === key);
+    if (index === -1) {
+      return false;
+    }
+
+    element.open = true;
+    renderChildren(element, index + 1);
+    element = state.elements[index];
+  }
+
+  for (const highlighted of tree.querySelectorAll('.nbt-highlight')) {
+    highlighted.classList.remove('nbt-highlight');
+  }
+  const row = element.querySelector('.nbt-row');
+  row.classList.add('nbt-highlight');
+  row.scrollIntoView({ block: 'center' });
+  return true;
+}
+
+/**
+ * Build the element for one node: a details element for compounds and lists, a row otherwise
+ * @param {string|number} key - Name or list index
+ * @param {*} value - Node value
+ * @param {number} tagType - Tag type
+ * @param {Array<string|number>} path - Keys from the root
+ * @param {Function} onCopy - Copy callback
+ * @returns {HTMLElement} Node element
+ */
+function createNode(key, value, tagType, path, onCopy) {
+  const row = document.createElement('div');
+  row.className = 'nbt-row';
+  row.innerHTML = `
+    <span class="nbt-key"></span>
+    <span class="nbt-type"></span>
+    <span class="nbt-summary"></span>
+    <button class="btn btn-secondary btn-small nbt-copy-btn" type="button" title="Copy as SNBT">SNBT</button>
+  `;
+
+  row.querySelector('.nbt-key').textContent = typeof key === 'number' ? `[${key}]` : key;
+  row.querySelector('.nbt-type').textContent = TAG_NAMES[tagType];
+  row.querySelector('.nbt-summary').textContent = describeNode(value, tagType);
+  row.title = formatNBTPath(path) || 'Root';
+
+  const copyBtn = row.querySelector('.nbt-copy-btn');
+  copyBtn.addEventListener('click', (e) => {
+    // Keep the click from toggling the node
+    e.preventDefault();
+    onCopy(stringifySNBT(value, tagType), copyBtn);
+  });
+
+  if (!hasChildren(tagType)) {
+    const leaf = document.createElement('div');
+    leaf.className = 'nbt-node nbt-leaf';
+    leaf.appendChild(row);
+    return leaf;
+  }
+
+  const details = document.createElement('details');
+  details.className = 'nbt-node';
+  const summary = document.createElement('summary');
+  summary.appendChild(row);
+  const childList = document.createElement('div');
+  childList.className = 'nbt-children';
+  details.append(summary, childList);
+
+  nodes.set(details, { value, tagType, path, onCopy, children: null, elements: [] });
+  details.addEventListener('toggle', () => {
+    if (details.open) {
+      renderChildren(details, PAGE_SIZE);
+    }
+  });
+
+  return details;
+}
+
+/**
+ * Render a node's children up to a count, adding a "Show more" button when some are left
+ * @param {HTMLDetailsElement} details - Node element
+ * @param {number} count - Number of children that should be rendered
+ */
+function renderChildren(details, count) {
+  const state = nodes.get(details);
+  const children = getNodeChildren(state);
+
+  const childList = details.querySelector(':scope > .nbt-children');
+  childList.querySelector(':scope > .nbt-more')?.remove();
+
+  while (state.elements.length < Math.min(count, children.length)) {
+    const { key, value, tagType } = children[state.elements.length];
+    const element = createNode(key, value, tagType, [...state.path, key], state.onCopy);
+    state.elements.push(element);
+    childList.appendChild(element);
+  }
+
+  const remaining = children.length - state.elements.length;
+  if (remaining > 0) {
+    const more = document.createElement('button');
+    more.className = 'btn btn-secondary btn-small nbt-more';
+    more.type = 'button';
+    more.textContent = `Show ${Math.min(remaining, PAGE_SIZE)} more of ${remaining}`;
+    more.addEventListener('click', () => renderChildren(details, state.elements.length + PAGE_SIZE));
+    childList.appendChild(more);
+  }
+}
+
+/**
+ * Get a node's children, listing them on first use
+ * @param {Object} state - Node state
+ * @returns {Array<Object>} Children from getChildren
+ */
+function getNodeChildren(state) {
+  state.children = state.children || getChildren(state.value, state.tagType);
+  return state.children;
+}
@@ -0,0 +1,195 @@
+/**
+ * NBT Inspector Module
+ * Walks a parsed NBT tree for the inspector view: tag type names, node summaries,
+ * NBT paths and search by key or value
+ */
+
+import { TAG_TYPES, getTagType, inferTagType } from './nbt-reader.js';
+
+export const DEFAULT_SEARCH_LIMIT = 200;
+
+// Longest string shown in a node summary
+const MAX_PREVIEW_LENGTH = 80;
+
+// Keys that can be written in an NBT path without quotes
+const PATH_UNQUOTED = /^[A-Za-z0-9_\-+]+$/;
+
+/**
+ * Display names of the tag types
+ */
+export const TAG_NAMES = Object.freeze({
+  [TAG_TYPES.BYTE]: 'Byte',
+  [TAG_TYPES.SHORT]: 'Short',
+  [TAG_TYPES.INT]: 'Int',
+  [TAG_TYPES.LONG]: 'Long',
+  [TAG_TYPES.FLOAT]: 'Float',
+  [TAG_TYPES.DOUBLE]: 'Double',
+  [TAG_TYPES.BYTE_ARRAY]: 'Byte Array',
+  [TAG_TYPES.STRING]: 'String',
+  [TAG_TYPES.LIST]: 'List',
+  [TAG_TYPES.COMPOUND]: 'Compound',
+  [TAG_TYPES.INT_ARRAY]: 'Int Array',
+  [TAG_TYPES.LONG_ARRAY]: 'Long Array'
+});
+
+/**
+ * Check whether a tag type holds named or indexed children to expand
+ * Arrays are shown as a length only, their elements are plain numbers
+ * @param {number} tagType - Tag type
+ * @returns {boolean} True for compounds and lists
+ */
+export function hasChildren(tagType) {
+  return tagType === TAG_TYPES.COMPOUND || tagType === TAG_TYPES.LIST;
+}
+
+/**
+ * List the children of a compound or list with their tag types
+ * @param {Object|Array} value - Compound or list
+ * @param {number} tagType - Its tag type
+ * @returns {Array<{key: string|number, value: *, tagType: number}>} Children; keys are names
+ *   for compounds and indices for lists
+ */
+export function getChildren(value, tagType) {
+  if (tagType === TAG_TYPES.LIST) {
+    const itemType = getTagType(value);
+    return value.map((item, index) => ({ key: index, value: item, tagType: resolveType(item, itemType) }));
+  }
+  if (tagType === TAG_TYPES.COMPOUND) {
+    return Object.keys(value)
+      .filter(key => value[key] !== undefined && value[key] !== null)
+      .map(key => ({ key, value: value[key], tagType: resolveType(value[key], getTagType(value, key)) }));
+  }
+  return [];
+}
+
+/**
+ * Summarize a node for its row: entry counts, array lengths or the value itself
+ * @param {*} value - Node value
+ * @param {number} tagType - Its tag type
+ * @returns {string} Summary, e.g. "3 entries", "12 × Compound", "4096 longs" or "\"Steve\""
+ */
+export function describeNode(value, tagType) {
+  switch (tagType) {
+    case TAG_TYPES.COMPOUND: {
+      const count = getChildren(value, tagType).length;
+      return `${count} ${count === 1 ? 'entry' : 'entries'}`;
+    }
+    case TAG_TYPES.LIST: {
+      const itemType = value.length > 0 ? getChildren(value, tagType)[0].tagType : getTagType(value);
+      return `${value.length} × ${TAG_NAMES[itemType] || 'End'}`;
+    }
+    case TAG_TYPES.BYTE_ARRAY:
+      return `${value.length} ${value.length === 1 ? 'byte' : 'bytes'}`;
+    case TAG_TYPES.INT_ARRAY:
+      return `${value.length} ${value.length === 1 ? 'int' : 'ints'}`;
+    case TAG_TYPES.LONG_ARRAY:
+      return `${value.length} ${value.length === 1 ? 'long' : 'longs'}`;
+    case TAG_TYPES.STRING:
+      return JSON.stringify(value.length > MAX_PREVIEW_LENGTH ? `${value.slice(0, MAX_PREVIEW_LENGTH)}…` : value);
+    case TAG_TYPES.BYTE:
+      return String(value === true ? 1 : value === false ? 0 : value);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Write a path the way /data commands take it, e.g. Regions."My House".TileEntities[0].id
+ * @param {Array<string|number>} path - Keys from the root, numbers for list indices
+ * @returns {string} NBT path, empty for the root
+ */
+export function formatNBTPath(path) {
+  let text = '';
+  for (const key of path) {
+    if (typeof key === 'number') {
+      text += `[${key}]`;
+    } else {
+      const name = PATH_UNQUOTED.test(key) ? key : JSON.stringify(key);
+      text += text ? `.${name}` : name;
+    }
+  }
+  return text;
+}
+
+/**
+ * Follow a path from the root compound
+ * @param {Object} root - Root compound
+ * @param {Array<string|number>} path - Keys from the root
+ * @returns {{value: *, tagType: number}|null} The node, or null if the path does not exist
+ */
+export function getNodeAtPath(root, path) {
+  let node = { value: root, tagType: TAG_TYPES.COMPOUND };
+  for (const key of path) {
+    node = getChildren(node.value, node.tagType).find(child => child.key === key) || null;
+    if (!node) {
+      return null;
+    }
+  }
+  return node;
+}
+
+/**
+ * Find the nodes whose key or value contains the query, ignoring case
+ * Strings and numbers are matched by their text; array elements are not searched
+ * @param {Object} root - Root compound
+ * @param {string} query - Search text
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Stop after this many matches
+ * @returns {{matches: Array<{path: Array<string|number>, tagType: number, summary: string}>, truncated: boolean}}
+ *   Matches in tree order, and whether the limit cut the search short
+ */
+export function searchNBT(root, query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const term = query.trim().toLowerCase();
+  const matches = [];
+  if (!term) {
+    return { matches, truncated: false };
+  }
+
+  // Depth-first with an explicit stack, lists of chunks or entities can nest deeply
+  const stack = [];
+  const pushChildren = (value, tagType, path) => {
+    const children = getChildren(value, tagType);
+    // In reverse so children are visited in order
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push({ ...children[i], path: [...path, children[i].key] });
+    }
+  };
+  pushChildren(root, TAG_TYPES.COMPOUND, []);
+
+  while (stack.length > 0) {
+    const { key, value, tagType, path } = stack.pop();
+    const keyMatches = typeof key === 'string' && key.toLowerCase().includes(term);
+    const valueMatches = !hasChildren(tagType) && !ArrayBuffer.isView(value)
+      && String(value).toLowerCase().includes(term);
+
+    if (keyMatches || valueMatches) {
+      if (matches.length === limit) {
+        return { matches, truncated: true };
+      }
+      matches.push({ path, tagType, summary: describeNode(value, tagType) });
+    }
+
+    if (hasChildren(tagType)) {
+      pushChildren(value, tagType, path);
+    }
+  }
+
+  return { matches, truncated: false };
+}
+
+/**
+ * Use the recorded tag type unless the value no longer fits it
+ * @param {*} value - Value
+ * @param {number|undefined} recorded - Recorded tag type
+ * @returns {number} Tag type
+ */
+function resolveType(value, recorded) {
+  if (recorded === undefined || recorded === TAG_TYPES.END) {
+    return inferTagType(value);
+  }
+  // A list or compound replaced by a value of another kind keeps a stale type
+  if (hasChildren(recorded) !== (typeof value === 'object' && value !== null && !ArrayBuffer.isView(value))) {
+    return inferTagType(value);
+  }
+  return recorded;
+}
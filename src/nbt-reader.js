@@ -1,10 +1,19 @@
 /**
  * NBT Reader Module
  * Parses NBT (Named Binary Tag) format used by Minecraft
- * Litematic files are gzip-compressed NBT files
+ * Schematic files are gzip-compressed, zlib-compressed or raw NBT files
+ * Also writes binary NBT and reads/writes SNBT (stringified NBT)
  */
 
 import pako from 'pako';
+import { detectFormat, getBlockEntityGroups } from './schematic-formats.js';
+import { findHeadsInBlockEntity, findHeadsInEntity } from './item-scanner.js';
+
+// Compressed bytes handed to the inflater at a time
+const INFLATE_SLICE_SIZE = 1024 * 1024;
+
+// Base64 alphabet, for decoding texture values
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
 
 // NBT Tag Types
 const TAG_END = 0;
@@ -21,13 +30,91 @@ const TAG_COMPOUND = 10;
 const TAG_INT_ARRAY = 11;
 const TAG_LONG_ARRAY = 12;
 
+/**
+ * NBT tag type ids, for use with getTagType/setTagType
+ */
+export const TAG_TYPES = Object.freeze({
+  END: TAG_END,
+  BYTE: TAG_BYTE,
+  SHORT: TAG_SHORT,
+  INT: TAG_INT,
+  LONG: TAG_LONG,
+  FLOAT: TAG_FLOAT,
+  DOUBLE: TAG_DOUBLE,
+  BYTE_ARRAY: TAG_BYTE_ARRAY,
+  STRING: TAG_STRING,
+  LIST: TAG_LIST,
+  COMPOUND: TAG_COMPOUND,
+  INT_ARRAY: TAG_INT_ARRAY,
+  LONG_ARRAY: TAG_LONG_ARRAY
+});
+
+// Parsed compounds and lists remember their tag types under this key, so
+// bytes, shorts, ints, floats and doubles (all JS numbers) can be written back
+// exactly. Compounds map child names to types, lists hold their element type.
+// The property is non-enumerable and does not show up in JSON or spreads.
+const TAG_TYPES_KEY = Symbol('nbtTagTypes');
+// Tag type table entry for values without a recorded type, see getTagTypeTable
+const NO_TAG_TYPE = 0xff;
+
+// Anvil region file layout
+const SECTOR_SIZE = 4096;
+const CHUNKS_PER_REGION = 1024;
+const REGION_WIDTH = 32;
+
+// Anvil chunk compression types
+const COMPRESSION_GZIP = 1;
+const COMPRESSION_ZLIB = 2;
+const COMPRESSION_NONE = 3;
+const COMPRESSION_LZ4 = 4;
+const COMPRESSION_EXTERNAL = 128; // Flag: chunk data lives in a separate .mcc file
+
+// Chunk data needed to find heads; block sections, heightmaps and ticks are skipped
+const CHUNK_HEAD_PATHS = [
+  'xPos', 'zPos', 'block_entities', 'Entities', 'Position',
+  'Level/xPos', 'Level/zPos', 'Level/TileEntities', 'Level/Entities'
+];
+
+// Shared decoder, creating one per string is slow
+const UTF8_DECODER = new TextDecoder('utf-8');
+
+// NBT is big-endian; typed arrays use the platform's byte order
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+// Path filter value meaning "read this whole subtree"
+const INCLUDE_ALL = true;
+
+// Payload sizes of fixed-size tags, for skipping
+const FIXED_TAG_SIZES = {
+  [TAG_BYTE]: 1,
+  [TAG_SHORT]: 2,
+  [TAG_INT]: 4,
+  [TAG_LONG]: 8,
+  [TAG_FLOAT]: 4,
+  [TAG_DOUBLE]: 8
+};
+
 /**
  * NBT Reader class for parsing NBT binary data
+ * By default the whole tree is read. With `include`, only the listed paths
+ * (and the compounds leading to them) are built; everything else is skipped
+ * without being decoded, which makes a partial tree unsuitable for writing back
  */
 class NBTReader {
-  constructor(buffer) {
+  /**
+   * @param {ArrayBuffer} buffer - Uncompressed NBT data
+   * @param {Object} [options]
+   * @param {Array<string>|null} [options.include] - Paths to read, as "/"-separated compound keys or
+   *   list indices where "*" matches any, e.g. "Metadata"
+   * @param {boolean} [options.views] - Return byte arrays as views into `buffer` instead of copies.
+   *   Int and long arrays are always copied: NBT is big endian, so their bytes are swapped on
+   *   little-endian hosts, and their offsets in `buffer` are not always aligned
+   */
+  constructor(buffer, { include = null, views = false } = {}) {
     this.buffer = new DataView(buffer);
     this.offset = 0;
+    this.filter = include ? compilePathFilter(include) : INCLUDE_ALL;
+    this.views = views;
   }
 
   readByte() {
@@ -55,13 +142,10 @@ class NBTReader {
   }
 
   readLong() {
-    // JavaScript doesn't natively support 64-bit integers
-    // Read as two 32-bit integers and combine
-    const high = this.buffer.getInt32(this.offset, false);
-    const low = this.buffer.getUint32(this.offset + 4, false);
-    this.offset += 8;
     // Return as BigInt for precision
-    return (BigInt(high) << 32n) | BigInt(low);
+    const value = this.buffer.getBigInt64(this.offset, false);
+    this.offset += 8;
+    return value;
   }
 
   readFloat() {
@@ -77,45 +161,119 @@ class NBTReader {
   }
 
   readString() {
-    const length = this.readShort();
-    if (length <= 0) return '';
+    // String lengths are unsigned shorts
+    const length = this.readShort() & 0xffff;
+    if (length === 0) return '';
     
     const bytes = new Uint8Array(this.buffer.buffer, this.offset, length);
     this.offset += length;
     
     // Decode UTF-8
-    const decoder = new TextDecoder('utf-8');
-    return decoder.decode(bytes);
+    return UTF8_DECODER.decode(bytes);
   }
 
   readByteArray() {
     const length = this.readInt();
-    const array = new Int8Array(length);
-    for (let i = 0; i < length; i++) {
-      array[i] = this.readByte();
-    }
-    return array;
+    const bytes = this.readBytes(length);
+    // Copy unless views were asked for, so the decompressed buffer can be freed after parsing
+    const source = this.views ? bytes : bytes.slice();
+    return new Int8Array(source.buffer, source.byteOffset, length);
   }
 
   readIntArray() {
     const length = this.readInt();
-    const array = new Int32Array(length);
-    for (let i = 0; i < length; i++) {
-      array[i] = this.readInt();
+    // Copy the bytes in one go, then fix the byte order in place
+    const words = new Uint32Array(this.readBytes(length * 4).slice().buffer);
+    if (LITTLE_ENDIAN) {
+      for (let i = 0; i < words.length; i++) {
+        words[i] = swapBytes32(words[i]);
+      }
     }
-    return array;
+    return new Int32Array(words.buffer);
   }
 
   readLongArray() {
     const length = this.readInt();
-    const array = [];
-    for (let i = 0; i < length; i++) {
-      array.push(this.readLong());
+    // Same as readIntArray, additionally swapping the two halves of each long
+    const words = new Uint32Array(this.readBytes(length * 8).slice().buffer);
+    if (LITTLE_ENDIAN) {
+      for (let i = 0; i < words.length; i += 2) {
+        const high = words[i];
+        words[i] = swapBytes32(words[i + 1]);
+        words[i + 1] = swapBytes32(high);
+      }
+    }
+    return new BigInt64Array(words.buffer);
+  }
+
+  /**
+   * Get a view of the next bytes and move past them
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} View into the underlying buffer
+   */
+  readBytes(length) {
+    if (length < 0 || this.offset + length > this.buffer.byteLength) {
+      throw new RangeError(`Array of ${length} bytes runs past the end of the data`);
+    }
+    const bytes = new Uint8Array(this.buffer.buffer, this.offset, length);
+    this.offset += length;
+    return bytes;
+  }
+
+  /**
+   * Move past a tag's payload without decoding it
+   * @param {number} tagType - Tag type
+   */
+  skipTag(tagType) {
+    // Lengths are read into a variable first, "offset += read()" would lose the read's own advance
+    switch (tagType) {
+      case TAG_BYTE_ARRAY: {
+        const length = this.readInt();
+        this.offset += length;
+        break;
+      }
+      case TAG_INT_ARRAY: {
+        const length = this.readInt();
+        this.offset += length * 4;
+        break;
+      }
+      case TAG_LONG_ARRAY: {
+        const length = this.readInt();
+        this.offset += length * 8;
+        break;
+      }
+      case TAG_STRING: {
+        const length = this.readShort() & 0xffff;
+        this.offset += length;
+        break;
+      }
+      case TAG_LIST: {
+        const itemType = this.readUByte();
+        const length = this.readInt();
+        if (FIXED_TAG_SIZES[itemType]) {
+          this.offset += length * FIXED_TAG_SIZES[itemType];
+        } else {
+          for (let i = 0; i < length; i++) {
+            this.skipTag(itemType);
+          }
+        }
+        break;
+      }
+      case TAG_COMPOUND:
+        for (let type = this.readUByte(); type !== TAG_END; type = this.readUByte()) {
+          this.skipTag(TAG_STRING); // Entry name
+          this.skipTag(type);
+        }
+        break;
+      default:
+        if (!FIXED_TAG_SIZES[tagType]) {
+          throw new Error(`Unknown tag type: ${tagType}`);
+        }
+        this.offset += FIXED_TAG_SIZES[tagType];
     }
-    return array;
   }
 
-  readTag(tagType) {
+  readTag(tagType, filter = INCLUDE_ALL) {
     switch (tagType) {
       case TAG_END:
         return null;
@@ -136,9 +294,9 @@ class NBTReader {
       case TAG_STRING:
         return this.readString();
       case TAG_LIST:
-        return this.readList();
+        return this.readList(filter);
       case TAG_COMPOUND:
-        return this.readCompound();
+        return this.readCompound(filter);
       case TAG_INT_ARRAY:
         return this.readIntArray();
       case TAG_LONG_ARRAY:
@@ -148,20 +306,27 @@ class NBTReader {
     }
   }
 
-  readList() {
+  readList(filter = INCLUDE_ALL) {
     const itemType = this.readUByte();
     const length = this.readInt();
     const list = [];
     
     for (let i = 0; i < length; i++) {
-      list.push(this.readTag(itemType));
+      const itemFilter = getChildFilter(filter, String(i));
+      if (itemFilter) {
+        list.push(this.readTag(itemType, itemFilter));
+      } else {
+        this.skipTag(itemType);
+      }
     }
     
+    setListType(list, itemType);
     return list;
   }
 
-  readCompound() {
+  readCompound(filter = INCLUDE_ALL) {
     const compound = {};
+    const types = createTypeMap(compound);
     
     while (true) {
       const tagType = this.readUByte();
@@ -171,8 +336,15 @@ class NBTReader {
       }
       
       const name = this.readString();
-      const value = this.readTag(tagType);
+      const childFilter = getChildFilter(filter, name);
+      if (!childFilter) {
+        this.skipTag(tagType);
+        continue;
+      }
+      
+      const value = this.readTag(tagType, childFilter);
       compound[name] = value;
+      types[name] = tagType;
     }
     
     return compound;
@@ -190,70 +362,437 @@ class NBTReader {
     const rootName = this.readString();
     
     // Read root compound
-    const root = this.readCompound();
+    const root = this.readCompound(this.filter);
     
     return { name: rootName, value: root };
   }
 }
 
 /**
- * Parse a litematic file from an ArrayBuffer
+ * Parse a schematic file from an ArrayBuffer
+ * Accepts any NBT file: gzip, zlib and uncompressed data are all detected
  * @param {ArrayBuffer} arrayBuffer - The raw file data
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called while decompressing with
+ *   { bytesRead, totalBytes, bytesInflated }
+ * @param {Array<string>} [options.include] - Only read these paths, see NBTReader
+ * @param {boolean} [options.views] - Return byte arrays (not int or long arrays) as views instead
+ *   of copies, see NBTReader
  * @returns {Object} The parsed NBT data
  */
-export function parseLitematic(arrayBuffer) {
-  // Decompress gzip data
-  const compressed = new Uint8Array(arrayBuffer);
+export function parseLitematic(arrayBuffer, { onProgress = null, include = null, views = false } = {}) {
+  const data = new Uint8Array(arrayBuffer);
   let decompressed;
   
-  try {
-    decompressed = pako.inflate(compressed);
-  } catch (e) {
-    throw new Error('Failed to decompress litematic file: ' + e.message);
+  if (data[0] === TAG_COMPOUND) {
+    // Uncompressed NBT starts directly with the root compound tag
+    decompressed = data;
+  } else {
+    try {
+      decompressed = inflateInChunks(data, onProgress);
+    } catch (e) {
+      throw new Error('Failed to decompress schematic file: ' + e.message);
+    }
   }
   
   // Parse NBT data
-  const reader = new NBTReader(decompressed.buffer);
+  const reader = new NBTReader(decompressed.buffer, { include, views });
   return reader.parse();
 }
 
 /**
- * Extract skin data from parsed litematic NBT
+ * Decompress gzip or zlib data a slice at a time, reporting progress after each slice
+ * @param {Uint8Array} data - Compressed data
+ * @param {Function|null} onProgress - Progress callback, see parseLitematic
+ * @returns {Uint8Array} Decompressed data
+ */
+function inflateInChunks(data, onProgress) {
+  // pako detects gzip and zlib headers on its own
+  const inflator = new pako.Inflate();
+  const chunks = [];
+  let bytesInflated = 0;
+  
+  inflator.onData = (chunk) => {
+    chunks.push(chunk);
+    bytesInflated += chunk.length;
+  };
+  
+  for (let offset = 0; offset < data.length; offset += INFLATE_SLICE_SIZE) {
+    const end = Math.min(offset + INFLATE_SLICE_SIZE, data.length);
+    inflator.push(data.subarray(offset, end), end === data.length);
+    
+    if (inflator.err) {
+      throw new Error(inflator.msg);
+    }
+    onProgress?.({ bytesRead: end, totalBytes: data.length, bytesInflated });
+  }
+  
+  if (!inflator.ended) {
+    throw new Error('unexpected end of file');
+  }
+  
+  // Copy the chunks into one buffer so NBTReader can read across chunk boundaries
+  const output = new Uint8Array(bytesInflated);
+  let position = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, position);
+    position += chunk.length;
+  }
+  return output;
+}
+
+/**
+ * Turn include paths into a tree of path segments
+ * e.g. ["Metadata", "Regions/main/BlockEntities"] becomes
+ * { Metadata: INCLUDE_ALL, Regions: { main: { BlockEntities: INCLUDE_ALL } } }
+ * @param {Array<string>} paths - "/"-separated paths
+ * @returns {Object} Path filter
+ */
+function compilePathFilter(paths) {
+  const root = Object.create(null);
+  
+  for (const path of paths) {
+    const segments = path.split('/').filter(Boolean);
+    let node = root;
+    
+    for (let i = 0; i < segments.length && node !== INCLUDE_ALL; i++) {
+      const segment = segments[i];
+      if (i === segments.length - 1) {
+        node[segment] = INCLUDE_ALL;
+      } else {
+        node[segment] = node[segment] || Object.create(null);
+        node = node[segment];
+      }
+    }
+  }
+  
+  return root;
+}
+
+/**
+ * Get the filter for a compound entry or list element
+ * @param {Object|boolean} filter - Filter of the parent
+ * @param {string} name - Entry name or element index
+ * @returns {Object|boolean|undefined} Child filter, or undefined to skip the child
+ */
+function getChildFilter(filter, name) {
+  if (filter === INCLUDE_ALL) {
+    return INCLUDE_ALL;
+  }
+  
+  const exact = filter[name];
+  const wildcard = filter['*'];
+  return exact && wildcard ? mergePathFilters(exact, wildcard) : exact || wildcard;
+}
+
+/**
+ * Combine two path filters, used when both an exact name and "*" match
+ * @param {Object|boolean} a - Path filter
+ * @param {Object|boolean} b - Path filter
+ * @returns {Object|boolean} Filter including everything either includes
+ */
+function mergePathFilters(a, b) {
+  if (a === INCLUDE_ALL || b === INCLUDE_ALL) {
+    return INCLUDE_ALL;
+  }
+  
+  const merged = Object.create(null);
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    merged[key] = a[key] && b[key] ? mergePathFilters(a[key], b[key]) : a[key] || b[key];
+  }
+  return merged;
+}
+
+/**
+ * Reverse the byte order of a 32-bit word
+ * @param {number} word - Unsigned 32-bit value
+ * @returns {number} Byte-swapped value
+ */
+function swapBytes32(word) {
+  return ((word & 0xff) << 24) | ((word & 0xff00) << 8) | ((word >>> 8) & 0xff00) | (word >>> 24);
+}
+
+/**
+ * Deduplicating list of skins
+ * Skins sharing a texture (or UUID/name when untextured) are stored once
+ */
+export class SkinCollection {
+  constructor() {
+    this.skins = [];
+    this.skinsByKey = new Map();
+  }
+
+  /**
+   * Add a skin unless an equivalent one is already stored
+   * @param {Object} skinData - Skin object from parseProfile
+   * @param {Object} [location] - Where this head was found, appended to the stored skin's locations
+   * @returns {Object|null} The stored skin (new or existing), or null if it has no key
+   */
+  add(skinData, location = null) {
+    const key = getSkinKey(skinData);
+    if (!key) {
+      return null;
+    }
+    
+    let stored = this.skinsByKey.get(key);
+    if (!stored) {
+      stored = { ...skinData, locations: [] };
+      this.skins.push(stored);
+      this.skinsByKey.set(key, stored);
+    }
+    
+    if (location) {
+      stored.locations.push(location);
+    }
+    return stored;
+  }
+}
+
+/**
+ * Get the key skins are deduplicated by: texture, else UUID, else name
+ * @param {Object} skinData - Skin object from parseProfile
+ * @returns {string|null} Key, or null if the skin has none of them
+ */
+export function getSkinKey(skinData) {
+  return skinData.textureValue || skinData.uuid || skinData.name || null;
+}
+
+/**
+ * Extract skin data from parsed schematic NBT
  * @param {Object} nbtData - Parsed NBT data
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called after each region with
+ *   { regionsScanned, regionsTotal, headsFound }
  * @returns {Array} Array of skin objects
  */
-export function extractSkinsFromNBT(nbtData) {
-  const skins = [];
-  const seenTextures = new Set();
+export function extractSkinsFromNBT(nbtData, { onProgress = null } = {}) {
+  const collection = new SkinCollection();
+  
+  const format = detectFormat(nbtData);
   
-  const root = nbtData.value;
+  if (!format) {
+    throw new Error('Unrecognized file format. Expected a .litematic, .schem, .schematic or structure .nbt file');
+  }
   
-  // Litematic structure: root -> Regions -> [region name] -> BlockEntities
-  const regions = root.Regions || root.regions || {};
+  const groups = getBlockEntityGroups(nbtData, format);
+  let headsFound = 0;
   
-  for (const regionName in regions) {
-    const region = regions[regionName];
+  groups.forEach((group, index) => {
+    for (const { skinData, location } of findHeads(group)) {
+      if (collection.add(skinData, { ...location, region: group.name })) {
+        headsFound++;
+      }
+    }
+    onProgress?.({ regionsScanned: index + 1, regionsTotal: groups.length, headsFound });
+  });
+  
+  return collection.skins;
+}
+
+/**
+ * Find every head in a group of block entities and entities
+ * Covers placed heads as well as head items in inventories, item frames and equipment.
+ * Each location carries the world position of the head (or of its holder) and,
+ * for placed heads, the block state telling floor/wall head and rotation/facing
+ * @param {Object} group - Block entity group from getBlockEntityGroups
+ * @returns {Array<{skinData: Object, location: Object}>} Heads with where they were found
+ */
+function findHeads(group) {
+  const { origin, blockEntities, entities, getBlockState } = group;
+  const heads = [];
+  
+  for (const blockEntity of blockEntities) {
+    const position = getBlockEntityPosition(origin, blockEntity);
+    
+    const skinData = extractSkinFromEntity(blockEntity);
+    if (skinData) {
+      const holder = blockEntity.id || blockEntity.Id || 'minecraft:player_head';
+      const blockState = getBlockState ? getBlockState(blockEntity.x, blockEntity.y, blockEntity.z) : null;
+      heads.push({
+        skinData,
+        location: { holderType: 'block', item: false, path: [{ holder, slot: null }], position, blockState }
+      });
+    }
+    
+    for (const item of findHeadsInBlockEntity(blockEntity)) {
+      const itemSkinData = parseProfile(item.profile, item.customName);
+      if (itemSkinData) {
+        heads.push({ skinData: itemSkinData, location: { ...item.location, position, blockState: null } });
+      }
+    }
+  }
+  
+  for (const entity of entities) {
+    const position = getEntityPosition(origin, entity);
+    
+    for (const item of findHeadsInEntity(entity)) {
+      const itemSkinData = parseProfile(item.profile, item.customName);
+      if (itemSkinData) {
+        heads.push({ skinData: itemSkinData, location: { ...item.location, position, blockState: null } });
+      }
+    }
+  }
+  
+  return heads;
+}
+
+/**
+ * Get the world position of a block entity
+ * @param {Object} origin - Origin its x/y/z are relative to
+ * @param {Object} blockEntity - Block entity compound tag
+ * @returns {{x: number, y: number, z: number}|null} Position, or null if it has none
+ */
+function getBlockEntityPosition(origin, blockEntity) {
+  if (typeof blockEntity.x !== 'number') {
+    return null;
+  }
+  
+  return { x: origin.x + blockEntity.x, y: origin.y + blockEntity.y, z: origin.z + blockEntity.z };
+}
+
+/**
+ * Get the block position of an entity
+ * @param {Object} origin - Origin its Pos is relative to
+ * @param {Object} entity - Entity compound tag
+ * @returns {{x: number, y: number, z: number}|null} Position, or null if it has none
+ */
+function getEntityPosition(origin, entity) {
+  const pos = entity.Pos;
+  if (!pos || pos.length !== 3) {
+    return null;
+  }
+  
+  return {
+    x: Math.floor(origin.x + Number(pos[0])),
+    y: Math.floor(origin.y + Number(pos[1])),
+    z: Math.floor(origin.z + Number(pos[2]))
+  };
+}
+
+/**
+ * Read every chunk stored in an Anvil region (.mca) file
+ * Chunks are parsed one at a time so only one chunk tree is held in memory
+ * @param {ArrayBuffer} arrayBuffer - The raw region file data
+ * @param {Object} [options]
+ * @param {Array<string>} [options.include] - Only read these paths of each chunk, see NBTReader
+ * @yields {{index: number, nbtData: Object}} Chunk index within the region and its parsed NBT
+ */
+export function* readRegionChunks(arrayBuffer, { include = null } = {}) {
+  // Freshly created worlds contain empty region files
+  if (arrayBuffer.byteLength === 0) {
+    return;
+  }
+  
+  if (arrayBuffer.byteLength < SECTOR_SIZE * 2) {
+    throw new Error('Region file is too small to contain a sector table');
+  }
+  
+  const view = new DataView(arrayBuffer);
+  
+  for (let index = 0; index < CHUNKS_PER_REGION; index++) {
+    // Each location entry: 3-byte sector offset + 1-byte sector count
+    const location = view.getUint32(index * 4, false);
+    const sectorOffset = location >>> 8;
+    const sectorCount = location & 0xff;
     
-    // BlockEntities is a list of compound tags
-    const blockEntities = region.BlockEntities || region.TileEntities || [];
+    if (sectorOffset === 0 || sectorCount === 0) {
+      continue; // Chunk not generated
+    }
+    
+    const start = sectorOffset * SECTOR_SIZE;
+    if (start + 5 > arrayBuffer.byteLength) {
+      console.warn(`Chunk ${index} points past the end of the region file`);
+      continue;
+    }
     
-    console.log(`Region "${regionName}": Found ${blockEntities.length} block entities`);
+    const length = view.getUint32(start, false);
+    const compression = view.getUint8(start + 4);
     
-    for (const entity of blockEntities) {
-      const skinData = extractSkinFromEntity(entity);
+    if (compression & COMPRESSION_EXTERNAL) {
+      console.warn(`Chunk ${index} is stored in an external .mcc file, skipping`);
+      continue;
+    }
+    
+    try {
+      const data = new Uint8Array(arrayBuffer, start + 5, Math.min(length - 1, arrayBuffer.byteLength - start - 5));
+      yield { index, nbtData: parseChunkData(data, compression, include) };
+    } catch (e) {
+      console.warn(`Failed to read chunk ${index}:`, e);
+    }
+  }
+}
+
+/**
+ * Decompress and parse the NBT payload of a single chunk
+ * @param {Uint8Array} data - Chunk payload without the length/compression header
+ * @param {number} compression - Anvil compression type
+ * @param {Array<string>|null} include - Paths to read, see NBTReader
+ * @returns {Object} The parsed NBT data
+ */
+function parseChunkData(data, compression, include) {
+  let decompressed;
+  
+  switch (compression) {
+    case COMPRESSION_GZIP:
+    case COMPRESSION_ZLIB:
+      decompressed = pako.inflate(data);
+      break;
+    case COMPRESSION_NONE:
+      // Copy so the reader gets a buffer starting at offset 0
+      decompressed = data.slice();
+      break;
+    case COMPRESSION_LZ4:
+      throw new Error('LZ4 chunk compression is not supported');
+    default:
+      throw new Error(`Unknown chunk compression type: ${compression}`);
+  }
+  
+  const reader = new NBTReader(decompressed.buffer, { include });
+  return reader.parse();
+}
+
+/**
+ * Extract skin data from an Anvil region file
+ * Every skin is annotated with the chunks it was found in
+ * @param {ArrayBuffer} arrayBuffer - The raw region file data
+ * @param {string} fileName - Region file name (r.<x>.<z>.mca), used for chunk coordinates
+ * @param {SkinCollection} [collection] - Collection to merge into, for multi-file extraction
+ * @returns {Array} Array of skin objects
+ */
+export function extractSkinsFromRegion(arrayBuffer, fileName, collection = new SkinCollection()) {
+  const regionMatch = /r\.(-?\d+)\.(-?\d+)\.mca$/i.exec(fileName);
+  const regionX = regionMatch ? parseInt(regionMatch[1], 10) : 0;
+  const regionZ = regionMatch ? parseInt(regionMatch[2], 10) : 0;
+  
+  for (const { index, nbtData } of readRegionChunks(arrayBuffer, { include: CHUNK_HEAD_PATHS })) {
+    const chunk = nbtData.value;
+    
+    // 1.18+ keeps chunk data on the root, earlier versions nest it under "Level"
+    // Since 1.17 entities live in separate entities/ region files with the same layout
+    const level = chunk.Level || chunk;
+    const blockEntities = level.block_entities || level.TileEntities || [];
+    const entities = level.Entities || [];
+    
+    const chunkX = level.xPos ?? chunk.Position?.[0] ?? regionX * REGION_WIDTH + (index % REGION_WIDTH);
+    const chunkZ = level.zPos ?? chunk.Position?.[1] ?? regionZ * REGION_WIDTH + Math.floor(index / REGION_WIDTH);
+    
+    // Chunk block entity and entity positions are already world coordinates
+    const group = { origin: { x: 0, y: 0, z: 0 }, blockEntities, entities, getBlockState: null };
+    
+    for (const { skinData, location } of findHeads(group)) {
+      const stored = collection.add(skinData, { ...location, region: fileName });
       
-      if (skinData) {
-        const key = skinData.textureValue || skinData.uuid || skinData.name;
-        if (key && !seenTextures.has(key)) {
-          skins.push(skinData);
-          seenTextures.add(key);
-          console.log('Found skin:', skinData.name || skinData.uuid || 'Unknown');
+      if (stored) {
+        stored.chunks = stored.chunks || [];
+        const seen = stored.chunks.some(c => c.x === chunkX && c.z === chunkZ && c.region === fileName);
+        if (!seen) {
+          stored.chunks.push({ x: chunkX, z: chunkZ, region: fileName });
         }
       }
     }
   }
   
-  return skins;
+  return collection.skins;
 }
 
 /**
@@ -261,13 +800,14 @@ export function extractSkinsFromNBT(nbtData) {
  * @param {Object} entity - Block entity compound tag
  * @returns {Object|null} Skin data or null
  */
-function extractSkinFromEntity(entity) {
+export function extractSkinFromEntity(entity) {
   // Check if this is a skull block entity
   const id = entity.id || entity.Id || '';
   
   // Minecraft 1.20.2+ uses "profile" instead of "SkullOwner"
-  // Earlier versions use "SkullOwner"
-  const profile = entity.profile || entity.SkullOwner || entity.Owner;
+  // Earlier versions use "SkullOwner", 1.8-1.12 schematics use "Owner"
+  // and 1.7 MCEdit schematics only store the player name in "ExtraType"
+  const profile = entity.profile || entity.SkullOwner || entity.Owner || entity.ExtraType;
   
   if (!profile) {
     return null;
@@ -390,6 +930,22 @@ function intArrayToUUID(intArray) {
   return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
 }
 
+/**
+ * Convert a UUID string to the 4 signed 32-bit integers Minecraft stores
+ * The inverse of intArrayToUUID
+ * @param {string} uuid - UUID with or without dashes
+ * @returns {Int32Array|null} Int array, or null for invalid UUIDs
+ */
+export function uuidToIntArray(uuid) {
+  const hex = typeof uuid === 'string' ? uuid.replace(/-/g, '') : '';
+  
+  if (!/^[0-9a-f]{32}$/i.test(hex)) {
+    return null;
+  }
+  
+  return Int32Array.from([0, 8, 16, 24], start => parseInt(hex.slice(start, start + 8), 16) | 0);
+}
+
 /**
  * Decode a base64 texture value to get the skin URL
  * @param {string} textureValue - Base64 encoded texture data
@@ -399,10 +955,749 @@ export function decodeTextureValue(textureValue) {
   if (!textureValue) return null;
   
   try {
-    const decoded = atob(textureValue);
-    return JSON.parse(decoded);
+    return JSON.parse(new TextDecoder('utf-8').decode(decodeBase64(textureValue)));
   } catch (e) {
     console.warn('Failed to decode texture value:', e);
     return null;
   }
 }
+
+/**
+ * Decode base64 (standard or URL-safe, padding optional) to bytes
+ * Works without atob so it runs in Node as well as the browser
+ * @param {string} value - Base64 string, whitespace is ignored
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function decodeBase64(value) {
+  const input = value.replace(/\s+/g, '').replace(/=+$/, '');
+  const bytes = new Uint8Array(Math.floor(input.length * 3 / 4));
+  let buffer = 0;
+  let bits = 0;
+  let offset = 0;
+  
+  for (const char of input) {
+    const digit = BASE64_DIGITS.indexOf(char === '-' ? '+' : char === '_' ? '/' : char);
+    if (digit === -1) {
+      throw new Error(`Invalid base64 character "${char}"`);
+    }
+    
+    buffer = (buffer << 6) | digit;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[offset++] = (buffer >> bits) & 0xff;
+    }
+  }
+  
+  return bytes.subarray(0, offset);
+}
+
+/**
+ * Get the recorded tag type of a compound entry or of a list's elements
+ * @param {Object|Array} container - Compound or list
+ * @param {string} [key] - Compound entry name (omit for lists)
+ * @returns {number|undefined} Tag type, or undefined if none is recorded
+ */
+export function getTagType(container, key) {
+  const types = container[TAG_TYPES_KEY];
+  return Array.isArray(container) ? types : types?.[key];
+}
+
+/**
+ * Record the tag type of a compound entry or of a list's elements
+ * Use this when adding values whose type cannot be inferred, e.g. a short
+ * @param {Object|Array} container - Compound or list
+ * @param {string|number} keyOrType - Compound entry name, or the element type for lists
+ * @param {number} [type] - Tag type (compounds only)
+ */
+export function setTagType(container, keyOrType, type) {
+  if (Array.isArray(container)) {
+    setListType(container, keyOrType);
+  } else {
+    (container[TAG_TYPES_KEY] || createTypeMap(container))[keyOrType] = type;
+  }
+}
+
+/**
+ * List the recorded tag types of a tree in a flat table
+ * postMessage drops the symbol they are stored under; send the table along with
+ * the tree and put them back with applyTagTypeTable
+ * @param {Object} compound - Root compound
+ * @returns {Uint8Array} One entry per compound entry and per list, in tree order
+ *   (NO_TAG_TYPE where no type is recorded)
+ */
+export function getTagTypeTable(compound) {
+  const table = [];
+  walkContainers(compound, (container, key) => {
+    table.push(getTagType(container, key) ?? NO_TAG_TYPE);
+  });
+  return Uint8Array.from(table);
+}
+
+/**
+ * Record the tag types listed by getTagTypeTable on a copy of the tree
+ * @param {Object} compound - Root compound, with the same shape as the one the table was made from
+ * @param {Uint8Array} table - Table from getTagTypeTable
+ */
+export function applyTagTypeTable(compound, table) {
+  let index = 0;
+  walkContainers(compound, (container, key) => {
+    const type = table[index++];
+    if (type !== NO_TAG_TYPE) {
+      setTagType(container, Array.isArray(container) ? type : key, type);
+    }
+  });
+  if (index !== table.length) {
+    throw new Error('Tag type table does not match the tree');
+  }
+}
+
+/**
+ * Visit every compound entry and every list of a tree, parents before children
+ * @param {Object|Array} container - Compound or list
+ * @param {Function} visit - Called with (compound, key) for entries and (list) for lists
+ */
+function walkContainers(container, visit) {
+  if (Array.isArray(container)) {
+    visit(container);
+  }
+  for (const key of Object.keys(container)) {
+    const value = container[key];
+    if (!Array.isArray(container)) {
+      visit(container, key);
+    }
+    if (typeof value === 'object' && value !== null && !ArrayBuffer.isView(value)) {
+      walkContainers(value, visit);
+    }
+  }
+}
+
+/**
+ * Attach an empty type map to a compound
+ * @param {Object} compound - Compound object
+ * @returns {Object} The type map
+ */
+function createTypeMap(compound) {
+  const types = {};
+  Object.defineProperty(compound, TAG_TYPES_KEY, { value: types, configurable: true });
+  return types;
+}
+
+/**
+ * Record a list's element type
+ * @param {Array} list - List
+ * @param {number} type - Element tag type
+ */
+function setListType(list, type) {
+  Object.defineProperty(list, TAG_TYPES_KEY, { value: type, configurable: true, writable: true });
+}
+
+/**
+ * Work out the tag type to write for a value
+ * The recorded type wins unless the value no longer fits it (e.g. it was replaced)
+ * @param {*} value - Value to write
+ * @param {number|undefined} recorded - Recorded tag type
+ * @returns {number} Tag type
+ */
+function resolveTagType(value, recorded) {
+  if (recorded !== undefined && recorded !== TAG_END && isCompatibleTagType(value, recorded)) {
+    return recorded;
+  }
+  return inferTagType(value);
+}
+
+/**
+ * Check whether a JS value can be written as the given tag type
+ * @param {*} value - Value to check
+ * @param {number} type - Tag type
+ * @returns {boolean} True if compatible
+ */
+function isCompatibleTagType(value, type) {
+  switch (type) {
+    case TAG_BYTE:
+      return typeof value === 'number' || typeof value === 'boolean';
+    case TAG_SHORT:
+    case TAG_INT:
+    case TAG_FLOAT:
+    case TAG_DOUBLE:
+      return typeof value === 'number';
+    case TAG_LONG:
+      return typeof value === 'bigint' || typeof value === 'number';
+    case TAG_STRING:
+      return typeof value === 'string';
+    case TAG_LIST:
+      return Array.isArray(value);
+    case TAG_COMPOUND:
+      return typeof value === 'object' && value !== null && !Array.isArray(value) && !ArrayBuffer.isView(value);
+    case TAG_BYTE_ARRAY:
+    case TAG_INT_ARRAY:
+    case TAG_LONG_ARRAY:
+      return Array.isArray(value) || ArrayBuffer.isView(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Guess the tag type of a value without a recorded type
+ * @param {*} value - Value
+ * @returns {number} Tag type
+ */
+export function inferTagType(value) {
+  if (typeof value === 'boolean') return TAG_BYTE;
+  if (typeof value === 'bigint') return TAG_LONG;
+  if (typeof value === 'string') return TAG_STRING;
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff ? TAG_INT : TAG_DOUBLE;
+  }
+  if (value instanceof Int8Array || value instanceof Uint8Array) return TAG_BYTE_ARRAY;
+  if (value instanceof Int32Array) return TAG_INT_ARRAY;
+  if (value instanceof BigInt64Array) return TAG_LONG_ARRAY;
+  if (Array.isArray(value)) return TAG_LIST;
+  if (typeof value === 'object' && value !== null) return TAG_COMPOUND;
+  throw new Error(`Cannot write ${typeof value} as NBT`);
+}
+
+/**
+ * Get the element type to write for a list
+ * @param {Array} list - List
+ * @returns {number} Element tag type (TAG_END for untyped empty lists)
+ */
+function resolveListType(list) {
+  const recorded = list[TAG_TYPES_KEY];
+  if (list.length === 0) {
+    return recorded ?? TAG_END;
+  }
+  return resolveTagType(list[0], recorded);
+}
+
+/**
+ * NBT Writer class for producing NBT binary data
+ */
+class NBTWriter {
+  constructor(initialSize = 4096) {
+    this.bytes = new Uint8Array(initialSize);
+    this.buffer = new DataView(this.bytes.buffer);
+    this.offset = 0;
+    this.encoder = new TextEncoder();
+  }
+
+  ensureCapacity(length) {
+    if (this.offset + length <= this.bytes.length) {
+      return;
+    }
+
+    let size = this.bytes.length * 2;
+    while (size < this.offset + length) {
+      size *= 2;
+    }
+
+    const bytes = new Uint8Array(size);
+    bytes.set(this.bytes.subarray(0, this.offset));
+    this.bytes = bytes;
+    this.buffer = new DataView(bytes.buffer);
+  }
+
+  writeByte(value) {
+    this.ensureCapacity(1);
+    this.buffer.setInt8(this.offset, Number(value));
+    this.offset += 1;
+  }
+
+  writeUByte(value) {
+    this.ensureCapacity(1);
+    this.buffer.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  writeShort(value) {
+    this.ensureCapacity(2);
+    this.buffer.setInt16(this.offset, value, false); // Big endian
+    this.offset += 2;
+  }
+
+  writeInt(value) {
+    this.ensureCapacity(4);
+    this.buffer.setInt32(this.offset, value, false); // Big endian
+    this.offset += 4;
+  }
+
+  writeLong(value) {
+    this.ensureCapacity(8);
+    const long = typeof value === 'bigint' ? value : BigInt(Math.trunc(value));
+    this.buffer.setBigInt64(this.offset, BigInt.asIntN(64, long), false);
+    this.offset += 8;
+  }
+
+  writeFloat(value) {
+    this.ensureCapacity(4);
+    this.buffer.setFloat32(this.offset, value, false);
+    this.offset += 4;
+  }
+
+  writeDouble(value) {
+    this.ensureCapacity(8);
+    this.buffer.setFloat64(this.offset, value, false);
+    this.offset += 8;
+  }
+
+  writeString(value) {
+    const bytes = this.encoder.encode(value);
+    if (bytes.length > 0xffff) {
+      throw new Error(`String is too long for NBT (${bytes.length} bytes)`);
+    }
+
+    this.writeShort(bytes.length);
+    this.ensureCapacity(bytes.length);
+    this.bytes.set(bytes, this.offset);
+    this.offset += bytes.length;
+  }
+
+  writeByteArray(array) {
+    this.writeInt(array.length);
+    for (let i = 0; i < array.length; i++) {
+      this.writeByte(array[i]);
+    }
+  }
+
+  writeIntArray(array) {
+    this.writeInt(array.length);
+    for (let i = 0; i < array.length; i++) {
+      this.writeInt(array[i]);
+    }
+  }
+
+  writeLongArray(array) {
+    this.writeInt(array.length);
+    for (let i = 0; i < array.length; i++) {
+      this.writeLong(array[i]);
+    }
+  }
+
+  writeTag(tagType, value) {
+    switch (tagType) {
+      case TAG_BYTE:
+        return this.writeByte(value === true ? 1 : value === false ? 0 : value);
+      case TAG_SHORT:
+        return this.writeShort(value);
+      case TAG_INT:
+        return this.writeInt(value);
+      case TAG_LONG:
+        return this.writeLong(value);
+      case TAG_FLOAT:
+        return this.writeFloat(value);
+      case TAG_DOUBLE:
+        return this.writeDouble(value);
+      case TAG_BYTE_ARRAY:
+        return this.writeByteArray(value);
+      case TAG_STRING:
+        return this.writeString(value);
+      case TAG_LIST:
+        return this.writeList(value);
+      case TAG_COMPOUND:
+        return this.writeCompound(value);
+      case TAG_INT_ARRAY:
+        return this.writeIntArray(value);
+      case TAG_LONG_ARRAY:
+        return this.writeLongArray(value);
+      default:
+        throw new Error(`Unknown tag type: ${tagType}`);
+    }
+  }
+
+  writeList(list) {
+    const itemType = resolveListType(list);
+    this.writeUByte(itemType);
+    this.writeInt(list.length);
+
+    for (const item of list) {
+      this.writeTag(itemType, item);
+    }
+  }
+
+  writeCompound(compound) {
+    const types = compound[TAG_TYPES_KEY] || {};
+
+    for (const name of Object.keys(compound)) {
+      const value = compound[name];
+      if (value === undefined || value === null) {
+        continue;
+      }
+
+      const tagType = resolveTagType(value, types[name]);
+      this.writeUByte(tagType);
+      this.writeString(name);
+      this.writeTag(tagType, value);
+    }
+
+    this.writeUByte(TAG_END);
+  }
+
+  write(nbtData) {
+    this.writeUByte(TAG_COMPOUND);
+    this.writeString(nbtData.name || '');
+    this.writeCompound(nbtData.value);
+    return this.bytes.slice(0, this.offset);
+  }
+}
+
+/**
+ * Serialize NBT data to binary, the inverse of parseLitematic
+ * @param {Object} nbtData - NBT data ({ name, value }) as returned by parseLitematic
+ * @param {Object} [options]
+ * @param {string} [options.compression] - 'gzip' (default, used by schematic files), 'zlib' or 'none'
+ * @returns {Uint8Array} The NBT file contents
+ */
+export function serializeNBT(nbtData, { compression = 'gzip' } = {}) {
+  const raw = new NBTWriter().write(nbtData);
+
+  switch (compression) {
+    case 'gzip':
+      return pako.gzip(raw);
+    case 'zlib':
+      return pako.deflate(raw);
+    case 'none':
+      return raw;
+    default:
+      throw new Error(`Unknown compression: ${compression}`);
+  }
+}
+
+// SNBT: unquoted strings and compound keys may only use these characters
+const SNBT_UNQUOTED = /^[0-9A-Za-z_\-.+]+$/;
+const SNBT_INTEGER = /^[-+]?(?:0|[1-9][0-9]*)$/;
+const SNBT_DECIMAL = /^[-+]?(?:[0-9]+\.?|[0-9]*\.[0-9]+)(?:e[-+]?[0-9]+)?$/i;
+
+// SNBT number suffixes
+const SNBT_SUFFIXES = {
+  [TAG_BYTE]: 'b',
+  [TAG_SHORT]: 's',
+  [TAG_LONG]: 'L',
+  [TAG_FLOAT]: 'f',
+  [TAG_DOUBLE]: 'd'
+};
+
+/**
+ * Convert an NBT value to SNBT, the text format used in commands
+ * @param {*} value - Parsed NBT value (compound, list, number, ...)
+ * @param {number} [tagType] - Tag type, inferred from the value when omitted
+ * @returns {string} SNBT text
+ */
+export function stringifySNBT(value, tagType = inferTagType(value)) {
+  switch (tagType) {
+    case TAG_BYTE:
+      return `${value === true ? 1 : value === false ? 0 : value}b`;
+    case TAG_SHORT:
+    case TAG_FLOAT:
+    case TAG_LONG:
+      return `${value}${SNBT_SUFFIXES[tagType]}`;
+    case TAG_INT:
+      return `${value}`;
+    case TAG_DOUBLE:
+      // Doubles without a decimal point would read back as ints, so always suffix
+      return `${value}d`;
+    case TAG_STRING:
+      return quoteSNBT(value);
+    case TAG_BYTE_ARRAY:
+      return `[B;${Array.from(value, v => `${v}b`).join(',')}]`;
+    case TAG_INT_ARRAY:
+      return `[I;${Array.from(value).join(',')}]`;
+    case TAG_LONG_ARRAY:
+      return `[L;${Array.from(value, v => `${v}L`).join(',')}]`;
+    case TAG_LIST: {
+      const itemType = resolveListType(value);
+      return `[${value.map(item => stringifySNBT(item, itemType)).join(',')}]`;
+    }
+    case TAG_COMPOUND: {
+      const types = value[TAG_TYPES_KEY] || {};
+      const entries = Object.keys(value)
+        .filter(name => value[name] !== undefined && value[name] !== null)
+        .map(name => {
+          const key = SNBT_UNQUOTED.test(name) ? name : quoteSNBT(name);
+          return `${key}:${stringifySNBT(value[name], resolveTagType(value[name], types[name]))}`;
+        });
+      return `{${entries.join(',')}}`;
+    }
+    default:
+      throw new Error(`Unknown tag type: ${tagType}`);
+  }
+}
+
+/**
+ * Quote a string for SNBT
+ * Double quotes are preferred; single quotes avoid escaping embedded double quotes
+ * @param {string} value - String value
+ * @returns {string} Quoted string
+ */
+function quoteSNBT(value) {
+  const quote = value.includes('"') && !value.includes("'") ? "'" : '"';
+  let escaped = '';
+
+  for (const char of value) {
+    if (char === '\\' || char === quote) {
+      escaped += '\\' + char;
+    } else if (char === '\n') {
+      escaped += '\\n';
+    } else if (char === '\t') {
+      escaped += '\\t';
+    } else {
+      escaped += char;
+    }
+  }
+
+  return quote + escaped + quote;
+}
+
+/**
+ * Parse SNBT text into an NBT value
+ * Compounds and lists in the result carry their tag types like parsed
+ * binary NBT, so they can be passed to serializeNBT or stringifySNBT
+ * @param {string} text - SNBT text, e.g. '{Name:"Steve",Count:1b}'
+ * @returns {*} Parsed value
+ */
+export function parseSNBT(text) {
+  const parser = new SNBTParser(text);
+  const { value } = parser.parseValue();
+  parser.skipWhitespace();
+
+  if (parser.offset < text.length) {
+    parser.fail('Unexpected trailing data');
+  }
+
+  return value;
+}
+
+/**
+ * Recursive descent parser for SNBT
+ */
+class SNBTParser {
+  constructor(text) {
+    this.text = text;
+    this.offset = 0;
+  }
+
+  fail(message) {
+    throw new Error(`${message} at position ${this.offset} in SNBT`);
+  }
+
+  skipWhitespace() {
+    while (this.offset < this.text.length && /\s/.test(this.text[this.offset])) {
+      this.offset++;
+    }
+  }
+
+  peek() {
+    this.skipWhitespace();
+    return this.text[this.offset];
+  }
+
+  expect(char) {
+    if (this.peek() !== char) {
+      this.fail(`Expected "${char}"`);
+    }
+    this.offset++;
+  }
+
+  parseValue() {
+    const char = this.peek();
+
+    if (char === '{') {
+      return { type: TAG_COMPOUND, value: this.parseCompound() };
+    }
+    if (char === '[') {
+      return this.parseListOrArray();
+    }
+    if (char === '"' || char === "'") {
+      return { type: TAG_STRING, value: this.parseQuotedString() };
+    }
+    return this.parseUnquoted();
+  }
+
+  parseCompound() {
+    const compound = {};
+    const types = createTypeMap(compound);
+    this.expect('{');
+
+    if (this.peek() === '}') {
+      this.offset++;
+      return compound;
+    }
+
+    while (true) {
+      const char = this.peek();
+      const key = char === '"' || char === "'" ? this.parseQuotedString() : this.parseUnquotedString();
+      if (key === '') {
+        this.fail('Expected compound key');
+      }
+
+      this.expect(':');
+      const { type, value } = this.parseValue();
+      compound[key] = value;
+      types[key] = type;
+
+      if (this.peek() === ',') {
+        this.offset++;
+        continue;
+      }
+      this.expect('}');
+      return compound;
+    }
+  }
+
+  parseListOrArray() {
+    this.expect('[');
+
+    // Typed arrays: [B;...], [I;...], [L;...]
+    const prefix = this.text.slice(this.offset, this.offset + 2);
+    const arrayTypes = { 'B;': TAG_BYTE_ARRAY, 'I;': TAG_INT_ARRAY, 'L;': TAG_LONG_ARRAY };
+    if (arrayTypes[prefix]) {
+      this.offset += 2;
+      return { type: arrayTypes[prefix], value: this.parseArrayElements(arrayTypes[prefix]) };
+    }
+
+    const list = [];
+    let itemType = TAG_END;
+
+    if (this.peek() !== ']') {
+      while (true) {
+        const { type, value } = this.parseValue();
+        if (itemType !== TAG_END && type !== itemType) {
+          this.fail('List elements must all have the same type');
+        }
+        itemType = type;
+        list.push(value);
+
+        if (this.peek() === ',') {
+          this.offset++;
+          continue;
+        }
+        break;
+      }
+    }
+
+    this.expect(']');
+    setListType(list, itemType);
+    return { type: TAG_LIST, value: list };
+  }
+
+  parseArrayElements(arrayType) {
+    const elementTypes = { [TAG_BYTE_ARRAY]: TAG_BYTE, [TAG_INT_ARRAY]: TAG_INT, [TAG_LONG_ARRAY]: TAG_LONG };
+    const values = [];
+
+    if (this.peek() !== ']') {
+      while (true) {
+        const { type, value } = this.parseUnquoted();
+        if (type !== elementTypes[arrayType] && !(arrayType === TAG_BYTE_ARRAY && type === TAG_INT)) {
+          this.fail('Invalid array element');
+        }
+        values.push(value);
+
+        if (this.peek() === ',') {
+          this.offset++;
+          continue;
+        }
+        break;
+      }
+    }
+
+    this.expect(']');
+
+    switch (arrayType) {
+      case TAG_BYTE_ARRAY:
+        return Int8Array.from(values);
+      case TAG_INT_ARRAY:
+        return Int32Array.from(values);
+      default:
+        return BigInt64Array.from(values);
+    }
+  }
+
+  parseQuotedString() {
+    const quote = this.text[this.offset++];
+    let value = '';
+
+    while (this.offset < this.text.length) {
+      const char = this.text[this.offset++];
+
+      if (char === quote) {
+        return value;
+      }
+
+      if (char === '\\') {
+        const escaped = this.text[this.offset++];
+        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', s: ' ' };
+        if (escaped === 'u') {
+          value += String.fromCharCode(parseInt(this.text.slice(this.offset, this.offset + 4), 16));
+          this.offset += 4;
+        } else {
+          value += escapes[escaped] ?? escaped;
+        }
+      } else {
+        value += char;
+      }
+    }
+
+    this.fail('Unterminated string');
+  }
+
+  parseUnquotedString() {
+    this.skipWhitespace();
+    const start = this.offset;
+    while (this.offset < this.text.length && SNBT_UNQUOTED.test(this.text[this.offset])) {
+      this.offset++;
+    }
+    return this.text.slice(start, this.offset);
+  }
+
+  parseUnquoted() {
+    const token = this.parseUnquotedString();
+    if (token === '') {
+      this.fail('Expected value');
+    }
+    return parseSNBTScalar(token);
+  }
+}
+
+/**
+ * Interpret an unquoted SNBT token as a number, boolean or string
+ * @param {string} token - Unquoted token
+ * @returns {{type: number, value: *}} Typed value
+ */
+function parseSNBTScalar(token) {
+  const lower = token.toLowerCase();
+
+  if (lower === 'true' || lower === 'false') {
+    return { type: TAG_BYTE, value: lower === 'true' ? 1 : 0 };
+  }
+
+  const suffix = lower[lower.length - 1];
+  const number = token.slice(0, -1);
+
+  if (suffix === 'b' && SNBT_INTEGER.test(number)) {
+    return { type: TAG_BYTE, value: (Number(number) << 24) >> 24 };
+  }
+  if (suffix === 's' && SNBT_INTEGER.test(number)) {
+    return { type: TAG_SHORT, value: (Number(number) << 16) >> 16 };
+  }
+  if (suffix === 'l' && SNBT_INTEGER.test(number)) {
+    return { type: TAG_LONG, value: BigInt.asIntN(64, BigInt(number.replace(/^\+/, ''))) };
+  }
+  if (suffix === 'f' && SNBT_DECIMAL.test(number)) {
+    return { type: TAG_FLOAT, value: Math.fround(Number(number)) };
+  }
+  if (suffix === 'd' && SNBT_DECIMAL.test(number)) {
+    return { type: TAG_DOUBLE, value: Number(number) };
+  }
+
+  if (SNBT_INTEGER.test(token)) {
+    const value = Number(token);
+    // Out-of-range integers without a suffix are strings, like in Minecraft
+    if (value >= -0x80000000 && value <= 0x7fffffff) {
+      return { type: TAG_INT, value };
+    }
+  } else if (SNBT_DECIMAL.test(token)) {
+    return { type: TAG_DOUBLE, value: Number(token) };
+  }
+
+  return { type: TAG_STRING, value: token };
+}
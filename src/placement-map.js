@@ -0,0 +1,304 @@
+/**
+ * Placement Map Module
+ * Draws a top-down canvas map of head positions for one region at a time
+ */
+
+// Largest map size in CSS pixels and the biggest a single block may get
+const MAX_MAP_WIDTH = 640;
+const MAX_MAP_HEIGHT = 480;
+const MAX_CELL_SIZE = 24;
+
+// Colors matching the purple theme in style.css
+const COLOR_BACKGROUND = '#151515';
+const COLOR_GRID = '#252525';
+const COLOR_BORDER = '#3b3b3b';
+const COLOR_HEAD = '#a855f7';
+const COLOR_ITEM = '#8cd47e';
+const COLOR_FADED = '#4b4b4b';
+const COLOR_HIGHLIGHT = '#f5f5f5';
+
+/**
+ * Top-down map of head positions
+ * Heads are grouped by region; regions without known bounds (e.g. world
+ * region files) use the bounding box of their heads
+ */
+export class PlacementMap {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Object} [options]
+   * @param {Function} [options.onHoverSkin] - Called with the hovered skin index, or null
+   */
+  constructor(canvas, { onHoverSkin = () => {} } = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.onHoverSkin = onHoverSkin;
+    this.regions = [];
+    this.region = null;
+    this.layer = null;
+    this.highlightedSkin = null;
+    this.cellSize = 1;
+
+    canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+    canvas.addEventListener('mouseleave', () => this.setHoveredSkin(null));
+  }
+
+  /**
+   * Load the heads to plot
+   * @param {Array} skins - Skin objects with locations
+   * @param {Array} regionBounds - Region bounds from getRegionBounds
+   */
+  setData(skins, regionBounds) {
+    const regionsByName = new Map();
+
+    for (const bounds of regionBounds) {
+      regionsByName.set(bounds.name, createRegion(bounds.name, bounds.origin, bounds.size));
+    }
+
+    skins.forEach((skin, skinIndex) => {
+      for (const location of skin.locations || []) {
+        if (!location.position) {
+          continue;
+        }
+
+        if (!regionsByName.has(location.region)) {
+          regionsByName.set(location.region, createRegion(location.region, null, null));
+        }
+
+        // Entity positions are fractional, plot them on the block they are in
+        const { x, y, z } = location.position;
+        regionsByName.get(location.region).points.push({
+          x: Math.floor(x), y: Math.floor(y), z: Math.floor(z), skinIndex, item: location.item
+        });
+      }
+    });
+
+    // Only regions with heads are worth a map
+    this.regions = [...regionsByName.values()].filter(region => region.points.length > 0);
+    this.regions.forEach(fitRegionToPoints);
+    this.region = this.regions[0] || null;
+    this.layer = null;
+    this.highlightedSkin = null;
+    this.draw();
+  }
+
+  /**
+   * Names of the regions that can be shown
+   * @returns {Array<string>} Region names
+   */
+  getRegionNames() {
+    return this.regions.map(region => region.name);
+  }
+
+  /**
+   * Switch to another region
+   * @param {string} name - Region name
+   */
+  setRegion(name) {
+    this.region = this.regions.find(region => region.name === name) || null;
+    this.layer = null;
+    this.draw();
+  }
+
+  /**
+   * Vertical extent of the current region
+   * @returns {{min: number, max: number}|null} Y range, or null without a region
+   */
+  getLayerRange() {
+    if (!this.region) {
+      return null;
+    }
+    return { min: this.region.min.y, max: this.region.max.y };
+  }
+
+  /**
+   * Only emphasize heads on one Y layer
+   * @param {number|null} y - Layer, or null for all layers
+   */
+  setLayer(y) {
+    this.layer = y;
+    this.draw();
+  }
+
+  /**
+   * Ring every position of a skin, e.g. while its card is hovered
+   * @param {number|null} skinIndex - Skin index, or null to clear
+   */
+  highlightSkin(skinIndex) {
+    this.highlightedSkin = skinIndex;
+    this.draw();
+  }
+
+  /**
+   * Redraw the current region: every head as a dot, faded when off the selected layer,
+   * with rings around the highlighted skin
+   */
+  draw() {
+    const { canvas, context, region } = this;
+
+    if (!region) {
+      canvas.width = 0;
+      canvas.height = 0;
+      return;
+    }
+
+    const width = region.max.x - region.min.x + 1;
+    const depth = region.max.z - region.min.z + 1;
+    const cell = Math.min(MAX_CELL_SIZE, MAX_MAP_WIDTH / width, MAX_MAP_HEIGHT / depth);
+    this.cellSize = cell;
+
+    canvas.width = Math.ceil(width * cell);
+    canvas.height = Math.ceil(depth * cell);
+
+    context.fillStyle = COLOR_BACKGROUND;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Block grid, only when blocks are big enough to tell apart
+    if (cell >= 6) {
+      context.strokeStyle = COLOR_GRID;
+      context.lineWidth = 1;
+      context.beginPath();
+      for (let x = 1; x < width; x++) {
+        context.moveTo(Math.round(x * cell) + 0.5, 0);
+        context.lineTo(Math.round(x * cell) + 0.5, canvas.height);
+      }
+      for (let z = 1; z < depth; z++) {
+        context.moveTo(0, Math.round(z * cell) + 0.5);
+        context.lineTo(canvas.width, Math.round(z * cell) + 0.5);
+      }
+      context.stroke();
+    }
+
+    context.strokeStyle = COLOR_BORDER;
+    context.strokeRect(0.5, 0.5, canvas.width - 1, canvas.height - 1);
+
+    const radius = Math.max(3, cell / 2.5);
+
+    // Draw faded heads first so the current layer stays on top
+    const points = [...region.points].sort((a, b) => this.isOnLayer(a) - this.isOnLayer(b));
+
+    for (const point of points) {
+      const { x, y } = this.toCanvas(point);
+      context.beginPath();
+      context.arc(x, y, radius, 0, Math.PI * 2);
+      context.fillStyle = this.isOnLayer(point) ? (point.item ? COLOR_ITEM : COLOR_HEAD) : COLOR_FADED;
+      context.fill();
+    }
+
+    if (this.highlightedSkin !== null) {
+      context.strokeStyle = COLOR_HIGHLIGHT;
+      context.lineWidth = 2;
+      for (const point of region.points) {
+        if (point.skinIndex === this.highlightedSkin) {
+          const { x, y } = this.toCanvas(point);
+          context.beginPath();
+          context.arc(x, y, radius + 3, 0, Math.PI * 2);
+          context.stroke();
+        }
+      }
+    }
+  }
+
+  /**
+   * Check whether a point is on the selected layer (always true without one)
+   * @param {Object} point - Plotted point
+   * @returns {boolean} True if the point is on the layer
+   */
+  isOnLayer(point) {
+    return this.layer === null || point.y === this.layer;
+  }
+
+  /**
+   * Convert block coordinates to the center of the block on the canvas
+   * @param {Object} point - Block position
+   * @returns {{x: number, y: number}} Canvas coordinates
+   */
+  toCanvas(point) {
+    return {
+      x: (point.x - this.region.min.x + 0.5) * this.cellSize,
+      y: (point.z - this.region.min.z + 0.5) * this.cellSize
+    };
+  }
+
+  /**
+   * Highlight the head nearest to the mouse and show its position as a tooltip
+   * @param {MouseEvent} e - Mouse event
+   */
+  handleMouseMove(e) {
+    if (!this.region) {
+      return;
+    }
+
+    // The canvas may be scaled down by CSS
+    const rect = this.canvas.getBoundingClientRect();
+    const mouseX = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const mouseY = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    const maxDistance = Math.max(6, this.cellSize);
+
+    let closest = null;
+    let closestDistance = Infinity;
+
+    for (const point of this.region.points) {
+      if (!this.isOnLayer(point)) {
+        continue;
+      }
+      const { x, y } = this.toCanvas(point);
+      const distance = Math.hypot(x - mouseX, y - mouseY);
+      if (distance < closestDistance && distance <= maxDistance) {
+        closest = point;
+        closestDistance = distance;
+      }
+    }
+
+    this.canvas.title = closest ? `${closest.x}, ${closest.y}, ${closest.z}` : '';
+    this.setHoveredSkin(closest ? closest.skinIndex : null);
+  }
+
+  /**
+   * Highlight a skin and report it to onHoverSkin, if it changed
+   * @param {number|null} skinIndex - Skin index, or null when no head is hovered
+   */
+  setHoveredSkin(skinIndex) {
+    if (skinIndex === this.highlightedSkin) {
+      return;
+    }
+    this.highlightSkin(skinIndex);
+    this.onHoverSkin(skinIndex);
+  }
+}
+
+/**
+ * Create an empty map region
+ * @param {string} name - Region name
+ * @param {Object|null} origin - Minimum corner
+ * @param {Object|null} size - Extent in blocks
+ * @returns {Object} Region with bounds (if known) and no points
+ */
+function createRegion(name, origin, size) {
+  const hasBounds = origin && size;
+  return {
+    name,
+    min: hasBounds ? { ...origin } : null,
+    max: hasBounds ? { x: origin.x + size.x - 1, y: origin.y + size.y - 1, z: origin.z + size.z - 1 } : null,
+    points: []
+  };
+}
+
+/**
+ * Grow a region's bounds to include all of its points
+ * Heads on entities can sit outside the region, and regions from world
+ * files have no bounds at all
+ * @param {Object} region - Map region
+ */
+function fitRegionToPoints(region) {
+  for (const point of region.points) {
+    if (!region.min) {
+      region.min = { x: point.x, y: point.y, z: point.z };
+      region.max = { x: point.x, y: point.y, z: point.z };
+      continue;
+    }
+    for (const axis of ['x', 'y', 'z']) {
+      region.min[axis] = Math.min(region.min[axis], point[axis]);
+      region.max[axis] = Math.max(region.max[axis], point[axis]);
+    }
+  }
+}
@@ -0,0 +1,393 @@
+/**
+ * Profile Resolver Module
+ * Looks up the skin texture of heads that only store a player name or UUID, through the
+ * Mojang API or a proxy mirroring its paths, with rate limiting, retries and a cache
+ * fetch, the cache and the clock are options so lookups can run against a mock server
+ */
+
+import { getTextureHash } from './skin-extractor.js';
+
+/**
+ * Mojang endpoints, "{name}" and "{uuid}" (32 hex digits) are filled in per lookup
+ * Mojang does not send CORS headers, so browsers usually need a proxy
+ */
+export const MOJANG_ENDPOINTS = Object.freeze({
+  name: 'https://api.mojang.com/users/profiles/minecraft/{name}',
+  profile: 'https://sessionserver.mojang.com/session/minecraft/profile/{uuid}?unsigned=false'
+});
+
+// Lookup outcomes
+export const LOOKUP_FOUND = 'found';
+export const LOOKUP_NOT_FOUND = 'not-found';
+export const LOOKUP_FAILED = 'failed';
+export const LOOKUP_SKIPPED = 'skipped';
+
+// Mojang allows roughly 600 profile requests per 10 minutes
+const DEFAULT_MIN_INTERVAL = 1000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+const MAX_RETRY_AFTER = 60 * 1000;
+const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000;
+// Names get registered and offline UUIDs stay unknown, so misses expire sooner
+const DEFAULT_MISS_TTL = 60 * 60 * 1000;
+
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+// Mojang answers unknown players with 204 or 404, and malformed names or UUIDs with 400
+const NOT_FOUND_STATUSES = new Set([204, 400, 404]);
+const PLAYER_NAME = /^[A-Za-z0-9_]{1,16}$/;
+
+/**
+ * Build endpoints for a proxy serving the Mojang paths under a base URL
+ * e.g. https://proxy.example/users/profiles/minecraft/<name>
+ * and https://proxy.example/session/minecraft/profile/<uuid>
+ * @param {string} baseUrl - Proxy base URL
+ * @returns {{name: string, profile: string}} Endpoints
+ */
+export function getProxyEndpoints(baseUrl) {
+  const base = String(baseUrl).trim().replace(/\/+$/, '');
+  if (!/^https?:\/\/[^/]/i.test(base)) {
+    throw new Error('The profile proxy URL must start with http:// or https://');
+  }
+  return {
+    name: `${base}/users/profiles/minecraft/{name}`,
+    profile: `${base}/session/minecraft/profile/{uuid}?unsigned=false`
+  };
+}
+
+/**
+ * Check whether a skin has no texture but a name or UUID to look one up by
+ * @param {Object} skin - Skin object
+ * @returns {boolean} True if it can be looked up
+ */
+export function needsProfileLookup(skin) {
+  return !skin.textureValue && Boolean(skin.uuid || skin.name);
+}
+
+/**
+ * Copy a skin with the texture of a looked-up profile, keeping the name and UUID from the file
+ * The copy is marked with profileLookup so it can be told apart from textures stored in the file
+ * @param {Object} skin - Skin object
+ * @param {Object} profile - Profile from ProfileResolver.resolve
+ * @returns {Object} Skin object
+ */
+export function applyResolvedProfile(skin, profile) {
+  const resolved = {
+    ...skin,
+    name: skin.name || profile.name,
+    uuid: skin.uuid || profile.uuid,
+    textureValue: profile.textureValue,
+    textureSignature: profile.textureSignature,
+    profileLookup: true
+  };
+  // Grouped skins carry their texture hash
+  if ('textureHash' in skin) {
+    resolved.textureHash = getTextureHash(resolved);
+  }
+  return resolved;
+}
+
+/**
+ * Cache keeping lookups in memory, optionally seeded from a saved object
+ */
+export class MemoryProfileCache {
+  /**
+   * @param {Object} [entries] - Entries from toJSON
+   */
+  constructor(entries = {}) {
+    this.entries = new Map(Object.entries(entries));
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * @returns {Object} Entries by key, for saving
+   */
+  toJSON() {
+    return Object.fromEntries(this.entries);
+  }
+}
+
+/**
+ * Cache keeping lookups in a Web Storage area such as localStorage, so they survive a reload
+ */
+export class StorageProfileCache {
+  /**
+   * @param {Storage} storage - Storage area
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Prefix of the storage keys
+   */
+  constructor(storage, { prefix = 'profile-cache:' } = {}) {
+    this.storage = storage;
+    this.prefix = prefix;
+  }
+
+  get(key) {
+    try {
+      const stored = this.storage.getItem(this.prefix + key);
+      return stored === null ? undefined : JSON.parse(stored);
+    } catch {
+      return undefined;
+    }
+  }
+
+  set(key, entry) {
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    } catch (error) {
+      // A full or disabled storage only costs a repeated lookup
+      console.warn('Could not cache profile lookup:', error);
+    }
+  }
+}
+
+/**
+ * Looks up profiles by UUID, or by name when the UUID is missing or unknown
+ * Requests go out one at a time, at least minInterval apart; rate limited and server
+ * errors are retried with exponential backoff, honouring Retry-After. Found profiles
+ * and misses are cached, failed lookups are not
+ */
+export class ProfileResolver {
+  /**
+   * @param {Object} [options]
+   * @param {{name: string, profile: string}} [options.endpoints] - MOJANG_ENDPOINTS or getProxyEndpoints
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {Object} [options.cache] - Object with get(key) and set(key, entry), which may return promises
+   * @param {number} [options.minInterval] - Milliseconds between requests
+   * @param {number} [options.maxRetries] - Retries per request
+   * @param {number} [options.retryDelay] - First retry delay in milliseconds, doubled on each retry
+   * @param {number} [options.cacheTtl] - Milliseconds found profiles stay cached
+   * @param {number} [options.missTtl] - Milliseconds misses stay cached
+   * @param {Function} [options.now] - Returns the current time in milliseconds
+   * @param {Function} [options.sleep] - Resolves after the given milliseconds
+   */
+  constructor({
+    endpoints = MOJANG_ENDPOINTS,
+    fetch = (...args) => globalThis.fetch(...args),
+    cache = new MemoryProfileCache(),
+    minInterval = DEFAULT_MIN_INTERVAL,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY,
+    cacheTtl = DEFAULT_CACHE_TTL,
+    missTtl = DEFAULT_MISS_TTL,
+    now = Date.now,
+    sleep = delay
+  } = {}) {
+    this.endpoints = endpoints;
+    this.fetch = fetch;
+    this.cache = cache;
+    this.minInterval = minInterval;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.cacheTtl = cacheTtl;
+    this.missTtl = missTtl;
+    this.now = now;
+    this.sleep = sleep;
+    this.nextRequestAt = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Look up the textures of a skin's player
+   * @param {Object} skin - Skin object with a name and/or UUID
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the lookup
+   * @returns {Promise<Object|null>} { name, uuid, textureValue, textureSignature }, or null if
+   *   the player is unknown
+   */
+  async resolve(skin, { signal } = {}) {
+    const uuid = normalizeUUID(skin.uuid);
+    if (uuid) {
+      const profile = await this.lookupProfile(uuid, signal);
+      if (profile) {
+        return profile;
+      }
+    }
+
+    // Offline-mode UUIDs are unknown to Mojang, the name may still be
+    if (typeof skin.name !== 'string' || !PLAYER_NAME.test(skin.name)) {
+      return null;
+    }
+
+    const nameUUID = await this.cached(`name:${skin.name.toLowerCase()}`, async () => {
+      const data = await this.fetchJSON(this.endpoints.name.replace('{name}', encodeURIComponent(skin.name)), signal);
+      return normalizeUUID(data?.id);
+    });
+    if (!nameUUID || nameUUID === uuid) {
+      return null;
+    }
+    return this.lookupProfile(nameUUID, signal);
+  }
+
+  /**
+   * Look up every skin that has no texture, one after another
+   * @param {Array} skins - Skin objects
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with (done, total) after each lookup
+   * @param {AbortSignal} [options.signal] - Cancels the remaining lookups
+   * @returns {Promise<Array<{status: string, profile: Object|null, error: Error|null}>>} One result per
+   *   skin, status being one of the LOOKUP_* constants
+   */
+  async resolveSkins(skins, { onProgress, signal } = {}) {
+    const total = skins.filter(needsProfileLookup).length;
+    const results = [];
+    let done = 0;
+
+    for (const skin of skins) {
+      if (!needsProfileLookup(skin)) {
+        results.push({ status: LOOKUP_SKIPPED, profile: null, error: null });
+        continue;
+      }
+
+      signal?.throwIfAborted();
+      try {
+        const profile = await this.resolve(skin, { signal });
+        results.push({ status: profile ? LOOKUP_FOUND : LOOKUP_NOT_FOUND, profile, error: null });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        results.push({ status: LOOKUP_FAILED, profile: null, error });
+      }
+      onProgress?.(++done, total);
+    }
+
+    return results;
+  }
+
+  /**
+   * Look up a profile by UUID
+   * @param {string} uuid - UUID as 32 hex digits
+   * @param {AbortSignal} [signal] - Cancels the lookup
+   * @returns {Promise<Object|null>} Profile, or null if unknown or without textures
+   */
+  lookupProfile(uuid, signal) {
+    return this.cached(`uuid:${uuid}`, async () => {
+      const data = await this.fetchJSON(this.endpoints.profile.replace('{uuid}', uuid), signal);
+      const textures = data?.properties?.find(property => property.name === 'textures');
+      if (!textures?.value) {
+        return null;
+      }
+      return {
+        // The answer may come from a proxy, keep only names Minecraft allows
+        name: typeof data.name === 'string' && PLAYER_NAME.test(data.name) ? data.name : null,
+        uuid: formatUUID(normalizeUUID(data.id) || uuid),
+        textureValue: textures.value,
+        textureSignature: textures.signature ?? null
+      };
+    });
+  }
+
+  /**
+   * Return a cached value, or run the lookup and cache its result
+   * @param {string} key - Cache key
+   * @param {Function} lookup - Resolves to the value, null for misses
+   * @returns {Promise<*>} Value
+   */
+  async cached(key, lookup) {
+    const entry = await this.cache.get(key);
+    if (entry && this.now() - entry.storedAt < (entry.value === null ? this.missTtl : this.cacheTtl)) {
+      return entry.value;
+    }
+
+    const value = await lookup();
+    await this.cache.set(key, { value, storedAt: this.now() });
+    return value;
+  }
+
+  /**
+   * Request JSON, retrying network errors, rate limits and server errors
+   * @param {string} url - URL
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<Object|null>} Response body, or null for unknown players
+   */
+  async fetchJSON(url, signal) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForTurn(signal);
+
+      let response;
+      try {
+        response = await this.fetch(url, { signal, headers: { Accept: 'application/json' } });
+      } catch (error) {
+        if (signal?.aborted || attempt >= this.maxRetries) {
+          throw error;
+        }
+        await this.sleep(this.retryDelay * 2 ** attempt);
+        continue;
+      }
+
+      if (NOT_FOUND_STATUSES.has(response.status)) {
+        return null;
+      }
+      if (response.ok) {
+        return response.json();
+      }
+      if (!RETRY_STATUSES.has(response.status) || attempt >= this.maxRetries) {
+        throw new Error(`Profile lookup failed: HTTP ${response.status}`);
+      }
+      await this.sleep(getRetryAfter(response) ?? this.retryDelay * 2 ** attempt);
+    }
+  }
+
+  /**
+   * Wait until minInterval has passed since the previous request
+   * Concurrent callers queue up so the spacing holds across them
+   * @param {AbortSignal} [signal] - Stops waiting
+   * @returns {Promise<void>}
+   */
+  waitForTurn(signal) {
+    const turn = this.queue.then(async () => {
+      signal?.throwIfAborted();
+      const wait = this.nextRequestAt - this.now();
+      if (wait > 0) {
+        await this.sleep(wait);
+      }
+      this.nextRequestAt = this.now() + this.minInterval;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+/**
+ * Read a Retry-After header given in seconds
+ * @param {Response} response - Response
+ * @returns {number|null} Delay in milliseconds, capped, or null without a usable header
+ */
+function getRetryAfter(response) {
+  const seconds = Number(response.headers?.get?.('Retry-After'));
+  return Number.isFinite(seconds) && seconds > 0 ? Math.min(seconds * 1000, MAX_RETRY_AFTER) : null;
+}
+
+/**
+ * Reduce a UUID to 32 lowercase hex digits
+ * @param {string|null} uuid - UUID with or without dashes
+ * @returns {string|null} Hex UUID, or null for missing/invalid UUIDs
+ */
+function normalizeUUID(uuid) {
+  const hex = typeof uuid === 'string' ? uuid.replace(/-/g, '').toLowerCase() : '';
+  return /^[0-9a-f]{32}$/.test(hex) ? hex : null;
+}
+
+/**
+ * Add dashes to a 32 digit hex UUID
+ * @param {string} hex - Hex UUID
+ * @returns {string} Dashed UUID
+ */
+function formatUUID(hex) {
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,685 @@
+/**
+ * Schematic Formats Module
+ * Detects which schematic format a parsed NBT tree belongs to and
+ * collects its block entities in the shape the skin extractor expects
+ */
+
+// Supported formats
+export const FORMAT_LITEMATIC = 'litematic';
+export const FORMAT_SPONGE = 'sponge';
+export const FORMAT_MCEDIT = 'mcedit';
+export const FORMAT_STRUCTURE = 'structure';
+
+/**
+ * File extensions accepted by the file picker and drop zone
+ */
+export const SUPPORTED_EXTENSIONS = ['.litematic', '.schem', '.schematic', '.nbt'];
+
+/**
+ * Extension of Anvil region files from a world save
+ */
+export const REGION_EXTENSION = '.mca';
+
+// First data version of each Minecraft release, newest first
+const DATA_VERSIONS = [
+  [4440, '1.21.8'], [4438, '1.21.7'], [4435, '1.21.6'], [4325, '1.21.5'], [4189, '1.21.4'],
+  [4082, '1.21.3'], [4080, '1.21.2'], [3955, '1.21.1'], [3953, '1.21'], [3839, '1.20.6'],
+  [3837, '1.20.5'], [3700, '1.20.4'], [3698, '1.20.3'], [3578, '1.20.2'], [3465, '1.20.1'],
+  [3463, '1.20'], [3337, '1.19.4'], [3218, '1.19.3'], [3120, '1.19.2'], [3117, '1.19.1'],
+  [3105, '1.19'], [2975, '1.18.2'], [2865, '1.18.1'], [2860, '1.18'], [2730, '1.17.1'],
+  [2724, '1.17'], [2586, '1.16.5'], [2584, '1.16.4'], [2580, '1.16.3'], [2578, '1.16.2'],
+  [2567, '1.16.1'], [2566, '1.16'], [2230, '1.15.2'], [2227, '1.15.1'], [2225, '1.15'],
+  [1976, '1.14.4'], [1968, '1.14.3'], [1963, '1.14.2'], [1957, '1.14.1'], [1952, '1.14'],
+  [1631, '1.13.2'], [1628, '1.13.1'], [1519, '1.13'], [1343, '1.12.2']
+];
+
+// Player head rotation (0-15) as compass directions, starting at south
+const ROTATION_DIRECTIONS = [
+  'south', 'south-southwest', 'southwest', 'west-southwest',
+  'west', 'west-northwest', 'northwest', 'north-northwest',
+  'north', 'north-northeast', 'northeast', 'east-northeast',
+  'east', 'east-southeast', 'southeast', 'south-southeast'
+];
+
+/**
+ * Human-readable names for each format
+ */
+export const FORMAT_LABELS = {
+  [FORMAT_LITEMATIC]: 'Litematica schematic',
+  [FORMAT_SPONGE]: 'Sponge schematic',
+  [FORMAT_MCEDIT]: 'MCEdit schematic',
+  [FORMAT_STRUCTURE]: 'Structure file'
+};
+
+/**
+ * Check whether a file name has one of the supported extensions
+ * @param {string} fileName - Name of the dropped or selected file
+ * @returns {boolean} True if the extension is supported
+ */
+export function hasSupportedExtension(fileName) {
+  const lowerName = fileName.toLowerCase();
+  return SUPPORTED_EXTENSIONS.some(ext => lowerName.endsWith(ext));
+}
+
+/**
+ * Check whether a file is an Anvil region file
+ * @param {string} fileName - Name of the dropped or selected file
+ * @returns {boolean} True for .mca files
+ */
+export function isRegionFile(fileName) {
+  return fileName.toLowerCase().endsWith(REGION_EXTENSION);
+}
+
+/**
+ * Detect the schematic format from the shape of the NBT tree
+ * The file extension is not consulted, so misnamed files still work
+ * @param {Object} nbtData - Parsed NBT data ({ name, value })
+ * @returns {string|null} One of the FORMAT_* constants, or null if unknown
+ */
+export function detectFormat(nbtData) {
+  const root = nbtData.value;
+
+  // Litematica: root -> Regions -> [region name]
+  if (isCompound(root.Regions)) {
+    return FORMAT_LITEMATIC;
+  }
+
+  // Sponge v1/v2 keep their fields on the root, v3 wraps them in "Schematic"
+  const sponge = isCompound(root.Schematic) ? root.Schematic : root;
+  if (typeof sponge.Version === 'number' && (isCompound(sponge.Blocks) || isCompound(sponge.Palette) || sponge.BlockData)) {
+    return FORMAT_SPONGE;
+  }
+
+  // MCEdit / legacy WorldEdit: flat Blocks byte array plus a Materials string
+  if (typeof root.Materials === 'string' || root.Blocks instanceof Int8Array) {
+    return FORMAT_MCEDIT;
+  }
+
+  // Vanilla structure block export
+  if (Array.isArray(root.blocks) && Array.isArray(root.size)) {
+    return FORMAT_STRUCTURE;
+  }
+
+  return null;
+}
+
+/**
+ * Collect the block entities and entities of a schematic, grouped by region
+ * Every block entity is normalized to a flat compound with `id` and `x/y/z`
+ * relative to the group's `origin`; `size` is the group's extent in blocks
+ * (null if unknown). `getBlockState(x, y, z)` looks up the
+ * block state ({ Name, Properties }) at those relative coordinates, or
+ * returns null when the format has no palette
+ * @param {Object} nbtData - Parsed NBT data ({ name, value })
+ * @param {string} format - One of the FORMAT_* constants
+ * @returns {Array<{name: string, origin: Object, size: Object|null, blockEntities: Array, entities: Array, getBlockState: Function}>} Block entity groups
+ */
+export function getBlockEntityGroups(nbtData, format) {
+  const reader = BLOCK_ENTITY_READERS[format];
+
+  if (!reader) {
+    throw new Error(`Unsupported schematic format: ${format}`);
+  }
+
+  return reader(nbtData.value);
+}
+
+/**
+ * Get the bounds of each region of a schematic
+ * @param {Object} nbtData - Parsed NBT data ({ name, value })
+ * @param {string} format - One of the FORMAT_* constants
+ * @returns {Array<{name: string, origin: Object, size: Object|null}>} Region bounds
+ */
+export function getRegionBounds(nbtData, format) {
+  return getBlockEntityGroups(nbtData, format).map(({ name, origin, size }) => ({ name, origin, size }));
+}
+
+/**
+ * Find the raw block entity and entity lists of a schematic, for inspecting the file
+ * Structure files keep block entity data on their blocks, so the blocks list is returned
+ * Lists a file does not have are left out
+ * @param {Object} nbtData - Parsed NBT data ({ name, value })
+ * @param {string|null} format - One of the FORMAT_* constants, or null if unknown
+ * @returns {Array<{region: string|null, key: string, path: Array<string>, length: number}>} Lists,
+ *   with their path from the root compound
+ */
+export function getEntityListPaths(nbtData, format) {
+  const root = nbtData.value;
+  const lists = [];
+  const addList = (region, parentPath, keys) => {
+    const parent = parentPath.reduce((value, key) => value?.[key], root);
+    const key = keys.find(candidate => Array.isArray(parent?.[candidate]));
+    if (key) {
+      lists.push({ region, key, path: [...parentPath, key], length: parent[key].length });
+    }
+  };
+
+  switch (format) {
+    case FORMAT_LITEMATIC: {
+      const regionsKey = root.Regions ? 'Regions' : 'regions';
+      for (const regionName of Object.keys(root[regionsKey] || {})) {
+        addList(regionName, [regionsKey, regionName], ['BlockEntities', 'TileEntities']);
+        addList(regionName, [regionsKey, regionName], ['Entities']);
+      }
+      break;
+    }
+    case FORMAT_SPONGE: {
+      const base = isCompound(root.Schematic) ? ['Schematic'] : [];
+      addList(null, base, ['BlockEntities', 'TileEntities']);
+      addList(null, [...base, 'Blocks'], ['BlockEntities']);
+      addList(null, base, ['Entities']);
+      break;
+    }
+    case FORMAT_MCEDIT:
+      addList(null, [], ['TileEntities']);
+      addList(null, [], ['Entities']);
+      break;
+    case FORMAT_STRUCTURE:
+      addList(null, [], ['blocks']);
+      addList(null, [], ['entities']);
+      break;
+    default:
+      break;
+  }
+
+  return lists;
+}
+
+/**
+ * Read the descriptive metadata of a schematic
+ * Only Litematica stores all of it; fields a format doesn't have are null.
+ * Sizes and volumes count blocks, times are milliseconds since the epoch
+ * @param {Object} nbtData - Parsed NBT data ({ name, value })
+ * @param {string} format - One of the FORMAT_* constants
+ * @returns {Object} Metadata: name, author, description, regionCount, enclosingSize, totalBlocks,
+ *   totalVolume, timeCreated, timeModified, previewImage ({ width, height, pixels } of ARGB ints),
+ *   dataVersion, formatVersion and subVersion
+ */
+export function getSchematicMetadata(nbtData, format) {
+  const root = nbtData.value;
+  const metadata = {
+    name: null,
+    author: null,
+    description: null,
+    regionCount: 1,
+    enclosingSize: null,
+    totalBlocks: null,
+    totalVolume: null,
+    timeCreated: null,
+    timeModified: null,
+    previewImage: null,
+    dataVersion: null,
+    formatVersion: null,
+    subVersion: null
+  };
+
+  if (format === FORMAT_LITEMATIC) {
+    const info = root.Metadata || {};
+    Object.assign(metadata, {
+      name: info.Name || null,
+      author: info.Author || null,
+      description: info.Description || null,
+      regionCount: info.RegionCount ?? Object.keys(root.Regions).length,
+      enclosingSize: info.EnclosingSize || null,
+      totalBlocks: info.TotalBlocks ?? null,
+      totalVolume: info.TotalVolume ?? null,
+      timeCreated: toTimestamp(info.TimeCreated),
+      timeModified: toTimestamp(info.TimeModified),
+      previewImage: readPreviewImage(info.PreviewImageData),
+      dataVersion: root.MinecraftDataVersion ?? null,
+      formatVersion: root.Version ?? null,
+      subVersion: root.SubVersion ?? null
+    });
+  } else if (format === FORMAT_SPONGE) {
+    const schematic = isCompound(root.Schematic) ? root.Schematic : root;
+    const info = schematic.Metadata || {};
+    Object.assign(metadata, {
+      name: info.Name || null,
+      author: info.Author || null,
+      enclosingSize: getShortDimensions(schematic),
+      timeCreated: toTimestamp(info.Date),
+      dataVersion: schematic.DataVersion ?? null,
+      formatVersion: schematic.Version ?? null
+    });
+  } else if (format === FORMAT_MCEDIT) {
+    metadata.enclosingSize = getShortDimensions(root);
+  } else if (format === FORMAT_STRUCTURE) {
+    const [x, y, z] = root.size.map(Number);
+    Object.assign(metadata, {
+      // Only pre-1.13 structures record an author
+      author: root.author || null,
+      enclosingSize: { x, y, z },
+      totalBlocks: root.blocks.length,
+      dataVersion: root.DataVersion ?? null
+    });
+  }
+
+  const size = metadata.enclosingSize;
+  if (metadata.totalVolume === null && size) {
+    metadata.totalVolume = size.x * size.y * size.z;
+  }
+
+  return metadata;
+}
+
+/**
+ * Name the Minecraft release a data version belongs to
+ * Snapshots and unlisted versions get the closest release before them
+ * @param {number|null} dataVersion - Data version from the file
+ * @returns {string|null} e.g. "1.20.4", or null if unknown or older than 1.12.2
+ */
+export function getMinecraftVersion(dataVersion) {
+  if (typeof dataVersion !== 'number') {
+    return null;
+  }
+
+  const release = DATA_VERSIONS.find(([version]) => dataVersion >= version);
+  return release ? release[1] : null;
+}
+
+/**
+ * Convert a stored timestamp to milliseconds
+ * @param {bigint|number|undefined} value - Milliseconds since the epoch
+ * @returns {number|null} Milliseconds, or null if missing or zero
+ */
+function toTimestamp(value) {
+  const time = Number(value ?? 0);
+  return time > 0 ? time : null;
+}
+
+/**
+ * Get the dimensions of a litematic's PreviewImageData
+ * The image is stored as a square array of ARGB ints
+ * @param {Int32Array|Array|undefined} pixels - PreviewImageData
+ * @returns {{width: number, height: number, pixels: Int32Array}|null} Image, or null if missing or not square
+ */
+function readPreviewImage(pixels) {
+  if (!pixels || pixels.length === 0) {
+    return null;
+  }
+
+  const side = Math.round(Math.sqrt(pixels.length));
+  if (side * side !== pixels.length) {
+    return null;
+  }
+
+  return { width: side, height: side, pixels: Int32Array.from(pixels) };
+}
+
+/**
+ * Litematica: one group per region
+ * @param {Object} root - Root compound
+ * @returns {Array} Block entity groups
+ */
+function readLitematicBlockEntities(root) {
+  const regions = root.Regions || root.regions || {};
+
+  return Object.keys(regions).map(regionName => {
+    const region = regions[regionName];
+    return {
+      name: regionName,
+      origin: getLitematicRegionOrigin(region),
+      size: region.Size
+        ? { x: Math.abs(region.Size.x), y: Math.abs(region.Size.y), z: Math.abs(region.Size.z) }
+        : null,
+      blockEntities: region.BlockEntities || region.TileEntities || [],
+      entities: region.Entities || [],
+      getBlockState: createLitematicBlockStateLookup(region)
+    };
+  });
+}
+
+/**
+ * Get the minimum corner of a litematic region
+ * Region sizes can be negative, in which case the region extends from
+ * Position towards smaller coordinates. Block entity and entity positions
+ * are relative to this corner
+ * @param {Object} region - Region compound
+ * @returns {{x: number, y: number, z: number}} Minimum corner relative to the schematic origin
+ */
+function getLitematicRegionOrigin(region) {
+  const position = region.Position || { x: 0, y: 0, z: 0 };
+  const size = region.Size || { x: 1, y: 1, z: 1 };
+  const corner = axis => position[axis] + (size[axis] < 0 ? size[axis] + 1 : 0);
+
+  return { x: corner('x'), y: corner('y'), z: corner('z') };
+}
+
+/**
+ * Create a block state lookup over a litematic region's BlockStates
+ * Litematica packs palette indices into the long array with entries
+ * spanning long boundaries, using at least 2 bits per entry
+ * @param {Object} region - Region compound
+ * @returns {Function} (x, y, z) => block state or null
+ */
+function createLitematicBlockStateLookup(region) {
+  const palette = region.BlockStatePalette;
+  const states = region.BlockStates;
+  const size = region.Size;
+
+  if (!Array.isArray(palette) || !states || !size) {
+    return () => null;
+  }
+
+  const sizeX = Math.abs(size.x);
+  const sizeY = Math.abs(size.y);
+  const sizeZ = Math.abs(size.z);
+  const bits = Math.max(2, (palette.length - 1).toString(2).length);
+
+  return (x, y, z) => {
+    if (x < 0 || y < 0 || z < 0 || x >= sizeX || y >= sizeY || z >= sizeZ) {
+      return null;
+    }
+
+    const index = (y * sizeZ + z) * sizeX + x;
+    return palette[readPackedValue(states, index, bits)] || null;
+  };
+}
+
+/**
+ * Read one entry from a bit-packed long array
+ * @param {Array<bigint>} longs - Packed long array
+ * @param {number} index - Entry index
+ * @param {number} bits - Bits per entry
+ * @returns {number} The entry value
+ */
+function readPackedValue(longs, index, bits) {
+  const bitIndex = index * bits;
+  const longIndex = Math.floor(bitIndex / 64);
+  const offset = bitIndex % 64;
+
+  if (longIndex >= longs.length) {
+    return -1;
+  }
+
+  let value = BigInt.asUintN(64, longs[longIndex]) >> BigInt(offset);
+  if (offset + bits > 64 && longIndex + 1 < longs.length) {
+    value |= BigInt.asUintN(64, longs[longIndex + 1]) << BigInt(64 - offset);
+  }
+
+  return Number(value & ((1n << BigInt(bits)) - 1n));
+}
+
+/**
+ * Sponge: v3 stores block entities under Blocks with their data in a
+ * "Data" wrapper, v2 under BlockEntities and v1 under TileEntities
+ * @param {Object} root - Root compound
+ * @returns {Array} Block entity groups
+ */
+function readSpongeBlockEntities(root) {
+  const schematic = isCompound(root.Schematic) ? root.Schematic : root;
+
+  let blockEntities;
+  if (schematic.Version >= 3) {
+    blockEntities = schematic.Blocks?.BlockEntities || [];
+  } else {
+    blockEntities = schematic.BlockEntities || schematic.TileEntities || [];
+  }
+
+  return [{
+    name: schematic.Metadata?.Name || 'Schematic',
+    origin: { x: 0, y: 0, z: 0 },
+    size: getShortDimensions(schematic),
+    blockEntities: blockEntities.map(normalizeSpongeBlockEntity),
+    entities: (schematic.Entities || []).map(normalizeSpongeEntity),
+    getBlockState: createSpongeBlockStateLookup(schematic)
+  }];
+}
+
+/**
+ * Create a block state lookup over a Sponge schematic's varint block data
+ * The data is decoded on first use
+ * @param {Object} schematic - Sponge schematic compound
+ * @returns {Function} (x, y, z) => block state or null
+ */
+function createSpongeBlockStateLookup(schematic) {
+  const blocks = schematic.Version >= 3 ? schematic.Blocks : schematic;
+  const palette = blocks?.Palette;
+  const data = schematic.Version >= 3 ? blocks?.Data : schematic.BlockData;
+
+  if (!isCompound(palette) || !data) {
+    return () => null;
+  }
+
+  // Dimensions are unsigned shorts
+  const width = schematic.Width & 0xffff;
+  const height = schematic.Height & 0xffff;
+  const length = schematic.Length & 0xffff;
+
+  const statesById = [];
+  for (const key of Object.keys(palette)) {
+    statesById[palette[key]] = key;
+  }
+
+  let indices = null;
+
+  return (x, y, z) => {
+    if (x < 0 || y < 0 || z < 0 || x >= width || y >= height || z >= length) {
+      return null;
+    }
+
+    indices = indices || decodeVarints(data, width * height * length);
+    const state = statesById[indices[(y * length + z) * width + x]];
+    return state ? parseBlockStateString(state) : null;
+  };
+}
+
+/**
+ * Decode a varint-encoded byte array
+ * @param {Int8Array} bytes - Encoded data
+ * @param {number} count - Number of values to decode
+ * @returns {Int32Array} Decoded values
+ */
+function decodeVarints(bytes, count) {
+  const values = new Int32Array(count);
+  let offset = 0;
+
+  for (let i = 0; i < count && offset < bytes.length; i++) {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = bytes[offset++] & 0xff;
+      value |= (byte & 0x7f) << shift;
+      shift += 7;
+    } while (byte & 0x80);
+    values[i] = value;
+  }
+
+  return values;
+}
+
+/**
+ * Parse "minecraft:player_wall_head[facing=north,powered=false]" into a block state
+ * @param {string} state - Block state string
+ * @returns {{Name: string, Properties: Object}} Block state
+ */
+function parseBlockStateString(state) {
+  const match = /^([^[]+)(?:\[(.*)\])?$/.exec(state);
+  const Properties = {};
+
+  if (match && match[2]) {
+    for (const pair of match[2].split(',')) {
+      const [key, value] = pair.split('=');
+      Properties[key] = value;
+    }
+  }
+
+  return { Name: match ? match[1] : state, Properties };
+}
+
+/**
+ * Flatten a Sponge block entity into the vanilla block entity shape
+ * @param {Object} entity - Sponge block entity compound
+ * @returns {Object} Normalized block entity
+ */
+function normalizeSpongeBlockEntity(entity) {
+  const { Pos, Id, Data, ...rest } = entity;
+  const normalized = { ...rest, ...(Data || {}) };
+
+  if (Id && !normalized.id) {
+    normalized.id = Id;
+  }
+
+  if (Pos && Pos.length === 3) {
+    normalized.x = Pos[0];
+    normalized.y = Pos[1];
+    normalized.z = Pos[2];
+  }
+
+  return normalized;
+}
+
+/**
+ * Flatten a Sponge entity into the vanilla entity shape
+ * Unlike block entities, entities keep their position in a "Pos" list
+ * @param {Object} entity - Sponge entity compound
+ * @returns {Object} Normalized entity
+ */
+function normalizeSpongeEntity(entity) {
+  const { Id, Data, ...rest } = entity;
+  const normalized = { ...rest, ...(Data || {}) };
+
+  if (Id && !normalized.id) {
+    normalized.id = Id;
+  }
+
+  return normalized;
+}
+
+/**
+ * Read the Width/Height/Length unsigned shorts used by Sponge and MCEdit schematics
+ * @param {Object} schematic - Schematic compound
+ * @returns {{x: number, y: number, z: number}|null} Size, or null if missing
+ */
+function getShortDimensions(schematic) {
+  if (typeof schematic.Width !== 'number') {
+    return null;
+  }
+
+  return { x: schematic.Width & 0xffff, y: schematic.Height & 0xffff, z: schematic.Length & 0xffff };
+}
+
+/**
+ * MCEdit: a single flat TileEntities list
+ * @param {Object} root - Root compound
+ * @returns {Array} Block entity groups
+ */
+function readMCEditBlockEntities(root) {
+  // Block ids and data values are numeric here, so there is no palette to look up
+  return [{
+    name: 'Schematic',
+    origin: { x: 0, y: 0, z: 0 },
+    size: getShortDimensions(root),
+    blockEntities: root.TileEntities || [],
+    entities: root.Entities || [],
+    getBlockState: () => null
+  }];
+}
+
+/**
+ * Structure file: block entity data lives in blocks[].nbt next to the block position
+ * @param {Object} root - Root compound
+ * @returns {Array} Block entity groups
+ */
+function readStructureBlockEntities(root) {
+  const blockEntities = [];
+
+  for (const block of root.blocks) {
+    if (!block.nbt) {
+      continue;
+    }
+
+    const entity = { ...block.nbt };
+    if (block.pos && block.pos.length === 3) {
+      entity.x = block.pos[0];
+      entity.y = block.pos[1];
+      entity.z = block.pos[2];
+    }
+    blockEntities.push(entity);
+  }
+
+  // The saved entity NBT keeps its original world Pos, "pos" is relative to the structure
+  const entities = (root.entities || [])
+    .filter(entity => entity.nbt)
+    .map(entity => (entity.pos ? { ...entity.nbt, Pos: entity.pos } : entity.nbt));
+
+  return [{
+    name: 'Structure',
+    origin: { x: 0, y: 0, z: 0 },
+    size: { x: root.size[0], y: root.size[1], z: root.size[2] },
+    blockEntities,
+    entities,
+    getBlockState: createStructureBlockStateLookup(root)
+  }];
+}
+
+/**
+ * Create a block state lookup over a structure file's block list
+ * @param {Object} root - Root compound
+ * @returns {Function} (x, y, z) => block state or null
+ */
+function createStructureBlockStateLookup(root) {
+  // Structures with several palettes (shipwrecks) pick one at random; use the first
+  const palette = root.palette || root.palettes?.[0];
+
+  if (!Array.isArray(palette)) {
+    return () => null;
+  }
+
+  let statesByPosition = null;
+
+  return (x, y, z) => {
+    if (!statesByPosition) {
+      statesByPosition = new Map();
+      for (const block of root.blocks) {
+        if (block.pos && block.pos.length === 3) {
+          statesByPosition.set(block.pos.join(','), block.state);
+        }
+      }
+    }
+
+    const state = statesByPosition.get(`${x},${y},${z}`);
+    return state === undefined ? null : palette[state] || null;
+  };
+}
+
+/**
+ * Describe how a head is placed, e.g. "Wall head facing north"
+ * @param {Object|null} blockState - Block state ({ Name, Properties })
+ * @returns {string|null} Description, or null if the block state is unknown
+ */
+export function describeHeadPlacement(blockState) {
+  if (!blockState) {
+    return null;
+  }
+
+  const properties = blockState.Properties || {};
+
+  if (blockState.Name.endsWith('wall_head') || blockState.Name.endsWith('wall_skull')) {
+    return `Wall head facing ${properties.facing || 'unknown'}`;
+  }
+
+  if (properties.rotation !== undefined) {
+    const rotation = parseInt(properties.rotation, 10);
+    return `Floor head, rotation ${rotation} (${ROTATION_DIRECTIONS[rotation] || 'unknown'})`;
+  }
+
+  return blockState.Name.replace(/^minecraft:/, '');
+}
+
+const BLOCK_ENTITY_READERS = {
+  [FORMAT_LITEMATIC]: readLitematicBlockEntities,
+  [FORMAT_SPONGE]: readSpongeBlockEntities,
+  [FORMAT_MCEDIT]: readMCEditBlockEntities,
+  [FORMAT_STRUCTURE]: readStructureBlockEntities
+};
+
+/**
+ * Check whether a value is a parsed NBT compound
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isCompound(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && !ArrayBuffer.isView(value);
+}
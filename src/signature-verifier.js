@@ -0,0 +1,89 @@
+/**
+ * Signature Verifier Module
+ * Checks texture signatures against the Yggdrasil session key Mojang signs profile properties with
+ * Uses WebCrypto only, so it works offline in the browser and in Node
+ */
+
+import { decodeBase64 } from './nbt-reader.js';
+
+// Signature states
+export const SIGNATURE_VALID = 'valid';
+export const SIGNATURE_INVALID = 'invalid';
+export const SIGNATURE_UNSIGNED = 'unsigned';
+
+// Yggdrasil session public key (SubjectPublicKeyInfo, base64), as shipped in authlib's yggdrasil_session_pubkey.der
+const YGGDRASIL_PUBLIC_KEY =
+  'MIICIjANBgkqhkiG9w0BAQEFAAOCAg8AMIICCgKCAgEAylB4B6m5lz7jwrcFz6Fd' +
+  '/fnfUhcvlxsTSn5kIK/2aGG1C3kMy4VjhwlxF6BFUSnfxhNswPjh3ZitkBxEAFY2' +
+  '5uzkJFRwHwVA9mdwjashXILtR6OqdLXXFVyUPIURLOSWqGNBtb08EN5fMnG8iFLg' +
+  'EJIBMxs9BvF3s3/FhuHyPKiVTZmXY0WY4ZyYqvoKR+XjaTRPPvBsDa4WI2u1zxXM' +
+  'eHlodT3lnCzVvyOYBLXL6CJgByuOxccJ8hnXfF9yY4F0aeL080Jz/3+EBNG8RO4B' +
+  'yhtBf4Ny8NQ6stWsjfeUIvH7bU/4zCYcYOq4WrInXHqS8qruDmIl7P5XXGcabuzQ' +
+  'stPf/h2CRAUpP/PlHXcMlvewjmGU6MfDK+lifScNYwjPxRo4nKTGFZf/0aqHCh/E' +
+  'AsQyLKrOIYRE0lDG3bzBh8ogIMLAugsAfBb6M3mqCqKaTMAf/VAjh5FFJnjS+7bE' +
+  '+bZEV0qwax1CEoPPJL1fIQjOS8zj086gjpGRCtSy9+bTPTfTR/SJ+VUB5G2IeCIt' +
+  'kNHpJX2ygojFZ9n5Fnj7R9ZnOM+L8nyIjPu3aePvtcrXlyLhH/hvOfIOjPxOlqW+' +
+  'O5QwSFP4OEcyLAUgDdUgyW36Z5mB285uKW/ighzZsOTevVUG2QwDItObIV6i8RCx' +
+  'FbN2oDHyPaO5j1tTaBNyVt8CAwEAAQ==';
+
+// Profile properties are signed with SHA1withRSA (PKCS#1 v1.5)
+const SIGNATURE_ALGORITHM = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1' };
+
+const TEXT_ENCODER = new TextEncoder();
+
+let yggdrasilKey = null;
+
+/**
+ * Import an RSA public key for verifying texture signatures
+ * @param {string} key - SubjectPublicKeyInfo as base64 or PEM
+ * @returns {Promise<CryptoKey>} Public key
+ */
+export function importPublicKey(key) {
+  const der = decodeBase64(key.replace(/-----[^-]+-----/g, ''));
+  return crypto.subtle.importKey('spki', der, SIGNATURE_ALGORITHM, false, ['verify']);
+}
+
+/**
+ * Check a texture value against its signature
+ * The signature covers the base64 value exactly as stored, not the decoded JSON
+ * @param {string|null} textureValue - Base64 texture value
+ * @param {string|null} textureSignature - Base64 signature
+ * @param {Object} [options]
+ * @param {CryptoKey} [options.publicKey] - Key to verify with, defaults to the bundled Yggdrasil key
+ * @returns {Promise<string>} One of the SIGNATURE_* constants
+ */
+export async function verifyTextureSignature(textureValue, textureSignature, { publicKey = null } = {}) {
+  if (!textureSignature) {
+    return SIGNATURE_UNSIGNED;
+  }
+  if (!textureValue) {
+    return SIGNATURE_INVALID;
+  }
+
+  let signature;
+  try {
+    signature = decodeBase64(textureSignature);
+  } catch {
+    return SIGNATURE_INVALID;
+  }
+
+  const key = publicKey || await getYggdrasilKey();
+  try {
+    const valid = await crypto.subtle.verify(SIGNATURE_ALGORITHM, key, signature, TEXT_ENCODER.encode(textureValue));
+    return valid ? SIGNATURE_VALID : SIGNATURE_INVALID;
+  } catch {
+    // Signatures of the wrong length are rejected with an error rather than false
+    return SIGNATURE_INVALID;
+  }
+}
+
+/**
+ * Import the bundled Yggdrasil key once
+ * @returns {Promise<CryptoKey>} Public key
+ */
+function getYggdrasilKey() {
+  if (!yggdrasilKey) {
+    yggdrasilKey = importPublicKey(YGGDRASIL_PUBLIC_KEY);
+  }
+  return yggdrasilKey;
+}
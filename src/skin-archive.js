@@ -0,0 +1,114 @@
+/**
+ * Skin Archive Module
+ * Packages every skin texture into a single ZIP with a manifest.json
+ */
+
+import { ZipWriter } from './zip-writer.js';
+import { getTexturePayload, getDisplayName, OFFICIAL_TEXTURE_HOST } from './skin-extractor.js';
+
+// Characters that are not allowed in file names on common platforms
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|\x00-\x1f]/g;
+const MAX_FILENAME_LENGTH = 64;
+
+/**
+ * Fetch a texture PNG with the browser's fetch API
+ * @param {string} url - Texture URL
+ * @returns {Promise<Uint8Array>} PNG data
+ */
+export async function fetchTexture(url) {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+  }
+
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Build a ZIP containing the texture PNG of every skin plus a manifest.json
+ * Skins whose texture cannot be fetched are listed in the manifest with an error. Only
+ * https textures on textures.minecraft.net are fetched, a crafted head could point anywhere
+ * @param {Array} skins - Skin objects
+ * @param {Object} [options]
+ * @param {Function} [options.fetchTexture] - (url) => Promise<Uint8Array>, replaceable for testing
+ * @param {Function} [options.onProgress] - Called with (done, total) after each texture
+ * @returns {Promise<Uint8Array>} ZIP file contents
+ */
+export async function createSkinArchive(skins, { fetchTexture: fetchImpl = fetchTexture, onProgress = () => {} } = {}) {
+  const zip = new ZipWriter();
+  const fileNames = getSkinFileNames(skins);
+  const manifest = [];
+
+  for (let index = 0; index < skins.length; index++) {
+    const skin = skins[index];
+    // Checked and upgraded to https, null for missing, malformed and non-http(s) URLs
+    const textureUrl = getTexturePayload(skin)?.skinUrl ?? null;
+    const textureHost = textureUrl && new URL(textureUrl).hostname;
+    const entry = {
+      file: null,
+      name: skin.name ?? null,
+      customName: skin.customName ?? null,
+      uuid: skin.uuid ?? null,
+      textureUrl,
+      textureValue: skin.textureValue ?? null,
+      textureSignature: skin.textureSignature ?? null
+    };
+
+    if (!textureUrl) {
+      entry.error = 'No texture';
+    } else if (textureHost !== OFFICIAL_TEXTURE_HOST) {
+      entry.error = `Not fetched, hosted on ${textureHost} instead of ${OFFICIAL_TEXTURE_HOST}`;
+    } else {
+      try {
+        zip.addFile(fileNames[index], await fetchImpl(entry.textureUrl));
+        entry.file = fileNames[index];
+      } catch (error) {
+        console.warn(`Failed to fetch texture for ${fileNames[index]}:`, error);
+        entry.error = error.message;
+      }
+    }
+
+    manifest.push(entry);
+    onProgress(index + 1, skins.length);
+  }
+
+  zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+
+  return zip.generate();
+}
+
+/**
+ * Pick a unique, file-system-safe PNG name for every skin
+ * Names come from getDisplayName; duplicates get " (2)", " (3)", ... appended
+ * @param {Array} skins - Skin objects
+ * @returns {Array<string>} File names, in the same order as the skins
+ */
+export function getSkinFileNames(skins) {
+  const used = new Set();
+
+  return skins.map((skin, index) => {
+    const base = sanitizeFileName(getDisplayName(skin, index)) || `Skin ${index + 1}`;
+    let fileName = `${base}.png`;
+
+    // Compare case-insensitively, Windows and macOS file systems do
+    for (let n = 2; used.has(fileName.toLowerCase()); n++) {
+      fileName = `${base} (${n}).png`;
+    }
+
+    used.add(fileName.toLowerCase());
+    return fileName;
+  });
+}
+
+/**
+ * Make a display name safe to use as a file name
+ * @param {string} name - Display name
+ * @returns {string} Sanitized name (may be empty)
+ */
+function sanitizeFileName(name) {
+  return name
+    .replace(UNSAFE_FILENAME_CHARS, '_')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, MAX_FILENAME_LENGTH);
+}
@@ -0,0 +1,270 @@
+/**
+ * Skin Diff Module
+ * Compares the heads of two versions of a schematic and reports what was added,
+ * removed, moved or re-skinned, as JSON or Markdown
+ */
+
+import { getSkinKey } from './nbt-reader.js';
+import { getDisplayName, getTextureHash } from './skin-extractor.js';
+import { createSkinRecords, createOccurrenceRecord, escapeMarkdown } from './skin-report.js';
+
+// Diff report formats
+export const DIFF_JSON = 'json';
+export const DIFF_MARKDOWN = 'markdown';
+export const DIFF_FORMATS = [DIFF_JSON, DIFF_MARKDOWN];
+
+/**
+ * Compare the heads found in two versions of a schematic
+ * Heads are matched by texture hash (so re-captured copies of a skin count as the same skin)
+ * and by position: region, coordinates and, for heads held as items, the container slot.
+ * Heads matching on both are unchanged; of the rest, a head at the same position with a
+ * different texture is re-skinned, the same texture at a different position is moved,
+ * and anything left over was added or removed
+ * @param {Array} beforeSkins - Skin objects with locations from the old file
+ * @param {Array} afterSkins - Skin objects with locations from the new file
+ * @returns {{added: Array, removed: Array, moved: Array, reskinned: Array, unchanged: number}}
+ *   Added and removed entries are { skin, location }, moved entries { skin, from, to } and
+ *   re-skinned entries { location, before, after }
+ */
+export function diffSkins(beforeSkins, afterSkins) {
+  const before = getOccurrences(beforeSkins);
+  const after = getOccurrences(afterSkins);
+  let unchanged = 0;
+
+  // Same skin at the same place
+  const afterByExactKey = groupBy(after, occurrence => `${occurrence.skinKey}\n${occurrence.positionKey}`);
+  const remainingBefore = [];
+  for (const occurrence of before) {
+    const match = takeFirst(afterByExactKey, `${occurrence.skinKey}\n${occurrence.positionKey}`);
+    if (match) {
+      unchanged++;
+    } else {
+      remainingBefore.push(occurrence);
+    }
+  }
+  let remainingAfter = [...afterByExactKey.values()].flat();
+
+  // Same place, different skin
+  const reskinned = [];
+  const afterByPosition = groupBy(remainingAfter, occurrence => occurrence.positionKey);
+  const unmatchedBefore = [];
+  for (const occurrence of remainingBefore) {
+    const match = takeFirst(afterByPosition, occurrence.positionKey);
+    if (match) {
+      reskinned.push({ location: match.location, before: occurrence.skin, after: match.skin });
+    } else {
+      unmatchedBefore.push(occurrence);
+    }
+  }
+  remainingAfter = [...afterByPosition.values()].flat();
+
+  // Same skin, different place
+  const moved = [];
+  const afterBySkin = groupBy(remainingAfter, occurrence => occurrence.skinKey);
+  const removed = [];
+  for (const occurrence of unmatchedBefore) {
+    const match = takeFirst(afterBySkin, occurrence.skinKey);
+    if (match) {
+      moved.push({ skin: match.skin, from: occurrence.location, to: match.location });
+    } else {
+      removed.push({ skin: occurrence.skin, location: occurrence.location });
+    }
+  }
+
+  const added = [...afterBySkin.values()].flat().map(({ skin, location }) => ({ skin, location }));
+
+  return { added, removed, moved, reskinned, unchanged };
+}
+
+/**
+ * Turn a diff into plain records for export
+ * @param {Object} diff - Result of diffSkins
+ * @param {Object} [files]
+ * @param {string|null} [files.before] - Old file name
+ * @param {string|null} [files.after] - New file name
+ * @returns {Object} Report with file names, counts and one list per kind of change
+ */
+export function createDiffReport(diff, { before = null, after = null } = {}) {
+  return {
+    before,
+    after,
+    summary: {
+      added: diff.added.length,
+      removed: diff.removed.length,
+      moved: diff.moved.length,
+      reskinned: diff.reskinned.length,
+      unchanged: diff.unchanged
+    },
+    added: diff.added.map(({ skin, location }) => ({ skin: createSkinRecord(skin), location: createOccurrenceRecord(location) })),
+    removed: diff.removed.map(({ skin, location }) => ({ skin: createSkinRecord(skin), location: createOccurrenceRecord(location) })),
+    moved: diff.moved.map(({ skin, from, to }) => ({
+      skin: createSkinRecord(skin),
+      from: createOccurrenceRecord(from),
+      to: createOccurrenceRecord(to)
+    })),
+    reskinned: diff.reskinned.map(({ location, before: oldSkin, after: newSkin }) => ({
+      location: createOccurrenceRecord(location),
+      before: createSkinRecord(oldSkin),
+      after: createSkinRecord(newSkin)
+    }))
+  };
+}
+
+/**
+ * Serialize a diff report
+ * @param {Object} report - Result of createDiffReport
+ * @param {string} format - One of the DIFF_* constants
+ * @returns {string} Report text
+ */
+export function formatDiffReport(report, format) {
+  switch (format) {
+    case DIFF_JSON:
+      return JSON.stringify(report, null, 2) + '\n';
+    case DIFF_MARKDOWN:
+      return formatMarkdown(report);
+    default:
+      throw new Error(`Unknown diff format "${format}", expected one of: ${DIFF_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Describe a head location as "region · x, y, z · placement"
+ * @param {Object} record - Occurrence record
+ * @returns {string} Location text
+ */
+export function formatOccurrence(record) {
+  const parts = [record.region];
+  if (record.x !== null) {
+    parts.push(`${record.x}, ${record.y}, ${record.z}`);
+  }
+  parts.push(record.location);
+  return parts.filter(part => part !== null && part !== '').join(' · ');
+}
+
+/**
+ * Flatten skins into one entry per head, keyed for matching
+ * @param {Array} skins - Skin objects with locations
+ * @returns {Array<{skin: Object, location: Object, skinKey: string, positionKey: string}>} Occurrences
+ */
+function getOccurrences(skins) {
+  const occurrences = [];
+  for (const skin of skins) {
+    const skinKey = getTextureHash(skin) || getSkinKey(skin);
+    for (const location of skin.locations || []) {
+      occurrences.push({ skin, location, skinKey, positionKey: getPositionKey(location) });
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Key a head's place: region and coordinates, plus the slot path for heads held as items
+ * Placed heads only use the coordinates so turning a floor head into a wall head is not a move
+ * @param {Object} location - Head location
+ * @returns {string} Position key
+ */
+function getPositionKey(location) {
+  const { position } = location;
+  const coordinates = position ? `${position.x},${position.y},${position.z}` : '';
+  const slot = location.item
+    ? location.path.map(step => `${step.holder}:${step.slot ?? ''}`).join('/')
+    : location.holderType;
+  return `${location.region}\n${coordinates}\n${slot}`;
+}
+
+/**
+ * Group values into lists by key
+ * @param {Array} values - Values to group
+ * @param {Function} getKey - Returns the key of a value
+ * @returns {Map<string, Array>} Lists by key, in first-seen order
+ */
+function groupBy(values, getKey) {
+  const groups = new Map();
+  for (const value of values) {
+    const key = getKey(value);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(value);
+  }
+  return groups;
+}
+
+/**
+ * Remove and return the first value listed under a key
+ * @param {Map<string, Array>} groups - Lists by key
+ * @param {string} key - Key
+ * @returns {*} The value, or undefined if none is left
+ */
+function takeFirst(groups, key) {
+  const list = groups.get(key);
+  if (!list || list.length === 0) {
+    return undefined;
+  }
+  const value = list.shift();
+  if (list.length === 0) {
+    groups.delete(key);
+  }
+  return value;
+}
+
+/**
+ * Build the record for one skin, without its occurrence count
+ * @param {Object} skin - Skin object
+ * @returns {Object} Skin record with displayName and textureHash
+ */
+function createSkinRecord(skin) {
+  const { file, count, ...record } = createSkinRecords([skin])[0];
+  return { displayName: getDisplayName(skin, 0), textureHash: getTextureHash(skin), ...record };
+}
+
+/**
+ * Serialize a diff report as Markdown with a summary and one table per kind of change
+ * @param {Object} report - Result of createDiffReport
+ * @returns {string} Markdown text
+ */
+function formatMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    '# Head changes',
+    '',
+    `Comparing **${escapeMarkdown(report.before ?? 'before')}** with **${escapeMarkdown(report.after ?? 'after')}**`,
+    '',
+    '| Change | Heads |',
+    '| --- | ---: |',
+    `| Added | ${summary.added} |`,
+    `| Removed | ${summary.removed} |`,
+    `| Moved | ${summary.moved} |`,
+    `| Re-skinned | ${summary.reskinned} |`,
+    `| Unchanged | ${summary.unchanged} |`
+  ];
+
+  addTable(lines, 'Added', ['Skin', 'Location', 'Texture'], report.added.map(({ skin, location }) =>
+    [skin.displayName, formatOccurrence(location), skin.textureUrl]));
+  addTable(lines, 'Removed', ['Skin', 'Location', 'Texture'], report.removed.map(({ skin, location }) =>
+    [skin.displayName, formatOccurrence(location), skin.textureUrl]));
+  addTable(lines, 'Moved', ['Skin', 'From', 'To'], report.moved.map(({ skin, from, to }) =>
+    [skin.displayName, formatOccurrence(from), formatOccurrence(to)]));
+  addTable(lines, 'Re-skinned', ['Location', 'Before', 'After'], report.reskinned.map(({ location, before, after }) =>
+    [formatOccurrence(location), before.displayName, after.displayName]));
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Append a titled Markdown table, skipped when it has no rows
+ * @param {Array<string>} lines - Output lines
+ * @param {string} title - Section title
+ * @param {Array<string>} columns - Column headings
+ * @param {Array<Array<string|null>>} rows - Cell values
+ */
+function addTable(lines, title, columns, rows) {
+  if (rows.length === 0) {
+    return;
+  }
+
+  lines.push('', `## ${title}`, '', `| ${columns.join(' | ')} |`, `| ${columns.map(() => '---').join(' | ')} |`);
+  for (const row of rows) {
+    lines.push(`| ${row.map(cell => escapeMarkdown(cell ?? '—')).join(' | ')} |`);
+  }
+}
@@ -1,35 +1,70 @@
 /**
  * Skin Extractor Module
- * Extracts player skin information from litematic files
+ * Extracts player skin information from litematic and other schematic files
  */
 
-import { parseLitematic, extractSkinsFromNBT, decodeTextureValue } from './nbt-reader.js';
+import { parseLitematic, extractSkinsFromNBT, extractSkinsFromRegion, decodeTextureValue, getSkinKey, SkinCollection } from './nbt-reader.js';
+import { detectFormat, getRegionBounds, getSchematicMetadata } from './schematic-formats.js';
+
+// The host Mojang serves skin and cape textures from
+export const OFFICIAL_TEXTURE_HOST = 'textures.minecraft.net';
+// Hosts whose /texture/<hash> URLs identify the same texture
+const TEXTURE_HASH_HOSTS = [OFFICIAL_TEXTURE_HOST, 'textures.mojang.com'];
+
+// Extraction stages reported to onProgress
+export const STAGE_INFLATING = 'inflating';
+export const STAGE_PARSING = 'parsing';
+export const STAGE_SCANNING = 'scanning';
+
+/**
+ * Parse a schematic file, reporting the inflating and parsing stages
+ * @param {ArrayBuffer} arrayBuffer - The raw schematic file data
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { stage, ...counters }, see extractSkinsFromLitematic
+ * @returns {Object} The parsed NBT data
+ */
+export function parseSchematicFile(arrayBuffer, { onProgress = () => {} } = {}) {
+  return parseLitematic(arrayBuffer, {
+    onProgress: (progress) => {
+      onProgress({ stage: STAGE_INFLATING, ...progress });
+      // The last slice is followed by the NBT parse itself
+      if (progress.bytesRead === progress.totalBytes) {
+        onProgress({ stage: STAGE_PARSING, bytesInflated: progress.bytesInflated });
+      }
+    }
+  });
+}
 
 /**
- * Extract all skins from a litematic file ArrayBuffer
- * @param {ArrayBuffer} arrayBuffer - The raw litematic file data
- * @returns {Promise<Array>} Array of skin objects
+ * Extract all skins from a schematic file ArrayBuffer
+ * Supports .litematic, Sponge .schem, MCEdit .schematic and structure .nbt files
+ * @param {ArrayBuffer} arrayBuffer - The raw schematic file data
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { stage, ...counters }: bytesRead, totalBytes
+ *   and bytesInflated while inflating, regionsScanned, regionsTotal and headsFound while scanning
+ * @returns {Promise<{skins: Array, regions: Array, format: string, metadata: Object}>} Skin objects, the bounds
+ *   of each region, the detected format (one of the FORMAT_* constants) and the schematic's metadata
+ *   (see getSchematicMetadata)
  */
-export async function extractSkinsFromLitematic(arrayBuffer) {
+export async function extractSkinsFromLitematic(arrayBuffer, { onProgress = () => {} } = {}) {
   try {
-    // Parse the litematic file using our custom NBT reader
-    console.log('Parsing litematic file...');
-    const nbtData = parseLitematic(arrayBuffer);
+    // Parse the schematic file using our custom NBT reader
+    console.log('Parsing schematic file...');
+    const nbtData = parseSchematicFile(arrayBuffer, { onProgress });
     
     console.log('NBT root name:', nbtData.name);
-    console.log('Litematic metadata:', {
-      author: nbtData.value.Metadata?.Author,
-      name: nbtData.value.Metadata?.Name,
-      description: nbtData.value.Metadata?.Description,
-      regionCount: nbtData.value.Metadata?.RegionCount
-    });
+    const format = detectFormat(nbtData);
     
     // Extract skins from block entities
-    const skins = extractSkinsFromNBT(nbtData);
+    const skins = extractSkinsFromNBT(nbtData, {
+      onProgress: (progress) => onProgress({ stage: STAGE_SCANNING, ...progress })
+    });
+    const regions = getRegionBounds(nbtData, format);
+    const metadata = getSchematicMetadata(nbtData, format);
     
     console.log(`Found ${skins.length} unique skins`);
     
-    return skins;
+    return { skins, regions, format, metadata };
   } catch (error) {
     console.error('Error extracting skins:', error);
     throw error;
@@ -37,52 +72,307 @@ export async function extractSkinsFromLitematic(arrayBuffer) {
 }
 
 /**
- * Get the skin image URL for a skin
- * @param {Object} skin - Skin data object
- * @returns {string} URL to the skin image
+ * Extract all skins from a set of Anvil region files (a world's region/ folder)
+ * Files are read one at a time to keep memory usage down
+ * @param {Array<File>} files - Region files (anything with a name and arrayBuffer())
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called after each file with
+ *   { stage, regionsScanned, regionsTotal, headsFound }
+ * @returns {Promise<{skins: Array, regions: Array, format: null, metadata: null}>} Skin objects, each listing
+ *   the chunks it was found in. Region files have no fixed bounds or metadata, so regions is empty
  */
-export function getSkinImageUrl(skin) {
-  // If we have a texture value, decode it to get the actual URL
-  if (skin.textureValue) {
-    try {
-      const decoded = atob(skin.textureValue);
-      const textureData = JSON.parse(decoded);
+export async function extractSkinsFromRegionFiles(files, { onProgress = () => {} } = {}) {
+  const collection = new SkinCollection();
+  
+  try {
+    for (const [index, file] of files.entries()) {
+      const arrayBuffer = await file.arrayBuffer();
+      extractSkinsFromRegion(arrayBuffer, file.name, collection);
       
-      if (textureData.textures && textureData.textures.SKIN) {
-        const skinUrl = textureData.textures.SKIN.url;
-        // Extract texture ID from the URL and use a 3D head render
-        const textureId = skinUrl.split('/').pop();
-        return `https://mc-heads.net/head/${textureId}/64`;
+      const headsFound = collection.skins.reduce((total, skin) => total + skin.locations.length, 0);
+      onProgress({ stage: STAGE_SCANNING, regionsScanned: index + 1, regionsTotal: files.length, headsFound });
+    }
+    
+    return { skins: collection.skins, regions: [], format: null, metadata: null };
+  } catch (error) {
+    console.error('Error extracting skins from region files:', error);
+    throw error;
+  }
+}
+
+/**
+ * Merge the skins of several files into one deduplicated list
+ * Each merged skin lists the files it was found in (`files`), and each of its
+ * locations the file it belongs to (`file`)
+ * @param {Array<{source: string, skins: Array}>} results - Skins per file, source is the file name
+ * @returns {Array} Merged skin objects
+ */
+export function mergeSkinResults(results) {
+  const collection = new SkinCollection();
+  
+  for (const { source, skins } of results) {
+    for (const { locations = [], chunks, files, ...skinData } of skins) {
+      const stored = collection.add(skinData);
+      if (!stored) {
+        continue;
+      }
+      
+      stored.files = stored.files || [];
+      if (!stored.files.includes(source)) {
+        stored.files.push(source);
+      }
+      stored.locations.push(...locations.map(location => ({ ...location, file: source })));
+      if (chunks) {
+        stored.chunks = [...(stored.chunks || []), ...chunks];
+      }
+    }
+  }
+  
+  return collection.skins;
+}
+
+/**
+ * Get the hash identifying a skin's texture image, taken from its SKIN URL
+ * The same skin captured at different times has a different texture value
+ * (timestamp, signature) but the same hash
+ * @param {Object} skin - Skin data object
+ * @returns {string|null} Lowercase hex hash, or null if the skin has no Mojang texture URL
+ */
+export function getTextureHash(skin) {
+  const url = decodeTextureValue(skin.textureValue)?.textures?.SKIN?.url;
+  if (typeof url !== 'string') {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const match = /^\/texture\/([0-9a-f]+)$/i.exec(parsed.pathname);
+  return TEXTURE_HASH_HOSTS.includes(parsed.hostname) && match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Merge skins that use the same texture image into one entry per texture hash
+ * Each entry takes its profile data from the first variant and adds `textureHash`,
+ * `names`, `uuids` and `customNames` (unique values across variants), `variants`
+ * (the original skins) and the variants' locations, chunks and files combined.
+ * Skins without a texture hash are kept as they are, with a single variant
+ * @param {Array} skins - Skin objects, deduplicated by raw texture value
+ * @returns {Array} Merged skin objects
+ */
+export function groupSkinsByTexture(skins) {
+  const groups = new Map();
+  
+  for (const skin of skins) {
+    const textureHash = getTextureHash(skin);
+    const key = textureHash ? `hash:${textureHash}` : `raw:${getSkinKey(skin)}`;
+    let group = groups.get(key);
+    
+    if (!group) {
+      group = { ...skin, textureHash, names: [], uuids: [], customNames: [], variants: [], locations: [] };
+      delete group.chunks;
+      delete group.files;
+      groups.set(key, group);
+    }
+    
+    group.variants.push(skin);
+    addUnique(group.names, skin.name);
+    addUnique(group.uuids, skin.uuid);
+    // Text component custom names are compared by their JSON
+    if (skin.customName && !group.customNames.some(name => JSON.stringify(name) === JSON.stringify(skin.customName))) {
+      group.customNames.push(skin.customName);
+    }
+    
+    group.locations.push(...(skin.locations || []));
+    for (const chunk of skin.chunks || []) {
+      group.chunks = group.chunks || [];
+      if (!group.chunks.some(c => c.x === chunk.x && c.z === chunk.z && c.region === chunk.region)) {
+        group.chunks.push(chunk);
       }
-    } catch (e) {
-      console.warn('Failed to decode texture:', e);
     }
+    for (const file of skin.files || []) {
+      group.files = group.files || [];
+      addUnique(group.files, file);
+    }
+  }
+  
+  // Fill in profile data the first variant was missing
+  for (const group of groups.values()) {
+    group.name = group.name || group.names[0] || null;
+    group.uuid = group.uuid || group.uuids[0] || null;
+    group.customName = group.customName || group.customNames[0] || null;
   }
+  
+  return [...groups.values()];
+}
 
-  // Fallback placeholder
-  return 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><rect fill="%231a1a2e" width="64" height="64"/><text x="32" y="36" text-anchor="middle" fill="%2394a3b8" font-size="16">?</text></svg>';
+/**
+ * Push a value onto a list unless it is empty or already listed
+ * @param {Array} list - List to add to
+ * @param {*} value - Value to add
+ */
+export function addUnique(list, value) {
+  if (value !== null && value !== undefined && value !== '' && !list.includes(value)) {
+    list.push(value);
+  }
 }
 
 /**
- * Get the download URL for a full skin
+ * Get a human-readable display name from a skin object
+ * Uses customName if available (string or text component), otherwise the player name
  * @param {Object} skin - Skin data object
- * @returns {string} URL to download the full skin
+ * @param {number} index - Position of the skin in the results, for the fallback name
+ * @returns {string} Display name
  */
-export function getSkinDownloadUrl(skin) {
-  // If we have a texture value, decode it to get the actual skin URL
-  if (skin.textureValue) {
-    try {
-      const decoded = atob(skin.textureValue);
-      const textureData = JSON.parse(decoded);
-      
-      if (textureData.textures && textureData.textures.SKIN) {
-        const skinUrl = textureData.textures.SKIN.url.replace(/^http:\/\//, 'https://');
-        return skinUrl;
+export function getDisplayName(skin, index) {
+  const { customName, name } = skin;
+
+  if (customName) {
+    // If CustomName is a text component object, use its "text" field
+    if (typeof customName === 'object' && customName !== null) {
+      if (typeof customName.text === 'string' && customName.text.trim() !== '') {
+        return customName.text;
       }
-    } catch (e) {
-      console.warn('Failed to decode texture for download:', e);
     }
+
+    // If CustomName is a simple string, use it directly
+    if (typeof customName === 'string' && customName.trim() !== '') {
+      return customName;
+    }
+  }
+
+  if (typeof name === 'string' && name.trim() !== '') {
+    return name;
+  }
+
+  return `Skin ${index + 1}`;
+}
+
+/**
+ * Placeholder shown while a preview renders or when a skin has no texture
+ */
+export const PLACEHOLDER_IMAGE = 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><rect fill="%231a1a2e" width="64" height="64"/><text x="32" y="36" text-anchor="middle" fill="%2394a3b8" font-size="16">?</text></svg>';
+
+/**
+ * Get the skin texture URL and arm model for a skin
+ * @param {Object} skin - Skin data object
+ * @returns {{url: string, slim: boolean}|null} Texture info, or null if the skin has no texture
+ */
+export function getSkinTexture(skin) {
+  // If we have a texture value, decode it to get the actual skin URL
+  const textureData = decodeTextureValue(skin.textureValue);
+  const skinTexture = textureData?.textures?.SKIN;
+  
+  if (!skinTexture || typeof skinTexture.url !== 'string') {
+    return null;
+  }
+  
+  return {
+    url: skinTexture.url.replace(/^http:\/\//, 'https://'),
+    // Classic skins omit the metadata, slim (Alex) skins set model to "slim"
+    slim: skinTexture.metadata?.model === 'slim'
+  };
+}
+
+/**
+ * Decode the full texture payload of a skin and check it for problems
+ * Warnings cover payloads that don't decode, texture URLs served over http:// and
+ * textures hosted anywhere but textures.minecraft.net
+ * @param {Object} skin - Skin data object
+ * @returns {{profileName: string|null, profileId: string|null, timestamp: number|null, model: string|null,
+ *   skinUrl: string|null, capeUrl: string|null, warnings: Array<string>}|null} Payload details with https
+ *   texture URLs, or null if the skin has no texture value
+ */
+export function getTexturePayload(skin) {
+  if (!skin.textureValue) {
+    return null;
+  }
+
+  const payload = decodeTextureValue(skin.textureValue);
+  const details = {
+    profileName: null,
+    profileId: null,
+    timestamp: null,
+    model: null,
+    skinUrl: null,
+    capeUrl: null,
+    warnings: []
+  };
+
+  if (!payload || typeof payload !== 'object') {
+    details.warnings.push('Texture value is not valid base64-encoded JSON');
+    return details;
   }
 
-  return '#';
+  details.profileName = typeof payload.profileName === 'string' ? payload.profileName : null;
+  details.profileId = typeof payload.profileId === 'string' ? payload.profileId : null;
+  details.timestamp = Number.isFinite(payload.timestamp) ? payload.timestamp : null;
+
+  const textures = payload.textures;
+  if (!textures || typeof textures !== 'object') {
+    details.warnings.push('Payload has no textures');
+    return details;
+  }
+
+  details.skinUrl = checkTextureUrl('Skin', textures.SKIN, details.warnings);
+  details.capeUrl = checkTextureUrl('Cape', textures.CAPE, details.warnings);
+  if (details.skinUrl) {
+    // Classic skins omit the metadata, slim (Alex) skins set model to "slim"
+    details.model = textures.SKIN.metadata?.model === 'slim' ? 'slim' : 'classic';
+  }
+
+  return details;
+}
+
+/**
+ * Validate one texture entry of a payload, collecting warnings
+ * @param {string} label - Texture name used in warnings
+ * @param {Object|undefined} texture - Texture entry ({ url, metadata })
+ * @param {Array<string>} warnings - Warnings to add to
+ * @returns {string|null} https URL, or null if the entry is missing or unusable
+ */
+function checkTextureUrl(label, texture, warnings) {
+  if (texture === undefined) {
+    return null;
+  }
+  if (typeof texture?.url !== 'string') {
+    warnings.push(`${label} texture has no URL`);
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(texture.url);
+  } catch {
+    warnings.push(`${label} URL is not a valid URL`);
+    return null;
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    warnings.push(`${label} URL uses the unsupported ${url.protocol} scheme`);
+    return null;
+  }
+  if (url.protocol === 'http:') {
+    warnings.push(`${label} URL uses http:// instead of https://`);
+  }
+  if (url.hostname !== OFFICIAL_TEXTURE_HOST) {
+    warnings.push(`${label} texture is hosted on ${url.hostname}, not ${OFFICIAL_TEXTURE_HOST}`);
+  }
+
+  url.protocol = 'https:';
+  return url.href;
+}
+
+/**
+ * Get the download URL for a full skin
+ * Uses the URL checked by getTexturePayload, so malformed and non-http(s) URLs never reach a link
+ * @param {Object} skin - Skin data object
+ * @returns {string} https URL of the skin texture, or '#' without a usable URL
+ */
+export function getSkinDownloadUrl(skin) {
+  return getTexturePayload(skin)?.skinUrl ?? '#';
 }
@@ -0,0 +1,239 @@
+/**
+ * Skin Filter Module
+ * Search, filter, sort and group logic for the skins grid, and the URL query the view is kept in
+ */
+
+import { getDisplayName, getSkinTexture } from './skin-extractor.js';
+
+// Sort orders
+export const SORT_FOUND = '';
+export const SORT_NAME = 'name';
+export const SORT_COUNT = 'count';
+export const SORT_POSITION = 'position';
+
+// Texture filters
+export const TEXTURE_ANY = '';
+export const TEXTURE_WITH = 'with';
+export const TEXTURE_WITHOUT = 'without';
+
+export const DEFAULT_VIEW = Object.freeze({
+  query: '',
+  region: '',
+  texture: TEXTURE_ANY,
+  customNamed: false,
+  sort: SORT_FOUND,
+  groupByRegion: false
+});
+
+// URL query parameter for each view field
+const QUERY_PARAMS = {
+  query: 'q',
+  region: 'region',
+  texture: 'texture',
+  customNamed: 'named',
+  sort: 'sort',
+  groupByRegion: 'group'
+};
+
+const SORTS = [SORT_FOUND, SORT_NAME, SORT_COUNT, SORT_POSITION];
+const TEXTURE_FILTERS = [TEXTURE_ANY, TEXTURE_WITH, TEXTURE_WITHOUT];
+
+/**
+ * Read a view from a URL query string, ignoring unknown values
+ * @param {string} search - Query string, e.g. location.search
+ * @returns {Object} View (see DEFAULT_VIEW)
+ */
+export function readViewFromQuery(search) {
+  const params = new URLSearchParams(search);
+  const texture = params.get(QUERY_PARAMS.texture);
+  const sort = params.get(QUERY_PARAMS.sort);
+
+  return {
+    query: params.get(QUERY_PARAMS.query) || DEFAULT_VIEW.query,
+    region: params.get(QUERY_PARAMS.region) || DEFAULT_VIEW.region,
+    texture: TEXTURE_FILTERS.includes(texture) ? texture : DEFAULT_VIEW.texture,
+    customNamed: params.get(QUERY_PARAMS.customNamed) === '1',
+    sort: SORTS.includes(sort) ? sort : DEFAULT_VIEW.sort,
+    groupByRegion: params.get(QUERY_PARAMS.groupByRegion) === 'region'
+  };
+}
+
+/**
+ * Write a view into a URL query string, leaving other parameters alone
+ * Fields at their default value are left out to keep URLs short
+ * @param {Object} view - View (see DEFAULT_VIEW)
+ * @param {string} [search] - Existing query string
+ * @returns {string} Query string including the leading "?", or "" if it is empty
+ */
+export function writeViewToQuery(view, search = '') {
+  const params = new URLSearchParams(search);
+  const values = {
+    query: view.query.trim(),
+    region: view.region,
+    texture: view.texture,
+    customNamed: view.customNamed ? '1' : '',
+    sort: view.sort,
+    groupByRegion: view.groupByRegion ? 'region' : ''
+  };
+
+  for (const [field, param] of Object.entries(QUERY_PARAMS)) {
+    if (values[field]) {
+      params.set(param, values[field]);
+    } else {
+      params.delete(param);
+    }
+  }
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * List the regions heads were found in
+ * @param {Array} skins - Skin objects with locations
+ * @returns {Array<string>} Region names, sorted
+ */
+export function getSkinRegions(skins) {
+  const regions = new Set();
+  for (const skin of skins) {
+    for (const location of skin.locations || []) {
+      if (location.region) {
+        regions.add(location.region);
+      }
+    }
+  }
+  return [...regions].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Apply a view to a skin list
+ * When grouping, a skin found in several regions is listed under the region of its
+ * first occurrence (or under the filtered region), so every skin appears once
+ * @param {Array} skins - Skin objects
+ * @param {Object} view - View (see DEFAULT_VIEW)
+ * @param {Object} [options]
+ * @param {string} [options.file] - Only keep skins found in this file (batch results)
+ * @returns {Array<{region: string|null, indices: Array<number>}>} Indices into skins of the skins to
+ *   show, in order. A single group with a null region when not grouping; when grouping, region is
+ *   null for skins without a location
+ */
+export function applySkinView(skins, view, { file = '' } = {}) {
+  const terms = view.query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  const indices = skins
+    .map((skin, index) => index)
+    .filter(index => {
+      const skin = skins[index];
+      if (file && !skin.files?.includes(file)) {
+        return false;
+      }
+      if (view.region && !(skin.locations || []).some(location => location.region === view.region)) {
+        return false;
+      }
+      if (view.texture !== TEXTURE_ANY && (getSkinTexture(skin) !== null) !== (view.texture === TEXTURE_WITH)) {
+        return false;
+      }
+      if (view.customNamed && !hasCustomName(skin)) {
+        return false;
+      }
+      if (terms.length > 0) {
+        const text = getSearchText(skin, index);
+        return terms.every(term => text.includes(term));
+      }
+      return true;
+    });
+
+  sortIndices(indices, skins, view.sort);
+
+  if (!view.groupByRegion) {
+    return [{ region: null, indices }];
+  }
+
+  const groups = new Map();
+  for (const index of indices) {
+    const region = view.region || skins[index].locations?.[0]?.region || null;
+    if (!groups.has(region)) {
+      groups.set(region, { region, indices: [] });
+    }
+    groups.get(region).indices.push(index);
+  }
+
+  // Regions by name, skins without a location last
+  return [...groups.values()].sort((a, b) => {
+    if (a.region === null || b.region === null) {
+      return a.region === null ? 1 : -1;
+    }
+    return a.region.localeCompare(b.region);
+  });
+}
+
+/**
+ * Sort skin indices in place
+ * @param {Array<number>} indices - Indices into skins
+ * @param {Array} skins - Skin objects
+ * @param {string} sort - One of the SORT_* constants
+ */
+function sortIndices(indices, skins, sort) {
+  switch (sort) {
+    case SORT_NAME:
+      indices.sort((a, b) => getDisplayName(skins[a], a).localeCompare(getDisplayName(skins[b], b), undefined, { sensitivity: 'base' }));
+      break;
+    case SORT_COUNT:
+      indices.sort((a, b) => (skins[b].locations?.length || 0) - (skins[a].locations?.length || 0));
+      break;
+    case SORT_POSITION:
+      indices.sort((a, b) => compareFirstPosition(skins[a], skins[b]));
+      break;
+    default:
+      // Keep the order the skins were found in
+      break;
+  }
+}
+
+/**
+ * Compare skins by their first occurrence: region, then x, y and z
+ * Skins without a position sort last
+ * @param {Object} a - Skin object
+ * @param {Object} b - Skin object
+ * @returns {number} Sort order
+ */
+function compareFirstPosition(a, b) {
+  const first = a.locations?.find(location => location.position);
+  const second = b.locations?.find(location => location.position);
+
+  if (!first || !second) {
+    return (first ? 0 : 1) - (second ? 0 : 1);
+  }
+
+  return (first.region || '').localeCompare(second.region || '')
+    || first.position.x - second.position.x
+    || first.position.y - second.position.y
+    || first.position.z - second.position.z;
+}
+
+/**
+ * Check whether a skin, or any of its variants, has a custom name
+ * @param {Object} skin - Skin object
+ * @returns {boolean} True if it has a custom name
+ */
+function hasCustomName(skin) {
+  return Boolean(skin.customName) || skin.customNames?.length > 0;
+}
+
+/**
+ * Build the lowercase text a skin is searched by: display name, player names,
+ * UUIDs (with and without dashes) and texture hash
+ * @param {Object} skin - Skin object
+ * @param {number} index - Position of the skin, for the fallback display name
+ * @returns {string} Search text
+ */
+function getSearchText(skin, index) {
+  const uuids = skin.uuids || (skin.uuid ? [skin.uuid] : []);
+  return [
+    getDisplayName(skin, index),
+    ...(skin.names || [skin.name]),
+    ...uuids,
+    ...uuids.map(uuid => uuid.replace(/-/g, '')),
+    skin.textureHash
+  ].filter(value => typeof value === 'string').join('\n').toLowerCase();
+}
@@ -0,0 +1,382 @@
+/**
+ * Skin Library Module
+ * Keeps saved skins (with tags, notes and favorites) and the history of processed
+ * files in IndexedDB, so results survive a reload
+ */
+
+import { getSkinKey } from './nbt-reader.js';
+import { getTextureHash, addUnique } from './skin-extractor.js';
+import { createSkinRecords, formatSkinRecords, REPORT_JSON } from './skin-report.js';
+
+const DB_NAME = 'litematic-skin-library';
+const DB_VERSION = 1;
+const SKINS_STORE = 'skins';
+const HISTORY_STORE = 'history';
+// Full results are kept apart from the history list so listing it stays cheap
+const RESULTS_STORE = 'results';
+
+const MAX_HISTORY_ENTRIES = 50;
+
+// History entry kinds
+export const HISTORY_SCHEMATIC = 'schematic';
+export const HISTORY_REGION = 'region';
+export const HISTORY_BATCH = 'batch';
+
+let database = null;
+
+/**
+ * Get the key a skin is stored under: its texture hash, so saving another capture of
+ * the same skin merges into one entry, else the raw texture value, UUID or name
+ * @param {Object} skin - Skin object
+ * @returns {string|null} Library key
+ */
+export function getLibraryKey(skin) {
+  const textureHash = skin.textureHash ?? getTextureHash(skin);
+  if (textureHash) {
+    return `hash:${textureHash}`;
+  }
+  const key = getSkinKey(skin);
+  return key ? `raw:${key}` : null;
+}
+
+/**
+ * Save skins to the library, merging into entries already saved under the same key
+ * Names, UUIDs, custom names and sources are combined; tags, notes and favorites are kept
+ * @param {Array} skins - Skin objects
+ * @param {Object} [options]
+ * @param {string|null} [options.source] - Name of the file the skins came from, skins from a batch
+ *   use the files they list instead
+ * @returns {Promise<number>} Number of skins saved
+ */
+export async function saveSkinsToLibrary(skins, { source = null } = {}) {
+  const now = Date.now();
+
+  return runTransaction([SKINS_STORE], 'readwrite', async (transaction) => {
+    const store = transaction.objectStore(SKINS_STORE);
+    let saved = 0;
+
+    for (const skin of skins) {
+      const key = getLibraryKey(skin);
+      if (!key) {
+        continue;
+      }
+
+      const existing = await promisifyRequest(store.get(key));
+      store.put(mergeLibraryEntry(existing, key, skin, source, now));
+      saved++;
+    }
+
+    return saved;
+  });
+}
+
+/**
+ * List every saved skin, most recently updated first
+ * @returns {Promise<Array<Object>>} Library entries
+ */
+export async function getLibrarySkins() {
+  const entries = await runTransaction([SKINS_STORE], 'readonly', transaction =>
+    promisifyRequest(transaction.objectStore(SKINS_STORE).getAll()));
+  return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Change the tags, notes or favorite flag of a saved skin
+ * @param {string} key - Library key
+ * @param {Object} changes
+ * @param {Array<string>} [changes.tags] - Tags
+ * @param {string} [changes.notes] - Notes
+ * @param {boolean} [changes.favorite] - Favorite flag
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function updateLibrarySkin(key, { tags, notes, favorite }) {
+  return runTransaction([SKINS_STORE], 'readwrite', async (transaction) => {
+    const store = transaction.objectStore(SKINS_STORE);
+    const entry = await promisifyRequest(store.get(key));
+    if (!entry) {
+      throw new Error('This skin is no longer in the library');
+    }
+
+    if (tags !== undefined) {
+      entry.tags = normalizeTags(tags);
+    }
+    if (notes !== undefined) {
+      entry.notes = notes;
+    }
+    if (favorite !== undefined) {
+      entry.favorite = favorite;
+    }
+    entry.updatedAt = Date.now();
+
+    store.put(entry);
+    return entry;
+  });
+}
+
+/**
+ * Remove a skin from the library
+ * @param {string} key - Library key
+ * @returns {Promise<void>}
+ */
+export async function deleteLibrarySkin(key) {
+  await runTransaction([SKINS_STORE], 'readwrite', transaction => {
+    transaction.objectStore(SKINS_STORE).delete(key);
+  });
+}
+
+/**
+ * Keep only the library entries matching a search
+ * Every word of the query must appear in a name, UUID, custom name, tag, note or texture hash
+ * @param {Array<Object>} entries - Library entries
+ * @param {Object} [options]
+ * @param {string} [options.query] - Search text
+ * @param {boolean} [options.favoritesOnly] - Only keep favorites
+ * @returns {Array<Object>} Matching entries
+ */
+export function searchLibrary(entries, { query = '', favoritesOnly = false } = {}) {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  return entries.filter(entry => {
+    if (favoritesOnly && !entry.favorite) {
+      return false;
+    }
+    if (terms.length === 0) {
+      return true;
+    }
+
+    const text = [
+      ...entry.names,
+      ...entry.uuids,
+      ...entry.customNames.map(name => typeof name === 'string' ? name : JSON.stringify(name)),
+      ...entry.tags,
+      entry.notes,
+      entry.textureHash
+    ].filter(Boolean).join('\n').toLowerCase();
+
+    return terms.every(term => text.includes(term));
+  });
+}
+
+/**
+ * Serialize library entries as a JSON report, with their tags, notes and sources
+ * @param {Array<Object>} entries - Library entries
+ * @returns {string} JSON text
+ */
+export function formatLibraryExport(entries) {
+  const records = createSkinRecords(entries).map(({ file, count, ...record }, index) => ({
+    ...record,
+    sources: entries[index].sources,
+    tags: entries[index].tags,
+    notes: entries[index].notes,
+    favorite: entries[index].favorite
+  }));
+  return formatSkinRecords(records, REPORT_JSON);
+}
+
+/**
+ * Record a processed file with its full results so it can be reopened later
+ * Only the newest entries are kept
+ * @param {Object} entry
+ * @param {string} entry.fileName - File name, or a description of the files for batches
+ * @param {string} entry.kind - One of the HISTORY_* constants
+ * @param {Object} entry.results - Extraction results ({ skins, regions, format, metadata })
+ * @returns {Promise<number>} History entry id
+ */
+export async function addHistoryEntry({ fileName, kind, results }) {
+  const { skins, format, metadata } = results;
+  const summary = {
+    fileName,
+    kind,
+    processedAt: Date.now(),
+    format,
+    skinCount: skins.length,
+    headCount: skins.reduce((total, skin) => total + (skin.locations?.length || 0), 0),
+    // The preview image is only needed when the results are reopened
+    metadata: metadata ? { ...metadata, previewImage: null } : null
+  };
+
+  return runTransaction([HISTORY_STORE, RESULTS_STORE], 'readwrite', async (transaction) => {
+    const history = transaction.objectStore(HISTORY_STORE);
+    const id = await promisifyRequest(history.add(summary));
+    transaction.objectStore(RESULTS_STORE).put({ id, results });
+
+    // Drop the oldest entries beyond the limit
+    const ids = await promisifyRequest(history.getAllKeys());
+    for (const oldId of ids.slice(0, Math.max(0, ids.length - MAX_HISTORY_ENTRIES))) {
+      history.delete(oldId);
+      transaction.objectStore(RESULTS_STORE).delete(oldId);
+    }
+
+    return id;
+  });
+}
+
+/**
+ * List processed files, newest first
+ * @returns {Promise<Array<Object>>} History entries ({ id, fileName, kind, processedAt, format,
+ *   skinCount, headCount, metadata })
+ */
+export async function getHistory() {
+  const entries = await runTransaction([HISTORY_STORE], 'readonly', transaction =>
+    promisifyRequest(transaction.objectStore(HISTORY_STORE).getAll()));
+  return entries.reverse();
+}
+
+/**
+ * Load the results stored with a history entry
+ * @param {number} id - History entry id
+ * @returns {Promise<Object>} Extraction results ({ skins, regions, format, metadata })
+ */
+export async function getHistoryResults(id) {
+  const stored = await runTransaction([RESULTS_STORE], 'readonly', transaction =>
+    promisifyRequest(transaction.objectStore(RESULTS_STORE).get(id)));
+  if (!stored) {
+    throw new Error('The results of this file are no longer stored');
+  }
+  return stored.results;
+}
+
+/**
+ * Remove a processed file from the history
+ * @param {number} id - History entry id
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryEntry(id) {
+  await runTransaction([HISTORY_STORE, RESULTS_STORE], 'readwrite', transaction => {
+    transaction.objectStore(HISTORY_STORE).delete(id);
+    transaction.objectStore(RESULTS_STORE).delete(id);
+  });
+}
+
+/**
+ * Combine a saved entry with another capture of the same skin
+ * @param {Object|undefined} existing - Stored entry, if any
+ * @param {string} key - Library key
+ * @param {Object} skin - Skin object being saved
+ * @param {string|null} source - File the skin came from
+ * @param {number} now - Current time
+ * @returns {Object} Entry to store
+ */
+function mergeLibraryEntry(existing, key, skin, source, now) {
+  const entry = existing || {
+    key,
+    textureHash: skin.textureHash ?? getTextureHash(skin),
+    textureValue: skin.textureValue ?? null,
+    textureSignature: skin.textureSignature ?? null,
+    name: skin.name ?? null,
+    uuid: skin.uuid ?? null,
+    customName: skin.customName ?? null,
+    names: [],
+    uuids: [],
+    customNames: [],
+    sources: [],
+    tags: [],
+    notes: '',
+    favorite: false,
+    savedAt: now
+  };
+
+  for (const name of skin.names || [skin.name]) {
+    addUnique(entry.names, name);
+  }
+  for (const uuid of skin.uuids || [skin.uuid]) {
+    addUnique(entry.uuids, uuid);
+  }
+  for (const customName of skin.customNames || [skin.customName]) {
+    if (customName && !entry.customNames.some(name => JSON.stringify(name) === JSON.stringify(customName))) {
+      entry.customNames.push(customName);
+    }
+  }
+  for (const file of skin.files || [source]) {
+    addUnique(entry.sources, file);
+  }
+
+  entry.updatedAt = now;
+  return entry;
+}
+
+/**
+ * Trim tags, dropping empty and repeated ones
+ * @param {Array<string>} tags - Tags
+ * @returns {Array<string>} Clean tags
+ */
+function normalizeTags(tags) {
+  const clean = [];
+  for (const tag of tags) {
+    addUnique(clean, tag.trim());
+  }
+  return clean;
+}
+
+/**
+ * Open the library database once, creating its stores on first use
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SKINS_STORE, { keyPath: 'key' });
+        db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        db.createObjectStore(RESULTS_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again, e.g. after the user allows storage
+    database.catch(() => {
+      database = null;
+    });
+  }
+  return database;
+}
+
+/**
+ * Run work in a transaction and resolve once it has committed
+ * @param {Array<string>} storeNames - Stores the transaction covers
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} work - Called with the transaction, may return a value or a promise
+ * @returns {Promise<*>} What work returned
+ */
+async function runTransaction(storeNames, mode, work) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Library transaction was aborted'));
+
+    // Start the work right away, a transaction commits once it has no requests pending
+    new Promise(resolveWork => resolveWork(work(transaction)))
+      .then(value => {
+        result = value;
+      })
+      .catch(error => {
+        reject(error);
+        try {
+          transaction.abort();
+        } catch {
+          // Already finished
+        }
+      });
+  });
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,295 @@
+/**
+ * Skin Renderer Module
+ * Renders head and body previews from a skin texture PNG with canvas,
+ * so previews never depend on a third-party render service
+ */
+
+// Preview modes
+export const PREVIEW_FACE = 'face';
+export const PREVIEW_HEAD = 'head';
+export const PREVIEW_BODY = 'body';
+
+// Output pixels per skin texel
+const FACE_SCALE = 8;
+const BODY_SCALE = 4;
+const ISOMETRIC_FACE_SIZE = 48;
+
+// Brightness of the isometric faces, like Minecraft's directional lighting
+const SHADE_FRONT = 0.1;
+const SHADE_SIDE = 0.25;
+
+const COS_30 = Math.cos(Math.PI / 6);
+
+// Texture regions (x, y, width, height) in a 64x64 skin
+const HEAD = {
+  top: [8, 0, 8, 8],
+  front: [8, 8, 8, 8],
+  left: [16, 8, 8, 8]
+};
+const HAT = {
+  top: [40, 0, 8, 8],
+  front: [40, 8, 8, 8],
+  left: [48, 8, 8, 8]
+};
+
+const imageCache = new Map();
+
+/**
+ * Load a skin texture so it can be drawn and read back from a canvas
+ * Loads are cached per URL
+ * @param {string} url - Skin texture URL
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ */
+export function loadSkinImage(url) {
+  if (!imageCache.has(url)) {
+    const promise = new Promise((resolve, reject) => {
+      const image = new Image();
+      // Without CORS the canvas would be tainted and toDataURL would throw
+      image.crossOrigin = 'anonymous';
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`Failed to load skin texture: ${url}`));
+      image.src = url;
+    });
+    // Allow retrying after a failed load
+    promise.catch(() => imageCache.delete(url));
+    imageCache.set(url, promise);
+  }
+
+  return imageCache.get(url);
+}
+
+/**
+ * Render a preview of a skin as a data URL
+ * @param {string} url - Skin texture URL
+ * @param {Object} [options]
+ * @param {string} [options.mode] - PREVIEW_FACE, PREVIEW_HEAD or PREVIEW_BODY
+ * @param {boolean} [options.slim] - Use the slim (Alex) arm model
+ * @returns {Promise<string>} PNG data URL
+ */
+export async function renderSkinPreview(url, { mode = PREVIEW_HEAD, slim = false } = {}) {
+  const image = await loadSkinImage(url);
+
+  switch (mode) {
+    case PREVIEW_FACE:
+      return renderHeadFace(image).toDataURL();
+    case PREVIEW_BODY:
+      return renderBodyFront(image, { slim }).toDataURL();
+    default:
+      return renderIsometricHead(image).toDataURL();
+  }
+}
+
+/**
+ * Draw the front of the head with its hat overlay
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Skin texture
+ * @param {number} [scale] - Output pixels per texel
+ * @returns {HTMLCanvasElement} Rendered face
+ */
+export function renderHeadFace(image, scale = FACE_SCALE) {
+  const canvas = createCanvas(8 * scale, 8 * scale);
+  const context = canvas.getContext('2d');
+  const texel = getTexelSize(image);
+
+  drawRegion(context, image, texel, HEAD.front, 0, 0, scale);
+  if (hasHatLayer(image)) {
+    drawRegion(context, image, texel, HAT.front, 0, 0, scale);
+  }
+
+  return canvas;
+}
+
+/**
+ * Draw the head as an isometric cube showing top, front and left side,
+ * with the hat layer drawn as a slightly larger cube around it
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Skin texture
+ * @param {number} [faceSize] - Edge length of the head cube in output pixels
+ * @returns {HTMLCanvasElement} Rendered head
+ */
+export function renderIsometricHead(image, faceSize = ISOMETRIC_FACE_SIZE) {
+  // The hat cube is 9 texels wide instead of 8 and sets the canvas size
+  const hatSize = faceSize * 9 / 8;
+  const canvas = createCanvas(Math.ceil(2 * COS_30 * hatSize), Math.ceil(2 * hatSize));
+  const context = canvas.getContext('2d');
+  const texel = getTexelSize(image);
+
+  const inset = hatSize - faceSize;
+  drawIsometricCube(context, image, texel, HEAD, faceSize, COS_30 * inset, inset, true);
+
+  if (hasHatLayer(image)) {
+    drawIsometricCube(context, image, texel, HAT, hatSize, 0, 0, false);
+  }
+
+  return canvas;
+}
+
+/**
+ * Draw the full body seen from the front
+ * Legacy 64x32 skins have no separate left limbs or overlays, so their
+ * right limbs are mirrored like Minecraft does
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Skin texture
+ * @param {Object} [options]
+ * @param {boolean} [options.slim] - Use 3 texel wide arms (Alex model)
+ * @param {number} [options.scale] - Output pixels per texel
+ * @returns {HTMLCanvasElement} Rendered body
+ */
+export function renderBodyFront(image, { slim = false, scale = BODY_SCALE } = {}) {
+  const canvas = createCanvas(16 * scale, 32 * scale);
+  const context = canvas.getContext('2d');
+  const texel = getTexelSize(image);
+  const legacy = isLegacySkin(image);
+  const armWidth = slim ? 3 : 4;
+
+  // Base layer
+  drawRegion(context, image, texel, [8, 8, 8, 8], 4, 0, scale);
+  drawRegion(context, image, texel, [20, 20, 8, 12], 4, 8, scale);
+  drawRegion(context, image, texel, [44, 20, armWidth, 12], 4 - armWidth, 8, scale);
+  drawRegion(context, image, texel, [4, 20, 4, 12], 4, 20, scale);
+
+  if (legacy) {
+    drawRegion(context, image, texel, [44, 20, armWidth, 12], 12, 8, scale, true);
+    drawRegion(context, image, texel, [4, 20, 4, 12], 8, 20, scale, true);
+  } else {
+    drawRegion(context, image, texel, [36, 52, armWidth, 12], 12, 8, scale);
+    drawRegion(context, image, texel, [20, 52, 4, 12], 8, 20, scale);
+  }
+
+  // Overlay layer
+  if (hasHatLayer(image)) {
+    drawRegion(context, image, texel, [40, 8, 8, 8], 4, 0, scale);
+  }
+
+  if (!legacy) {
+    drawRegion(context, image, texel, [20, 36, 8, 12], 4, 8, scale);
+    drawRegion(context, image, texel, [44, 36, armWidth, 12], 4 - armWidth, 8, scale);
+    drawRegion(context, image, texel, [52, 52, armWidth, 12], 12, 8, scale);
+    drawRegion(context, image, texel, [4, 36, 4, 12], 4, 20, scale);
+    drawRegion(context, image, texel, [4, 52, 4, 12], 8, 20, scale);
+  }
+
+  return canvas;
+}
+
+/**
+ * Draw the three visible faces of an isometric cube
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Skin texture
+ * @param {number} texel - Source pixels per texel
+ * @param {Object} faces - Texture regions for top, front and left
+ * @param {number} size - Cube edge length in output pixels
+ * @param {number} offsetX - Left edge of the cube's bounding box
+ * @param {number} offsetY - Top edge of the cube's bounding box
+ * @param {boolean} shade - Darken the side faces
+ */
+function drawIsometricCube(context, image, texel, faces, size, offsetX, offsetY, shade) {
+  const k = size / 8;
+
+  // Each face maps texture u/v onto two screen axes
+  const projections = [
+    // Top: u runs towards the front-right edge, v from the back towards the front
+    { region: faces.top, matrix: [COS_30, 0.5, -COS_30, 0.5, COS_30 * size, 0], shade: 0 },
+    // Front: shown on the left, u runs down-right, v straight down
+    { region: faces.front, matrix: [COS_30, 0.5, 0, 1, 0, 0.5 * size], shade: SHADE_FRONT },
+    // The head's left side is on the viewer's right, u runs up-right from the front edge
+    { region: faces.left, matrix: [COS_30, -0.5, 0, 1, COS_30 * size, size], shade: SHADE_SIDE }
+  ];
+
+  for (const { region, matrix, shade: amount } of projections) {
+    const [a, b, c, d, e, f] = matrix;
+    context.save();
+    context.setTransform(a * k, b * k, c * k, d * k, e + offsetX, f + offsetY);
+    context.imageSmoothingEnabled = false;
+    const [sx, sy, sw, sh] = region;
+    context.drawImage(image, sx * texel, sy * texel, sw * texel, sh * texel, 0, 0, sw, sh);
+
+    if (shade && amount > 0) {
+      // Only darken the pixels just drawn for this face
+      context.globalCompositeOperation = 'source-atop';
+      context.fillStyle = `rgba(0, 0, 0, ${amount})`;
+      context.fillRect(0, 0, sw, sh);
+    }
+    context.restore();
+  }
+}
+
+/**
+ * Copy a texture region onto the canvas at texel coordinates
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Skin texture
+ * @param {number} texel - Source pixels per texel
+ * @param {Array<number>} region - Source x, y, width, height in texels
+ * @param {number} x - Target x in texels
+ * @param {number} y - Target y in texels
+ * @param {number} scale - Output pixels per texel
+ * @param {boolean} [mirror] - Flip horizontally
+ */
+function drawRegion(context, image, texel, region, x, y, scale, mirror = false) {
+  const [sx, sy, sw, sh] = region;
+
+  context.save();
+  context.imageSmoothingEnabled = false;
+  if (mirror) {
+    context.translate((x + sw) * scale, y * scale);
+    context.scale(-1, 1);
+  } else {
+    context.translate(x * scale, y * scale);
+  }
+  context.drawImage(image, sx * texel, sy * texel, sw * texel, sh * texel, 0, 0, sw * scale, sh * scale);
+  context.restore();
+}
+
+/**
+ * Source pixels per texel, greater than 1 for HD skins
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Skin texture
+ * @returns {number} Pixels per texel
+ */
+function getTexelSize(image) {
+  return image.width / 64;
+}
+
+/**
+ * Check for a legacy 64x32 skin
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Skin texture
+ * @returns {boolean} True if the skin is twice as wide as it is high
+ */
+function isLegacySkin(image) {
+  return image.height * 2 === image.width;
+}
+
+/**
+ * Decide whether to draw the hat layer
+ * Legacy skins often fill the hat area with an opaque color, which Minecraft
+ * ignores unless at least one hat pixel is transparent
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Skin texture
+ * @returns {boolean} True if the hat layer should be drawn
+ */
+function hasHatLayer(image) {
+  if (!isLegacySkin(image)) {
+    return true;
+  }
+
+  const texel = getTexelSize(image);
+  const canvas = createCanvas(32 * texel, 16 * texel);
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 32 * texel, 0, 32 * texel, 16 * texel, 0, 0, 32 * texel, 16 * texel);
+
+  const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Create a canvas of the given size
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement} New canvas
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
@@ -0,0 +1,180 @@
+/**
+ * Skin Replacer Module
+ * Swaps the texture of matching player heads in a litematic and writes it back out
+ */
+
+import { extractSkinFromEntity, getSkinKey, serializeNBT, uuidToIntArray, TAG_TYPES, setTagType } from './nbt-reader.js';
+import { detectFormat, FORMAT_LITEMATIC } from './schematic-formats.js';
+
+// Minecraft only loads skin textures from these hosts
+const ALLOWED_TEXTURE_HOSTS = ['textures.minecraft.net', 'textures.mojang.com'];
+const TEXTURE_BASE_URL = 'http://textures.minecraft.net/texture/';
+
+/**
+ * Build an unsigned texture value pointing at a skin URL
+ * Accepts a full textures.minecraft.net URL or just the texture hash
+ * @param {string} urlOrHash - Texture URL or hash
+ * @returns {string} Base64 texture value
+ */
+export function createTextureValue(urlOrHash) {
+  const input = urlOrHash.trim();
+  let url;
+
+  if (/^[0-9a-f]{32,}$/i.test(input)) {
+    url = TEXTURE_BASE_URL + input.toLowerCase();
+  } else {
+    let parsed;
+    try {
+      parsed = new URL(input);
+    } catch (e) {
+      throw new Error('Enter a texture URL or texture hash');
+    }
+
+    if (!ALLOWED_TEXTURE_HOSTS.includes(parsed.hostname)) {
+      throw new Error(`Minecraft only loads skins from ${ALLOWED_TEXTURE_HOSTS.join(' or ')}`);
+    }
+    // Mojang's own texture values use http URLs
+    url = input.replace(/^https:\/\//, 'http://');
+  }
+
+  const payload = { timestamp: Date.now(), textures: { SKIN: { url } } };
+  return btoa(JSON.stringify(payload));
+}
+
+/**
+ * Replace the skin of every placed head matching `targetSkin` in a litematic
+ * Both the 1.20.5+ "profile" and the older "SkullOwner"/"Owner" block entity
+ * shapes are updated; the rest of the NBT is left as it was. Metadata.TimeModified
+ * is set to now
+ * @param {Object} nbtData - Parsed litematic NBT ({ name, value }), modified in place
+ * @param {Object} targetSkin - Skin whose heads should be changed, heads of all its `variants` are changed
+ *   when it was merged by groupSkinsByTexture
+ * @param {Object} replacement - New profile data
+ * @param {string} replacement.textureValue - Base64 texture value
+ * @param {string|null} [replacement.textureSignature] - Signature, null for unsigned textures
+ * @param {string} [replacement.name] - New player name (kept when omitted)
+ * @param {string} [replacement.uuid] - New player UUID (kept when omitted)
+ * @returns {number} Number of block entities changed
+ */
+export function replaceSkinInLitematic(nbtData, targetSkin, replacement) {
+  if (detectFormat(nbtData) !== FORMAT_LITEMATIC) {
+    throw new Error('Replacing skins is only supported for .litematic files');
+  }
+
+  const targetKeys = new Set((targetSkin.variants || [targetSkin]).map(getSkinKey));
+  const regions = nbtData.value.Regions;
+  let replaced = 0;
+
+  for (const regionName of Object.keys(regions)) {
+    const region = regions[regionName];
+    const blockEntities = region.BlockEntities || region.TileEntities || [];
+
+    for (const entity of blockEntities) {
+      const skinData = extractSkinFromEntity(entity);
+      if (skinData && targetKeys.has(getSkinKey(skinData))) {
+        applyReplacement(entity, replacement);
+        replaced++;
+      }
+    }
+  }
+
+  if (replaced > 0 && nbtData.value.Metadata) {
+    nbtData.value.Metadata.TimeModified = BigInt(Date.now());
+  }
+
+  return replaced;
+}
+
+/**
+ * Write a litematic back out as a gzip-compressed file
+ * @param {Object} nbtData - Parsed litematic NBT ({ name, value })
+ * @returns {Uint8Array} File contents
+ */
+export function exportLitematic(nbtData) {
+  return serializeNBT(nbtData, { compression: 'gzip' });
+}
+
+/**
+ * Update whichever profile shape a skull block entity uses
+ * @param {Object} entity - Skull block entity
+ * @param {Object} replacement - New profile data
+ */
+function applyReplacement(entity, replacement) {
+  if (entity.profile !== undefined) {
+    entity.profile = updateProfile(entity.profile, replacement);
+  } else if (entity.SkullOwner !== undefined) {
+    entity.SkullOwner = updateLegacyProfile(entity.SkullOwner, replacement);
+  } else if (entity.Owner !== undefined) {
+    entity.Owner = updateLegacyProfile(entity.Owner, replacement);
+  }
+}
+
+/**
+ * Update a 1.20.5+ profile compound: { name, id, properties: [{ name, value, signature }] }
+ * @param {Object|string} profile - Existing profile (a bare string is a player name)
+ * @param {Object} replacement - New profile data
+ * @returns {Object} Updated profile
+ */
+function updateProfile(profile, replacement) {
+  const updated = typeof profile === 'string' ? { name: profile } : profile;
+
+  if (replacement.name) {
+    updated.name = replacement.name;
+  }
+
+  const id = replacement.uuid ? uuidToIntArray(replacement.uuid) : null;
+  if (id) {
+    updated.id = id;
+  }
+
+  const texture = { name: 'textures', value: replacement.textureValue };
+  if (replacement.textureSignature) {
+    texture.signature = replacement.textureSignature;
+  }
+
+  // Keep any non-texture properties
+  const otherProperties = Array.isArray(updated.properties)
+    ? updated.properties.filter(property => property.name !== 'textures')
+    : [];
+  updated.properties = [texture, ...otherProperties];
+  setTagType(updated.properties, TAG_TYPES.COMPOUND);
+
+  return updated;
+}
+
+/**
+ * Update a SkullOwner/Owner compound: { Id, Name, Properties: { textures: [{ Value, Signature }] } }
+ * @param {Object|string} profile - Existing profile (a bare string is a player name)
+ * @param {Object} replacement - New profile data
+ * @returns {Object} Updated profile
+ */
+function updateLegacyProfile(profile, replacement) {
+  const updated = typeof profile === 'string' ? { Name: profile } : profile;
+
+  if (replacement.name) {
+    updated.Name = replacement.name;
+  }
+
+  if (replacement.uuid) {
+    // 1.8-1.15 stored the id as a UUID string, later versions as an int array
+    const id = typeof updated.Id === 'string' ? replacement.uuid : uuidToIntArray(replacement.uuid);
+    if (id) {
+      updated.Id = id;
+    }
+  }
+
+  const texture = { Value: replacement.textureValue };
+  if (replacement.textureSignature) {
+    texture.Signature = replacement.textureSignature;
+  }
+
+  const textures = [texture];
+  setTagType(textures, TAG_TYPES.COMPOUND);
+
+  if (!updated.Properties || typeof updated.Properties !== 'object' || Array.isArray(updated.Properties)) {
+    updated.Properties = {};
+  }
+  updated.Properties.textures = textures;
+
+  return updated;
+}
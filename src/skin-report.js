@@ -0,0 +1,307 @@
+/**
+ * Skin Report Module
+ * Turns extracted skins into flat records and serializes them as JSON, CSV, NDJSON,
+ * Markdown or a self-contained HTML report
+ * Free of browser globals so the command-line tool can use it too
+ */
+
+import { getSkinTexture } from './skin-extractor.js';
+import { describeHeadPlacement } from './schematic-formats.js';
+import { describeLocation } from './item-scanner.js';
+
+// Report formats
+export const REPORT_JSON = 'json';
+export const REPORT_CSV = 'csv';
+export const REPORT_NDJSON = 'ndjson';
+export const REPORT_MARKDOWN = 'markdown';
+export const REPORT_HTML = 'html';
+export const REPORT_FORMATS = [REPORT_JSON, REPORT_CSV, REPORT_NDJSON, REPORT_MARKDOWN, REPORT_HTML];
+
+const CSV_COLUMNS = ['file', 'name', 'customName', 'uuid', 'textureUrl', 'model', 'textureValue', 'textureSignature', 'count'];
+const CSV_OCCURRENCE_COLUMNS = ['region', 'x', 'y', 'z', 'location'];
+
+/**
+ * Build one plain record per skin
+ * @param {Array} skins - Skin objects
+ * @param {Object} [options]
+ * @param {string|null} [options.file] - Source file name, added to every record
+ * @param {boolean} [options.occurrences] - Include every place the head was found
+ * @returns {Array<Object>} Records
+ */
+export function createSkinRecords(skins, { file = null, occurrences = false } = {}) {
+  return skins.map(skin => {
+    const texture = getSkinTexture(skin);
+    const locations = skin.locations || [];
+    const record = {
+      file,
+      name: skin.name ?? null,
+      customName: formatCustomName(skin.customName),
+      uuid: skin.uuid ?? null,
+      textureUrl: texture ? texture.url : null,
+      model: texture ? (texture.slim ? 'slim' : 'classic') : null,
+      textureValue: skin.textureValue ?? null,
+      textureSignature: skin.textureSignature ?? null,
+      count: locations.length
+    };
+
+    if (occurrences) {
+      record.occurrences = locations.map(createOccurrenceRecord);
+    }
+
+    return record;
+  });
+}
+
+/**
+ * Serialize records in one of the report formats
+ * CSV has one row per skin, or one row per occurrence when records include occurrences
+ * @param {Array<Object>} records - Records from createSkinRecords
+ * @param {string} format - One of the REPORT_* constants
+ * @param {Object} [options] - Options for the Markdown and HTML reports
+ * @param {string} [options.title] - Report title
+ * @param {Array<[string, string]>} [options.facts] - Label and value pairs shown above the skins,
+ *   e.g. the schematic's metadata
+ * @param {Array<string|null>} [options.images] - Image URL (usually a data: URL) per record,
+ *   embedded in the HTML report
+ * @returns {string} Report text
+ */
+export function formatSkinRecords(records, format, options = {}) {
+  switch (format) {
+    case REPORT_JSON:
+      return JSON.stringify(records, null, 2) + '\n';
+    case REPORT_NDJSON:
+      return records.map(record => JSON.stringify(record) + '\n').join('');
+    case REPORT_CSV:
+      return formatCSV(records);
+    case REPORT_MARKDOWN:
+      return formatMarkdown(records, options);
+    case REPORT_HTML:
+      return formatHTML(records, options);
+    default:
+      throw new Error(`Unknown report format "${format}", expected one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Serialize records as CSV (RFC 4180, CRLF line endings)
+ * @param {Array<Object>} records - Records from createSkinRecords
+ * @returns {string} CSV text
+ */
+function formatCSV(records) {
+  const withOccurrences = records.some(record => record.occurrences);
+  const columns = withOccurrences ? [...CSV_COLUMNS, ...CSV_OCCURRENCE_COLUMNS] : CSV_COLUMNS;
+  const rows = [columns];
+
+  for (const record of records) {
+    const skinFields = CSV_COLUMNS.map(column => record[column]);
+
+    if (!withOccurrences) {
+      rows.push(skinFields);
+    } else if (!record.occurrences || record.occurrences.length === 0) {
+      rows.push([...skinFields, ...CSV_OCCURRENCE_COLUMNS.map(() => null)]);
+    } else {
+      for (const occurrence of record.occurrences) {
+        rows.push([...skinFields, ...CSV_OCCURRENCE_COLUMNS.map(column => occurrence[column])]);
+      }
+    }
+  }
+
+  return rows.map(row => row.map(quoteCSV).join(',') + '\r\n').join('');
+}
+
+/**
+ * Serialize records as Markdown: a summary table, then every skin's texture data and positions
+ * @param {Array<Object>} records - Records from createSkinRecords
+ * @param {Object} options - See formatSkinRecords
+ * @returns {string} Markdown text
+ */
+function formatMarkdown(records, { title = 'Player head skins', facts = [] }) {
+  const lines = [`# ${escapeMarkdown(title)}`, ''];
+
+  for (const [label, value] of facts) {
+    lines.push(`- **${escapeMarkdown(label)}:** ${escapeMarkdown(value)}`);
+  }
+  if (facts.length > 0) {
+    lines.push('');
+  }
+
+  lines.push(
+    `${records.length} skin${records.length !== 1 ? 's' : ''}`,
+    '',
+    '| # | Name | Custom name | UUID | Model | Heads | Texture |',
+    '| ---: | --- | --- | --- | --- | ---: | --- |'
+  );
+  records.forEach((record, index) => {
+    const cells = [index + 1, record.name, record.customName, record.uuid, record.model, record.count, record.textureUrl];
+    lines.push(`| ${cells.map(cell => escapeMarkdown(cell ?? '—')).join(' | ')} |`);
+  });
+
+  records.forEach((record, index) => {
+    lines.push('', `## ${index + 1}. ${escapeMarkdown(getRecordName(record))}`, '');
+    lines.push(`- **UUID:** ${escapeMarkdown(record.uuid ?? '—')}`);
+    lines.push(`- **Texture URL:** ${escapeMarkdown(record.textureUrl ?? '—')}`);
+    lines.push(`- **Texture value:** ${record.textureValue ? `\`${record.textureValue}\`` : '—'}`);
+    lines.push(`- **Signature:** ${record.textureSignature ? `\`${record.textureSignature}\`` : '—'}`);
+
+    if (record.occurrences?.length > 0) {
+      lines.push('', '| Region | Position | Location |', '| --- | --- | --- |');
+      for (const occurrence of record.occurrences) {
+        const position = occurrence.x !== null ? `${occurrence.x}, ${occurrence.y}, ${occurrence.z}` : null;
+        lines.push(`| ${[occurrence.region, position, occurrence.location].map(cell => escapeMarkdown(cell ?? '—')).join(' | ')} |`);
+      }
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize records as a single HTML page with inline styles and images, so it opens offline
+ * @param {Array<Object>} records - Records from createSkinRecords
+ * @param {Object} options - See formatSkinRecords
+ * @returns {string} HTML text
+ */
+function formatHTML(records, { title = 'Player head skins', facts = [], images = [] }) {
+  const factRows = facts
+    .map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`)
+    .join('');
+
+  const cards = records.map((record, index) => {
+    const image = images[index];
+    const occurrences = record.occurrences || [];
+    const details = [
+      ['Custom name', record.customName],
+      ['UUID', record.uuid],
+      ['Model', record.model],
+      ['Heads', record.count],
+      ['Texture URL', record.textureUrl]
+    ].filter(([, value]) => value !== null && value !== undefined)
+      .map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`)
+      .join('');
+
+    const positions = occurrences.map(occurrence => {
+      const position = occurrence.x !== null ? `${occurrence.x}, ${occurrence.y}, ${occurrence.z}` : '';
+      return `<tr><td>${escapeHTML(occurrence.region ?? '')}</td><td>${escapeHTML(position)}</td><td>${escapeHTML(occurrence.location ?? '')}</td></tr>`;
+    }).join('');
+
+    return `
+    <article class="skin">
+      ${image ? `<img src="${escapeHTML(image)}" alt="">` : '<div class="no-image">?</div>'}
+      <div>
+        <h2>${escapeHTML(getRecordName(record))}</h2>
+        <dl>${details}</dl>
+        ${record.textureValue ? `<details><summary>Texture value</summary><code>${escapeHTML(record.textureValue)}</code></details>` : ''}
+        ${record.textureSignature ? `<details><summary>Signature</summary><code>${escapeHTML(record.textureSignature)}</code></details>` : ''}
+        ${occurrences.length > 0 ? `<details><summary>${occurrences.length} position${occurrences.length !== 1 ? 's' : ''}</summary><table><tr><th>Region</th><th>Position</th><th>Location</th></tr>${positions}</table></details>` : ''}
+      </div>
+    </article>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #121212; color: #e5e5e5; margin: 0; padding: 2rem; }
+  h1 { margin-top: 0; }
+  dl { display: grid; grid-template-columns: auto 1fr; gap: 0.25rem 1rem; margin: 0.5rem 0; }
+  dt { color: #9ca3af; }
+  dd { margin: 0; word-break: break-all; }
+  .facts { background: #1c1c1c; border-radius: 8px; padding: 1rem; margin-bottom: 2rem; }
+  .skin { display: flex; gap: 1.25rem; background: #1c1c1c; border-radius: 8px; padding: 1rem; margin-bottom: 1rem; }
+  .skin img, .no-image { width: 96px; height: 96px; flex-shrink: 0; image-rendering: pixelated; }
+  .no-image { display: flex; align-items: center; justify-content: center; background: #2a2a2a; color: #9ca3af; font-size: 2rem; }
+  .skin > div { min-width: 0; flex: 1; }
+  h2 { margin: 0; font-size: 1.1rem; }
+  details { margin-top: 0.5rem; }
+  summary { cursor: pointer; color: #9ca3af; }
+  code { display: block; font-size: 0.75rem; word-break: break-all; background: #121212; padding: 0.5rem; margin-top: 0.25rem; }
+  table { border-collapse: collapse; font-size: 0.85rem; margin-top: 0.25rem; }
+  th, td { text-align: left; padding: 0.25rem 0.75rem 0.25rem 0; border-bottom: 1px solid #2a2a2a; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+${factRows ? `<dl class="facts">${factRows}</dl>` : ''}
+<p>${records.length} skin${records.length !== 1 ? 's' : ''}</p>
+${cards}
+</body>
+</html>
+`;
+}
+
+/**
+ * Name a record by its custom name, else its player name
+ * @param {Object} record - Skin record
+ * @returns {string} Name
+ */
+function getRecordName(record) {
+  return record.customName || record.name || record.uuid || 'Unnamed';
+}
+
+/**
+ * Describe one place a head was found
+ * @param {Object} location - Location from extractSkinsFromNBT or extractSkinsFromRegion
+ * @returns {Object} Occurrence record
+ */
+export function createOccurrenceRecord(location) {
+  // Placed heads show floor/wall and rotation, items show their container or entity
+  const description = location.item
+    ? describeLocation(location)
+    : describeHeadPlacement(location.blockState) || describeLocation(location);
+
+  return {
+    region: location.region ?? null,
+    x: location.position?.x ?? null,
+    y: location.position?.y ?? null,
+    z: location.position?.z ?? null,
+    location: description
+  };
+}
+
+/**
+ * Custom names may be strings or text component objects; keep objects as JSON
+ * @param {string|Object|null} customName - Custom name
+ * @returns {string|null} Custom name text
+ */
+function formatCustomName(customName) {
+  if (customName === null || customName === undefined || customName === '') {
+    return null;
+  }
+  return typeof customName === 'string' ? customName : JSON.stringify(customName);
+}
+
+/**
+ * Escape text for Markdown, including table cell separators
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+export function escapeMarkdown(value) {
+  return String(value).replace(/[\\|*_`[\]<>#]/g, '\\$&').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Quote a CSV field if it contains a separator, quote or line break
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {string} CSV field
+ */
+function quoteCSV(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,152 @@
+/**
+ * ZIP Writer Module
+ * Builds ZIP archives in the browser using pako for deflate compression
+ */
+
+import pako from 'pako';
+
+// ZIP record signatures
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Compression methods
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+// ZIP spec version 2.0 (deflate)
+const ZIP_VERSION = 20;
+
+let crcTable = null;
+
+/**
+ * ZIP archive builder
+ * Files are compressed as they are added; already-compressed data such as
+ * PNG images is stored as-is when deflate would not make it smaller
+ */
+export class ZipWriter {
+  constructor() {
+    this.entries = [];
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive, using "/" as separator
+   * @param {Uint8Array|string} data - File contents (strings are UTF-8 encoded)
+   * @param {Date} [date] - Modification date
+   */
+  addFile(name, data, date = new Date()) {
+    const bytes = typeof data === 'string' ? this.encoder.encode(data) : data;
+    const deflated = pako.deflateRaw(bytes);
+    const useDeflate = deflated.length < bytes.length;
+
+    this.entries.push({
+      name: this.encoder.encode(name),
+      crc: crc32(bytes),
+      size: bytes.length,
+      method: useDeflate ? METHOD_DEFLATE : METHOD_STORE,
+      data: useDeflate ? deflated : bytes,
+      ...toDosDateTime(date)
+    });
+  }
+
+  /**
+   * Build the archive
+   * @returns {Uint8Array} ZIP file contents
+   */
+  generate() {
+    const localSize = this.entries.reduce((total, entry) => total + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = this.entries.reduce((total, entry) => total + 46 + entry.name.length, 0);
+    const output = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(output.buffer);
+    let offset = 0;
+
+    // Local file headers followed by the file data
+    for (const entry of this.entries) {
+      entry.offset = offset;
+      view.setUint32(offset, LOCAL_FILE_HEADER, true);
+      view.setUint16(offset + 4, ZIP_VERSION, true);
+      view.setUint16(offset + 6, FLAG_UTF8, true);
+      view.setUint16(offset + 8, entry.method, true);
+      view.setUint16(offset + 10, entry.time, true);
+      view.setUint16(offset + 12, entry.date, true);
+      view.setUint32(offset + 14, entry.crc, true);
+      view.setUint32(offset + 18, entry.data.length, true);
+      view.setUint32(offset + 22, entry.size, true);
+      view.setUint16(offset + 26, entry.name.length, true);
+      view.setUint16(offset + 28, 0, true);
+      output.set(entry.name, offset + 30);
+      output.set(entry.data, offset + 30 + entry.name.length);
+      offset += 30 + entry.name.length + entry.data.length;
+    }
+
+    // Central directory
+    const centralOffset = offset;
+    for (const entry of this.entries) {
+      view.setUint32(offset, CENTRAL_DIRECTORY_HEADER, true);
+      view.setUint16(offset + 4, ZIP_VERSION, true);
+      view.setUint16(offset + 6, ZIP_VERSION, true);
+      view.setUint16(offset + 8, FLAG_UTF8, true);
+      view.setUint16(offset + 10, entry.method, true);
+      view.setUint16(offset + 12, entry.time, true);
+      view.setUint16(offset + 14, entry.date, true);
+      view.setUint32(offset + 16, entry.crc, true);
+      view.setUint32(offset + 20, entry.data.length, true);
+      view.setUint32(offset + 24, entry.size, true);
+      view.setUint16(offset + 28, entry.name.length, true);
+      // Extra field, comment, disk number, internal and external attributes stay 0
+      view.setUint32(offset + 42, entry.offset, true);
+      output.set(entry.name, offset + 46);
+      offset += 46 + entry.name.length;
+    }
+
+    // End of central directory record
+    view.setUint32(offset, END_OF_CENTRAL_DIRECTORY, true);
+    view.setUint16(offset + 8, this.entries.length, true);
+    view.setUint16(offset + 10, this.entries.length, true);
+    view.setUint32(offset + 12, offset - centralOffset, true);
+    view.setUint32(offset + 16, centralOffset, true);
+
+    return output;
+  }
+}
+
+/**
+ * Calculate the CRC-32 checksum used by ZIP
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to the MS-DOS format stored in ZIP headers
+ * @param {Date} date - Date to convert
+ * @returns {{time: number, date: number}} DOS time and date
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}